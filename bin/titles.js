@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+import { runCli } from '../server/cli.js';
+import { loadConfig, loadEnvFile } from '../server/config.js';
+
+loadEnvFile();
+
+process.exitCode = await runCli(process.argv.slice(2), {
+  config: loadConfig(),
+  stdin: process.stdin,
+  stdout: process.stdout,
+  stderr: process.stderr,
+});
@@ -0,0 +1,81 @@
+/**
+ * SERVICE WORKER
+ * Keeps the app shell available offline. Pages are network-first with the
+ * cached shell as the fallback; static files are cache-first, since Vite
+ * puts a content hash in every bundle name. API calls never touch the
+ * cache: offline generation goes through the app's outbox instead.
+ *
+ * Bump CACHE_NAME when this file's caching rules change.
+ */
+const CACHE_NAME = 'the-architect-shell-v1';
+
+const STATIC_FILES = ['/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+// The hashed bundle names are only known to the built page, so read them from it
+const bundleUrls = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+
+const cacheShell = async () => {
+  const cache = await caches.open(CACHE_NAME);
+  const response = await fetch('/', { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`App shell request failed with ${response.status}`);
+  const html = await response.clone().text();
+  await cache.put('/', response);
+  await cache.addAll([...STATIC_FILES, ...bundleUrls(html)]);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Every route renders the same index.html, so one cached copy serves all pages
+const networkFirstPage = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put('/', response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match('/');
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // The server answers unknown paths with index.html; don't keep that under an asset URL
+  if (response.ok && !response.headers.get('Content-Type')?.startsWith('text/html')) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') event.respondWith(networkFirstPage(request));
+  else event.respondWith(cacheFirst(request));
+});
+
+// Notifications shown from here (see notify in src/lib/pwa.js) bring the app forward
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length) return windows[0].focus();
+    return self.clients.openWindow('/');
+  })());
+});
@@ -0,0 +1,141 @@
+import { parseBrief } from './brief.js';
+import { HttpError, clientKey, openNdjsonStream, readJsonBody, sendJson, serveStatic } from './http.js';
+import { NormalizeError } from './normalize.js';
+import { createPipeline } from './pipeline.js';
+import { createQueue } from './queue.js';
+import { createRateLimiter } from './rateLimit.js';
+import { REVIEW_ACTIONS, createReviewStore, parseReviewInput } from './reviews.js';
+
+// /api/reviews, /api/reviews/:id and /api/reviews/:id/(votes|comments|approve)
+const REVIEW_ROUTE = /^\/api\/reviews(?:\/([^/]+)(?:\/(votes|comments|approve))?)?\/?$/;
+
+// Status and JSON body for a failed request
+const errorResponse = (error) => {
+  if (error instanceof NormalizeError) {
+    // The agent ran but its output was unusable - a bad gateway, not our bug
+    return { status: 502, body: { error: error.message, code: error.code, source: error.source } };
+  }
+  const status = error instanceof HttpError ? error.status : 500;
+  return { status, body: { error: error.message } };
+};
+
+// Aborts when the client disconnects before we finished answering
+const disconnectSignal = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new Error('Client disconnected'));
+  });
+  return controller.signal;
+};
+
+export const createApp = (config, deps = {}) => {
+  const limiter = createRateLimiter(config.rateLimit);
+  const reviewLimiter = createRateLimiter(config.reviewRateLimit);
+  const queue = createQueue({ concurrency: config.concurrency });
+  const pipeline = createPipeline(config, deps);
+  const reviews = deps.reviewStore || createReviewStore({ dir: config.reviewsDir });
+
+  // Returns the rate limit headers, or null after answering 429
+  const applyRateLimit = (req, res, bucket = limiter) => {
+    const limit = bucket.check(clientKey(req, config.trustProxy));
+    const limitHeaders = {
+      'X-RateLimit-Limit': String(limit.limit),
+      'X-RateLimit-Remaining': String(limit.remaining),
+    };
+    if (!limit.allowed) {
+      const retryAfter = Math.ceil((limit.resetAt - Date.now()) / 1000);
+      sendJson(res, 429, { error: 'Too many requests, slow down.' }, { ...limitHeaders, 'Retry-After': String(retryAfter) });
+      return null;
+    }
+    return limitHeaders;
+  };
+
+  const handleGenerate = async (req, res) => {
+    const limitHeaders = applyRateLimit(req, res);
+    if (!limitHeaders) return;
+
+    const brief = parseBrief(await readJsonBody(req));
+    const signal = disconnectSignal(res);
+    const output = await queue.run(() => pipeline.run(brief, { signal }), { signal });
+    sendJson(res, 200, { ...output, provider: pipeline.provider.name }, limitHeaders);
+  };
+
+  /**
+   * Same brief as /api/generate, answered as NDJSON events:
+   *   { type: 'status', status: 'queued', position } | { type: 'status', status: 'running' }
+   *   { type: 'titles', titles }   (one or more batches, languages in brief order)
+   *   { type: 'done', source, warnings, provider } | { type: 'error', status, error, code?, source? }
+   *   { type: 'heartbeat' }      (every `heartbeatMs` until the run ends, so a long
+   *                               run never looks like a dead connection)
+   * Validation and rate limit failures happen before the stream opens and
+   * come back as plain JSON errors.
+   */
+  const handleGenerateStream = async (req, res) => {
+    const limitHeaders = applyRateLimit(req, res);
+    if (!limitHeaders) return;
+
+    const brief = parseBrief(await readJsonBody(req));
+    const signal = disconnectSignal(res);
+    const send = openNdjsonStream(res, limitHeaders);
+    const heartbeat = setInterval(() => send({ type: 'heartbeat' }), config.heartbeatMs);
+    try {
+      const output = await queue.run(() => {
+        send({ type: 'status', status: 'running' });
+        return pipeline.run(brief, { signal, onTitles: titles => send({ type: 'titles', titles }) });
+      }, { signal, onQueued: position => send({ type: 'status', status: 'queued', position }) });
+      send({ type: 'done', source: output.source, warnings: output.warnings, provider: pipeline.provider.name });
+    } catch (error) {
+      if (signal.aborted) return;
+      const { status, body } = errorResponse(error);
+      if (status >= 500 && !(error instanceof NormalizeError)) console.error('[stream]', error);
+      send({ type: 'error', status, ...body });
+    } finally {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+
+  const handleReviews = async (req, res, [, id, action]) => {
+    const allow = (method) => {
+      if (req.method !== method) throw new HttpError(405, 'Method not allowed');
+    };
+
+    if (!id || action) {
+      allow('POST');
+      const limitHeaders = applyRateLimit(req, res, reviewLimiter);
+      if (!limitHeaders) return;
+      const body = await readJsonBody(req);
+      if (!id) sendJson(res, 201, await reviews.create(parseReviewInput(body)), limitHeaders);
+      else sendJson(res, 200, await reviews.update(id, review => REVIEW_ACTIONS[action](review, body)), limitHeaders);
+    } else {
+      allow('GET');
+      sendJson(res, 200, await reviews.get(id), { 'Cache-Control': 'no-store' });
+    }
+  };
+
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (pathname === '/api/generate' || pathname === '/api/generate/stream') {
+        if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+        await (pathname === '/api/generate' ? handleGenerate : handleGenerateStream)(req, res);
+      } else if (REVIEW_ROUTE.test(pathname)) {
+        await handleReviews(req, res, pathname.match(REVIEW_ROUTE));
+      } else if (pathname === '/api/health') {
+        sendJson(res, 200, { ok: true });
+      } else if (pathname.startsWith('/api/')) {
+        throw new HttpError(404, 'Not found');
+      } else if (req.method === 'GET' || req.method === 'HEAD') {
+        await serveStatic(req, res, config.staticDir);
+      } else {
+        throw new HttpError(405, 'Method not allowed');
+      }
+    } catch (error) {
+      if (res.destroyed) return; // client went away mid-request
+      const { status, body } = errorResponse(error);
+      if (status >= 500 && !(error instanceof NormalizeError)) console.error(`[${req.method} ${pathname}]`, error);
+      if (!res.headersSent) sendJson(res, status, body);
+      else res.end();
+    }
+  };
+};
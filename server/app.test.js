@@ -0,0 +1,151 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import http from 'node:http';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createApp } from './app.js';
+import { loadConfig } from './config.js';
+
+let server;
+let origin;
+
+const start = async (overrides) => {
+  const config = { ...loadConfig({}), ...overrides };
+  server = http.createServer(createApp(config));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+};
+
+const post = (pathname, body) => fetch(`${origin}${pathname}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+const events = async (response) => (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+
+beforeEach(() => {
+  server = null;
+});
+
+afterEach(async () => {
+  server?.closeAllConnections();
+  await new Promise(resolve => (server ? server.close(resolve) : resolve()));
+});
+
+describe('POST /api/generate/stream', () => {
+  it('sends heartbeats while the provider works', async () => {
+    await start({ provider: 'mock', mock: { delayMs: 60 }, heartbeatMs: 10 });
+    const response = await post('/api/generate/stream', { topic: 'Why SaaS startups fail', description_count: 5 });
+    const types = (await events(response)).map(event => event.type);
+
+    expect(types).toContain('heartbeat');
+    expect(types.indexOf('heartbeat')).toBeLessThan(types.indexOf('titles'));
+    expect(types.at(-1)).toBe('done');
+    expect(types.filter(type => type === 'titles')).toHaveLength(5);
+  });
+});
+
+describe('review routes', () => {
+  let reviewsDir;
+
+  beforeEach(async () => {
+    reviewsDir = await mkdtemp(path.join(tmpdir(), 'reviews-app-'));
+  });
+
+  afterEach(async () => {
+    await rm(reviewsDir, { recursive: true, force: true });
+  });
+
+  it('answers 400 for a null action body', async () => {
+    await start({ reviewsDir });
+    const { id } = await (await post('/api/reviews', { titles: [{ youtube_title: 'A' }] })).json();
+
+    const response = await post(`/api/reviews/${id}/votes`, null);
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Expected a JSON object' });
+  });
+
+  it('rate limits review writes but not reads', async () => {
+    await start({ reviewsDir, reviewRateLimit: { windowMs: 60_000, max: 2 } });
+    const created = await post('/api/reviews', { titles: [{ youtube_title: 'A' }] });
+    expect(created.headers.get('X-RateLimit-Remaining')).toBe('1');
+    const { id } = await created.json();
+
+    expect((await post(`/api/reviews/${id}/votes`, { voter: 'ana', title_index: 0 })).status).toBe(200);
+    expect((await post(`/api/reviews/${id}/comments`, { author: 'ana', text: 'Nice', title_index: 0 })).status).toBe(429);
+    expect((await post('/api/reviews', { titles: [{ youtube_title: 'B' }] })).status).toBe(429);
+    expect((await fetch(`${origin}/api/reviews/${id}`)).status).toBe(200);
+  });
+});
+
+describe('POST /api/generate', () => {
+  it('rate limits per client with a fixed window', async () => {
+    let time = Date.now();
+    await start({ provider: 'mock', mock: { delayMs: 0 }, rateLimit: { windowMs: 60_000, max: 2, now: () => time } });
+    const generate = () => post('/api/generate', { topic: 'Why SaaS startups fail', description_count: 5 });
+
+    const first = await generate();
+    expect(first.status).toBe(200);
+    expect(first.headers.get('X-RateLimit-Limit')).toBe('2');
+    expect(first.headers.get('X-RateLimit-Remaining')).toBe('1');
+    expect((await generate()).headers.get('X-RateLimit-Remaining')).toBe('0');
+
+    const limited = await generate();
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(await limited.json()).toEqual({ error: 'Too many requests, slow down.' });
+
+    time += 60_000;
+    const reset = await generate();
+    expect(reset.status).toBe(200);
+    expect(reset.headers.get('X-RateLimit-Remaining')).toBe('1');
+  });
+
+  it('answers 400 for invalid briefs', async () => {
+    await start({ provider: 'mock', mock: { delayMs: 0 } });
+    const rejected = async (body) => {
+      const response = await fetch(`${origin}/api/generate`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+      expect(response.status).toBe(400);
+      return (await response.json()).error;
+    };
+
+    expect(await rejected('null')).toBe('Expected a JSON object');
+    expect(await rejected('"Why SaaS startups fail"')).toBe('Expected a JSON object');
+    expect(await rejected('{"topic":')).toBe('Request body must be valid JSON');
+    expect(await rejected(JSON.stringify({ description_count: 5 }))).toBe('`topic` is required');
+    expect(await rejected(JSON.stringify({ topic: 'x', description_count: 50 }))).toBe('`description_count` must be between 1 and 20');
+    expect(await rejected(JSON.stringify({ topic: 'x', description_count: 'ten' }))).toBe('`description_count` must be between 1 and 20');
+    expect(await rejected(JSON.stringify({ topic: 'x', tone: 'C'.repeat(41), tone_instructions: 'Be contrary' })))
+      .toBe('`tone` must be at most 40 characters');
+  });
+});
+
+describe('static files', () => {
+  let staticDir;
+
+  beforeEach(async () => {
+    staticDir = await mkdtemp(path.join(tmpdir(), 'static-app-'));
+    await writeFile(path.join(staticDir, 'index.html'), '<!doctype html><title>App</title>');
+    await writeFile(path.join(staticDir, 'app.js'), 'console.log(1);');
+  });
+
+  afterEach(async () => {
+    await rm(staticDir, { recursive: true, force: true });
+  });
+
+  it('serves files and falls back to index.html for client routes', async () => {
+    await start({ staticDir });
+    const script = await fetch(`${origin}/app.js`);
+    expect(script.headers.get('Content-Type')).toMatch(/javascript/);
+    expect(await script.text()).toBe('console.log(1);');
+    expect(await (await fetch(`${origin}/reviews/abc`)).text()).toContain('<title>App</title>');
+  });
+
+  it('answers 400 for a malformed percent-encoded path', async () => {
+    await start({ staticDir });
+    const response = await fetch(`${origin}/%E0%A4%A`);
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Bad request path' });
+  });
+});
@@ -0,0 +1,107 @@
+import { HttpError } from './http.js';
+import { parseLanguages } from './languages.js';
+
+export const TONES = ['Viral', 'Educational', 'Story', 'SEO'];
+export const VARIATION_COUNTS = [5, 10, 20];
+
+const optionalString = (value, field) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') throw new HttpError(400, `\`${field}\` must be a string`);
+  return value.trim();
+};
+
+const MAX_TONE_NAME = 40;
+
+/**
+ * A custom tone (built in the client's strategy editor) arrives as tone_*
+ * strings next to its name; the instructions are what make it usable, so
+ * they are required. Numbers and flags stay strings for the agent.
+ */
+const parseCustomTone = (body, tone) => {
+  const instructions = optionalString(body.tone_instructions, 'tone_instructions');
+  if (!TONES.includes(tone) && !instructions) {
+    throw new HttpError(400, `\`tone\` must be one of ${TONES.join(', ')}, or a custom tone with \`tone_instructions\``);
+  }
+  if (tone.length > MAX_TONE_NAME) throw new HttpError(400, `\`tone\` must be at most ${MAX_TONE_NAME} characters`);
+
+  const maxLength = optionalString(body.tone_max_length, 'tone_max_length');
+  if (maxLength && !/^\d+$/.test(maxLength)) throw new HttpError(400, '`tone_max_length` must be a whole number');
+
+  return {
+    tone_description: optionalString(body.tone_description, 'tone_description'),
+    tone_instructions: instructions,
+    tone_example_titles: optionalString(body.tone_example_titles, 'tone_example_titles'),
+    tone_max_length: maxLength,
+    tone_require_number: optionalString(body.tone_require_number, 'tone_require_number'),
+    tone_require_question: optionalString(body.tone_require_question, 'tone_require_question'),
+    tone_banned_words: optionalString(body.tone_banned_words, 'tone_banned_words'),
+  };
+};
+
+// Follow-up actions on a single title (see `refinement` below)
+export const REFINE_ACTIONS = ['more', 'shorter', 'punchier', 'seo', 'feedback'];
+
+const parseRefinement = (raw) => {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object') throw new HttpError(400, '`refinement` must be an object');
+
+  const action = optionalString(raw.action, 'refinement.action');
+  if (!REFINE_ACTIONS.includes(action)) {
+    throw new HttpError(400, `\`refinement.action\` must be one of ${REFINE_ACTIONS.join(', ')}`);
+  }
+  const parentTitle = optionalString(raw.parent_title, 'refinement.parent_title');
+  if (!parentTitle) throw new HttpError(400, '`refinement.parent_title` is required');
+  const feedback = optionalString(raw.feedback, 'refinement.feedback');
+  if (action === 'feedback' && !feedback) throw new HttpError(400, '`refinement.feedback` is required for feedback');
+
+  return {
+    action,
+    parent_title: parentTitle,
+    parent_thumbnail_text: optionalString(raw.parent_thumbnail_text, 'refinement.parent_thumbnail_text'),
+    feedback,
+  };
+};
+
+/**
+ * Validates the form fields posted by the client and returns the brief
+ * in the same snake_case shape the agent expects as `webhookParams`.
+ * `refinement` is set when the request reworks one existing title instead
+ * of generating from scratch. The channel fields come from the client's
+ * channel profile and are empty when none is selected. The keyword fields
+ * hold the pinned research keywords (secondary ones comma separated), also
+ * empty when none are pinned. The tone_* fields define a custom tone and
+ * are empty for the built-in ones. `languages` lists
+ * the target languages (see languages.js), English by default.
+ */
+export const parseBrief = (body) => {
+  if (!body || typeof body !== 'object') throw new HttpError(400, 'Expected a JSON object');
+
+  const topic = optionalString(body.topic, 'topic');
+  if (!topic) throw new HttpError(400, '`topic` is required');
+
+  const count = parseInt(body.description_count ?? 10, 10);
+  if (!Number.isInteger(count) || count < 1 || count > Math.max(...VARIATION_COUNTS)) {
+    throw new HttpError(400, `\`description_count\` must be between 1 and ${Math.max(...VARIATION_COUNTS)}`);
+  }
+
+  const tone = optionalString(body.tone, 'tone') || 'Viral';
+  const customTone = parseCustomTone(body, tone);
+
+  return {
+    topic,
+    key_points: optionalString(body.key_points, 'key_points'),
+    target_audience: optionalString(body.target_audience, 'target_audience'),
+    main_takeaway: optionalString(body.main_takeaway, 'main_takeaway'),
+    description_count: count,
+    tone,
+    ...customTone,
+    channel: optionalString(body.channel, 'channel'),
+    brand_voice: optionalString(body.brand_voice, 'brand_voice'),
+    example_titles: optionalString(body.example_titles, 'example_titles'),
+    banned_words: optionalString(body.banned_words, 'banned_words'),
+    primary_keyword: optionalString(body.primary_keyword, 'primary_keyword'),
+    secondary_keywords: optionalString(body.secondary_keywords, 'secondary_keywords'),
+    languages: parseLanguages(body.languages),
+    refinement: parseRefinement(body.refinement),
+  };
+};
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { parseBrief } from './brief.js';
+
+const CUSTOM_TONE = {
+  tone: 'Contrarian',
+  tone_description: 'Challenge the common advice',
+  tone_instructions: 'Open by contradicting a popular belief.',
+  tone_example_titles: 'Stop Doing Cold Outreach\nRetention Beats Growth',
+  tone_max_length: '60',
+  tone_require_number: 'yes',
+  tone_require_question: '',
+  tone_banned_words: 'hack, insane',
+};
+
+describe('parseBrief tones', () => {
+  it('keeps built-in tones and leaves the custom fields empty', () => {
+    const brief = parseBrief({ topic: 'x', tone: 'SEO' });
+    expect(brief.tone).toBe('SEO');
+    expect(brief.tone_instructions).toBe('');
+    expect(brief.tone_max_length).toBe('');
+  });
+
+  it('passes a custom tone through as tone_* strings', () => {
+    expect(parseBrief({ topic: 'x', ...CUSTOM_TONE })).toMatchObject(CUSTOM_TONE);
+  });
+
+  it('rejects an unknown tone without instructions', () => {
+    expect(() => parseBrief({ topic: 'x', tone: 'Contrarian' })).toThrow(/custom tone with `tone_instructions`/);
+  });
+
+  it('rejects a max length that is not a whole number', () => {
+    expect(() => parseBrief({ topic: 'x', ...CUSTOM_TONE, tone_max_length: 'short' })).toThrow(/whole number/);
+  });
+});
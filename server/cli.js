@@ -0,0 +1,190 @@
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { stringifyCsv } from '../src/lib/csv.js';
+import { graphemeLength } from '../src/lib/text.js';
+import { HttpError } from './http.js';
+import { NormalizeError } from './normalize.js';
+import { createPipeline } from './pipeline.js';
+import { PROVIDER_NAMES } from './providers/index.js';
+
+/**
+ * COMMAND-LINE TOOL
+ * Generates titles for one brief from a script, through the same pipeline
+ * as the API server (see pipeline.js) but in process, so it needs the
+ * agent credentials from the environment rather than a running server.
+ * bin/titles.js is the executable; `runCli` is kept free of process
+ * globals so it can be tested.
+ */
+
+export const EXIT_CODES = {
+  ok: 0,
+  agent: 1, // the agent failed or returned nothing usable
+  usage: 2, // bad flags, an unreadable brief file or an invalid brief
+};
+
+export const FORMATS = ['table', 'json', 'csv'];
+
+// Flags that set brief fields; they win over the same fields from --brief
+const BRIEF_FLAGS = {
+  topic: 'topic',
+  'key-points': 'key_points',
+  takeaway: 'main_takeaway',
+  audience: 'target_audience',
+  tone: 'tone',
+  count: 'description_count',
+  languages: 'languages',
+  'primary-keyword': 'primary_keyword',
+  'secondary-keywords': 'secondary_keywords',
+};
+
+const OPTIONS = {
+  ...Object.fromEntries(Object.keys(BRIEF_FLAGS).map(flag => [flag, { type: 'string' }])),
+  brief: { type: 'string', short: 'b' },
+  format: { type: 'string', short: 'f', default: 'table' },
+  provider: { type: 'string', short: 'p' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+export const USAGE = `Usage: titles [options]
+
+Generates ranked YouTube titles for one brief.
+
+Brief (flags override fields read from --brief):
+  --topic <text>                 Core idea (required)
+  --key-points <text>            Secrets to hint at
+  --takeaway <text>              The reveal
+  --audience <text>              Target profile
+  --tone <name>                  Viral, Educational, Story or SEO (default Viral)
+  --count <n>                    Titles per language, 1–20 (default 10)
+  --languages <tags>             Comma separated, e.g. en,es (default en)
+  --primary-keyword <text>       Pinned keyword to lead with
+  --secondary-keywords <list>    Comma separated
+  -b, --brief <file>             JSON brief in /api/generate fields; - reads stdin
+                                 (stdin is also read when it is piped and --topic is absent)
+
+Output:
+  -f, --format <format>          table, json or csv (default table)
+  -p, --provider <name>          ${PROVIDER_NAMES.join(' or ')} (default GENERATION_PROVIDER)
+  -h, --help                     Show this help
+
+Exit codes: 0 titles printed, 1 agent error, 2 bad usage or invalid brief.
+`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const parseBriefJson = (text, origin) => {
+  try {
+    const brief = JSON.parse(text);
+    if (brief && typeof brief === 'object' && !Array.isArray(brief)) return brief;
+  } catch {
+    // reported below
+  }
+  throw new UsageError(`${origin} must hold a JSON object of brief fields`);
+};
+
+/**
+ * The raw brief from --brief (a file, or - for stdin), piped stdin, and
+ * the brief flags, in that order of precedence (flags last). Validation is
+ * left to the pipeline so the CLI accepts exactly what the API accepts.
+ */
+export const readBrief = async (values, { stdin }) => {
+  let base = {};
+  if (values.brief === '-' || (values.brief === undefined && values.topic === undefined && stdin && !stdin.isTTY)) {
+    const text = await readStream(stdin);
+    if (!text.trim()) throw new UsageError('No brief given: pass --topic, --brief <file> or JSON on stdin');
+    base = parseBriefJson(text, 'stdin');
+  } else if (values.brief !== undefined) {
+    let text;
+    try {
+      text = await readFile(values.brief, 'utf8');
+    } catch (error) {
+      throw new UsageError(`Could not read ${values.brief}: ${error.message}`);
+    }
+    base = parseBriefJson(text, values.brief);
+  }
+
+  const fromFlags = {};
+  for (const [flag, field] of Object.entries(BRIEF_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    fromFlags[field] = field === 'languages' ? values[flag].split(',').map(tag => tag.trim()).filter(Boolean) : values[flag];
+  }
+  return { ...base, ...fromFlags };
+};
+
+const CSV_COLUMNS = ['rank', 'language', 'youtube_title', 'thumbnail_text', 'ctr_rationale', 'back_translation'];
+
+// Plain columns padded to the widest cell; the language column only when there are several
+const formatTable = (titles) => {
+  const multilingual = new Set(titles.map(t => t.language)).size > 1;
+  const columns = [
+    ['#', t => String(t.rank)],
+    ...(multilingual ? [['LANG', t => t.language]] : []),
+    ['TITLE', t => t.youtube_title],
+    ['CHARS', t => String(graphemeLength(t.youtube_title))],
+    ['THUMBNAIL', t => t.thumbnail_text || ''],
+  ];
+  const rows = [columns.map(([header]) => header), ...titles.map(t => columns.map(([, cell]) => cell(t)))];
+  const widths = columns.map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  return rows.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n') + '\n';
+};
+
+export const formatOutput = (output, format) => {
+  if (format === 'json') return `${JSON.stringify(output, null, 2)}\n`;
+  if (format === 'csv') return stringifyCsv(output.titles, CSV_COLUMNS);
+  return formatTable(output.titles);
+};
+
+const errorExitCode = (error) => {
+  if (error instanceof UsageError) return EXIT_CODES.usage;
+  if (error instanceof HttpError && error.status < 500) return EXIT_CODES.usage;
+  return EXIT_CODES.agent;
+};
+
+/**
+ * Runs the CLI and resolves to its exit code. Titles go to `stdout`;
+ * warnings and errors go to `stderr`, so piping the output stays clean.
+ * `config` is the server config (see config.js); `deps` reach the
+ * provider, like createApp's.
+ */
+export const runCli = async (argv, { config, deps = {}, stdin, stdout, stderr }) => {
+  try {
+    let values;
+    try {
+      ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    if (values.help) {
+      stdout.write(USAGE);
+      return EXIT_CODES.ok;
+    }
+    if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    if (values.provider && !PROVIDER_NAMES.includes(values.provider)) {
+      throw new UsageError(`--provider must be one of ${PROVIDER_NAMES.join(', ')}`);
+    }
+
+    const brief = await readBrief(values, { stdin });
+    const pipeline = createPipeline({ ...config, provider: values.provider || config.provider }, deps);
+    const output = await pipeline.generate(brief);
+
+    for (const warning of output.warnings) stderr.write(`warning: ${warning}\n`);
+    stdout.write(formatOutput(output, values.format));
+    return EXIT_CODES.ok;
+  } catch (error) {
+    const where = error instanceof NormalizeError ? ` [${error.code}${error.source ? ` at ${error.source}` : ''}]` : '';
+    stderr.write(`error: ${error.message}${where}\n`);
+    if (error instanceof UsageError) stderr.write('Run with --help for usage.\n');
+    return errorExitCode(error);
+  }
+};
@@ -0,0 +1,120 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { EXIT_CODES, runCli } from './cli.js';
+import { loadConfig } from './config.js';
+
+const config = { ...loadConfig({}), provider: 'mock', mock: { delayMs: 0 } };
+
+// A piped stdin unless `text` is null, which stands for an interactive terminal
+const input = (text) => (text === null ? Object.assign(Readable.from([]), { isTTY: true }) : Readable.from([text]));
+
+const run = async (argv, { stdin = null, deps } = {}) => {
+  let stdout = '';
+  let stderr = '';
+  const code = await runCli(argv, {
+    config,
+    deps,
+    stdin: input(stdin),
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } },
+  });
+  return { code, stdout, stderr };
+};
+
+// Answers the MindStudio provider's request with `body`
+const agentReplying = (status, body) => ({
+  fetch: async () => new Response(body, { status, headers: { 'Content-Type': 'application/json' } }),
+});
+
+const MINDSTUDIO = ['--provider', 'mindstudio'];
+
+describe('titles CLI', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'titles-cli-'));
+    config.mindstudio = { ...config.mindstudio, apiKey: 'test-key', agentId: 'test-agent' };
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('prints a ranked table for a brief given as flags', async () => {
+    const { code, stdout, stderr } = await run(['--topic', 'Why SaaS startups fail', '--count', '5']);
+    expect(code).toBe(EXIT_CODES.ok);
+    expect(stderr).toBe('');
+    const lines = stdout.trimEnd().split('\n');
+    expect(lines[0]).toMatch(/^#\s+TITLE\s+CHARS\s+THUMBNAIL$/);
+    expect(lines.slice(1).map(line => line.split(/\s+/)[0])).toEqual(['1', '2', '3', '4', '5']);
+  });
+
+  it('counts characters the way the app does', async () => {
+    // A flag emoji and an e with a combining accent count as one character each
+    const title = 'Cafe\u0301 pricing in 🇫🇷 explained';
+    const { code, stdout } = await run([...MINDSTUDIO, '--topic', 'x'], {
+      deps: agentReplying(200, JSON.stringify({ result: { output: JSON.stringify({ titles: [{ rank: 1, youtube_title: title }] }) } })),
+    });
+    expect(code).toBe(EXIT_CODES.ok);
+    // 27 characters, 30 code points
+    expect(stdout.trimEnd().split('\n')[1]).toMatch(/ 27$/);
+  });
+
+  it('reads the brief from a JSON file, with flags taking precedence', async () => {
+    const file = path.join(dir, 'brief.json');
+    await writeFile(file, JSON.stringify({ topic: 'Pricing mistakes', tone: 'Viral', description_count: 10 }));
+
+    const { code, stdout } = await run(['--brief', file, '--tone', 'SEO', '--count', '5', '--format', 'json']);
+    expect(code).toBe(EXIT_CODES.ok);
+    const output = JSON.parse(stdout);
+    expect(output.provider).toBe('mock');
+    expect(output.titles).toHaveLength(5);
+    expect(output.titles.map(t => t.rank)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('reads piped stdin and writes CSV with one block per language', async () => {
+    const { code, stdout } = await run(['-f', 'csv', '--languages', 'en,es'], {
+      stdin: JSON.stringify({ topic: 'Why SaaS startups fail', description_count: 5 }),
+    });
+    expect(code).toBe(EXIT_CODES.ok);
+    const rows = stdout.trimEnd().split('\r\n');
+    expect(rows[0]).toBe('rank,language,youtube_title,thumbnail_text,ctr_rationale,back_translation');
+    expect(rows.slice(1).map(row => row.split(',')[1])).toEqual([...Array(5).fill('en'), ...Array(5).fill('es')]);
+  });
+
+  it('routes --provider to the agent and exits 1 when its output is unusable', async () => {
+    const { code, stdout, stderr } = await run([...MINDSTUDIO, '--topic', 'x'], {
+      deps: agentReplying(200, JSON.stringify({ result: { output: '{"titles": []}' } })),
+    });
+    expect(code).toBe(EXIT_CODES.agent);
+    expect(stdout).toBe('');
+    expect(stderr).toBe('error: Agent returned no titles [NO_TITLES at result.output]\n');
+  });
+
+  it('exits 1 when the agent request fails', async () => {
+    const { code, stderr } = await run([...MINDSTUDIO, '--topic', 'x'], { deps: agentReplying(500, 'boom') });
+    expect(code).toBe(EXIT_CODES.agent);
+    expect(stderr).toMatch(/^error: Agent request failed: 500/);
+  });
+
+  it('exits 2 for bad flags, missing briefs and invalid briefs', async () => {
+    expect((await run(['--topic', 'x', '--format', 'xml'])).code).toBe(EXIT_CODES.usage);
+    expect((await run(['--topic', 'x', '--provider', 'openai'])).code).toBe(EXIT_CODES.usage);
+    expect((await run(['--nope'])).code).toBe(EXIT_CODES.usage);
+    expect((await run(['--brief', path.join(dir, 'missing.json')])).code).toBe(EXIT_CODES.usage);
+    expect((await run([], { stdin: '' })).stderr).toMatch(/No brief given/);
+
+    const invalid = await run(['--topic', 'x', '--count', '50']);
+    expect(invalid.code).toBe(EXIT_CODES.usage);
+    expect(invalid.stderr).toBe('error: `description_count` must be between 1 and 20\n');
+  });
+
+  it('wants a topic when there is no brief to read', async () => {
+    const { code, stderr } = await run(['--tone', 'SEO']);
+    expect(code).toBe(EXIT_CODES.usage);
+    expect(stderr).toBe('error: `topic` is required\n');
+  });
+});
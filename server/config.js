@@ -0,0 +1,56 @@
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+/**
+ * SERVER CONFIG
+ * Everything secret (API key, agent ID) lives here and only here.
+ * Values come from the process environment; a `.env` file in the project
+ * root is loaded first when present so local setups don't need exports.
+ */
+export const loadConfig = (env = process.env) => {
+  return {
+    port: toInt(env.PORT, 8787),
+    // Only honour X-Forwarded-For when we know a proxy sits in front of us,
+    // otherwise any client could dodge the rate limiter by spoofing the header.
+    trustProxy: env.TRUST_PROXY === 'true',
+    staticDir: env.STATIC_DIR || path.join(ROOT_DIR, 'dist'),
+    provider: env.GENERATION_PROVIDER || 'mindstudio',
+    reviewsDir: env.REVIEWS_DIR || path.join(ROOT_DIR, 'data', 'reviews'),
+    mindstudio: {
+      baseUrl: env.MINDSTUDIO_BASE_URL || 'https://v1.mindstudio-api.com',
+      apiKey: env.MINDSTUDIO_API_KEY || '',
+      agentId: env.MINDSTUDIO_AGENT_ID || '',
+      workflow: env.MINDSTUDIO_WORKFLOW || 'Main',
+      timeoutMs: toInt(env.MINDSTUDIO_TIMEOUT_MS, 300_000),
+    },
+    // Agent runs allowed in flight at once; the rest wait in line
+    concurrency: toInt(env.GENERATION_CONCURRENCY, 4),
+    // Keeps /api/generate/stream talking while a run is queued or working,
+    // well inside the browser's idle timeout (src/api.js)
+    heartbeatMs: toInt(env.STREAM_HEARTBEAT_MS, 15_000),
+    mock: {
+      delayMs: toInt(env.MOCK_DELAY_MS, 800),
+    },
+    rateLimit: {
+      windowMs: toInt(env.RATE_LIMIT_WINDOW_MS, 60_000),
+      max: toInt(env.RATE_LIMIT_MAX, 10),
+    },
+    // Review writes (create, vote, comment, approve) have their own budget
+    reviewRateLimit: {
+      windowMs: toInt(env.REVIEW_RATE_LIMIT_WINDOW_MS, 60_000),
+      max: toInt(env.REVIEW_RATE_LIMIT_MAX, 30),
+    },
+  };
+};
+
+export const loadEnvFile = (file = path.join(ROOT_DIR, '.env')) => {
+  if (existsSync(file)) process.loadEnvFile(file);
+};
@@ -0,0 +1,96 @@
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json',
+};
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+export const sendJson = (res, status, payload, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(payload));
+};
+
+// Newline-delimited JSON: one event object per line, flushed as it happens
+export const openNdjsonStream = (res, headers = {}) => {
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'X-Accel-Buffering': 'no',
+    ...headers,
+  });
+  return (event) => {
+    if (!res.writableEnded) res.write(`${JSON.stringify(event)}\n`);
+  };
+};
+
+export const readJsonBody = async (req) => {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8');
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, 'Request body must be valid JSON');
+  }
+};
+
+export const clientKey = (req, trustProxy) => {
+  if (trustProxy) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (typeof forwarded === 'string' && forwarded) return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || 'unknown';
+};
+
+/**
+ * Serves the built SPA out of `dist/`. Unknown paths fall back to
+ * index.html so client-side routes keep working on refresh.
+ */
+export const serveStatic = async (req, res, rootDir) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    throw new HttpError(400, 'Bad request path');
+  }
+  let filePath = path.join(rootDir, path.normalize(decoded));
+  if (!filePath.startsWith(rootDir)) throw new HttpError(403, 'Forbidden');
+
+  let info = await stat(filePath).catch(() => null);
+  if (!info || info.isDirectory()) {
+    filePath = path.join(rootDir, 'index.html');
+    info = await stat(filePath).catch(() => null);
+  }
+  if (!info) throw new HttpError(404, 'Not found - run `npm run build` first');
+
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+    'Content-Length': info.size,
+  });
+  createReadStream(filePath).pipe(res);
+};
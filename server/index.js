@@ -0,0 +1,14 @@
+import http from 'node:http';
+import { createApp } from './app.js';
+import { loadConfig, loadEnvFile } from './config.js';
+
+loadEnvFile();
+const config = loadConfig();
+
+if (config.provider === 'mindstudio' && !config.mindstudio.apiKey) {
+  console.warn('MINDSTUDIO_API_KEY is not set - /api/generate will fail until it is (or use GENERATION_PROVIDER=mock).');
+}
+
+http.createServer(createApp(config)).listen(config.port, () => {
+  console.log(`API server listening on http://localhost:${config.port} (provider: ${config.provider})`);
+});
@@ -0,0 +1,86 @@
+import { HttpError } from './http.js';
+
+/**
+ * TARGET LANGUAGES
+ * A brief can ask for titles in several languages. The agent handles one
+ * language per run, so each language is its own provider call with the
+ * locale spelled out in flat prompt variables:
+ *
+ *   language         BCP 47 tag, e.g. "ja" or "pt-BR"
+ *   language_name    "Japanese (日本語)"
+ *   text_direction   "ltr" | "rtl"
+ *   language_prompt  a ready-made instruction for the prompt
+ *
+ * Every returned title is tagged with its `language`. Non-English titles
+ * carry a literal English `back_translation`.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+export const MAX_LANGUAGES = 5;
+
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+const primarySubtag = (code) => code.split('-')[0].toLowerCase();
+
+export const parseLanguages = (raw) => {
+  if (raw === undefined || raw === null) return [DEFAULT_LANGUAGE];
+  if (!Array.isArray(raw) || !raw.length) throw new HttpError(400, '`languages` must be a non-empty array of language tags');
+  if (raw.length > MAX_LANGUAGES) throw new HttpError(400, `At most ${MAX_LANGUAGES} languages per request`);
+
+  const languages = raw.map((tag) => {
+    try {
+      if (typeof tag !== 'string') throw new RangeError();
+      return Intl.getCanonicalLocales(tag)[0];
+    } catch {
+      throw new HttpError(400, `\`languages\` has an invalid language tag: ${JSON.stringify(tag)}`);
+    }
+  });
+  return [...new Set(languages)];
+};
+
+const displayName = (code, locale) => {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+export const languageVariables = (code) => {
+  const english = displayName(code, 'en');
+  const native = displayName(code, code);
+  const languageName = native === english ? english : `${english} (${native})`;
+  const isEnglish = primarySubtag(code) === 'en';
+  return {
+    language: code,
+    language_name: languageName,
+    text_direction: RTL_LANGUAGES.has(primarySubtag(code)) ? 'rtl' : 'ltr',
+    language_prompt: isEnglish
+      ? `Write every title and thumbnail text in ${languageName} (${code}).`
+      : `Write every title and thumbnail text natively in ${languageName} (${code}) for viewers in that locale - adapt idioms and hooks rather than translating word for word. For each title also return back_translation: a literal English translation.`,
+  };
+};
+
+// The brief for one language's run, without the list of all languages
+export const localizeBrief = (brief, code) => {
+  const { languages: _all, ...rest } = brief;
+  return { ...rest, ...languageVariables(code) };
+};
+
+export const tagLanguage = (titles, code) => titles.map(title => ({ ...title, language: code }));
+
+/**
+ * Runs `run(localizedBrief)` once per language of the brief, one after
+ * another, and merges the results. Warnings are prefixed with their
+ * language when there is more than one.
+ */
+export const generateInLanguages = async (brief, run) => {
+  const merged = { titles: [], source: null, warnings: [] };
+  for (const code of brief.languages) {
+    const output = await run(localizeBrief(brief, code));
+    merged.titles.push(...tagLanguage(output.titles, code));
+    merged.source ??= output.source;
+    merged.warnings.push(...(output.warnings || []).map(w => (brief.languages.length > 1 ? `[${code}] ${w}` : w)));
+  }
+  return merged;
+};
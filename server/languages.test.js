@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { generateInLanguages, languageVariables, parseLanguages } from './languages.js';
+
+describe('parseLanguages', () => {
+  it('defaults to English and canonicalizes tags', () => {
+    expect(parseLanguages(undefined)).toEqual(['en']);
+    expect(parseLanguages(['PT-br', 'ja', 'ja'])).toEqual(['pt-BR', 'ja']);
+  });
+
+  it('rejects invalid tags and too many languages', () => {
+    expect(() => parseLanguages(['not a tag'])).toThrow(/invalid language tag/);
+    expect(() => parseLanguages([])).toThrow(/non-empty/);
+    expect(() => parseLanguages(['en', 'es', 'fr', 'de', 'ja', 'ko'])).toThrow(/At most 5/);
+  });
+});
+
+describe('languageVariables', () => {
+  it('names the locale in English and natively, with its direction', () => {
+    expect(languageVariables('ar')).toMatchObject({ language: 'ar', language_name: 'Arabic (العربية)', text_direction: 'rtl' });
+    expect(languageVariables('en')).toMatchObject({ language_name: 'English', text_direction: 'ltr' });
+    expect(languageVariables('ja').language_prompt).toMatch(/back_translation/);
+  });
+});
+
+describe('generateInLanguages', () => {
+  it('runs each language in order and tags its titles', async () => {
+    const seen = [];
+    const output = await generateInLanguages({ topic: 'x', languages: ['en', 'he'] }, async (brief) => {
+      seen.push(brief);
+      return { titles: [{ youtube_title: `t-${brief.language}` }], source: 'mock', warnings: ['w'] };
+    });
+
+    expect(seen.map(brief => brief.language)).toEqual(['en', 'he']);
+    expect(seen[0].languages).toBeUndefined();
+    expect(output).toEqual({
+      titles: [{ youtube_title: 't-en', language: 'en' }, { youtube_title: 't-he', language: 'he' }],
+      source: 'mock',
+      warnings: ['[en] w', '[he] w'],
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * RESPONSE NORMALIZER
+ * Turns whatever the agent run returned into a validated list of title
+ * items. The Developer API has put the payload in a few places over time;
+ * each is tried in order and the one that matched is reported back as
+ * `source`, so odd responses can be traced without dumping raw JSON.
+ */
+
+export const MAX_RANK = 50;
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Schema for one title item. `coerce` receives the raw value and returns the
+ * cleaned value, or undefined when the field is missing/unusable.
+ */
+export const TITLE_ITEM_SCHEMA = {
+  rank: { type: 'integer', required: false, min: 1, max: MAX_RANK },
+  youtube_title: { type: 'string', required: true, maxLength: MAX_TITLE_LENGTH, aliases: ['title'] },
+  thumbnail_text: { type: 'string', required: false, aliases: ['thumbnail'] },
+  ctr_rationale: { type: 'string', required: false, aliases: ['rationale'] },
+  // Literal English translation of a non-English title
+  back_translation: { type: 'string', required: false, maxLength: MAX_TITLE_LENGTH, aliases: ['translation', 'english_translation'] },
+};
+
+export const NORMALIZE_ERRORS = {
+  NOT_JSON: 'NOT_JSON',
+  MALFORMED_JSON: 'MALFORMED_JSON',
+  UNRECOGNIZED_SHAPE: 'UNRECOGNIZED_SHAPE',
+  NO_TITLES: 'NO_TITLES',
+  INVALID_TITLES: 'INVALID_TITLES',
+};
+
+export class NormalizeError extends Error {
+  constructor(code, message, { source = null } = {}) {
+    super(message);
+    this.name = 'NormalizeError';
+    this.code = code;
+    this.source = source;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const cleanString = (value) => {
+  if (typeof value === 'number') value = String(value);
+  if (typeof value !== 'string') return undefined;
+  const cleaned = value.replace(/\s+/g, ' ').trim();
+  return cleaned || undefined;
+};
+
+const coerceField = (spec, value) => {
+  if (spec.type === 'integer') {
+    const parsed = typeof value === 'number' ? value : parseInt(String(value ?? '').replace(/^#/, ''), 10);
+    if (!Number.isFinite(parsed)) return undefined;
+    return Math.min(spec.max, Math.max(spec.min, Math.round(parsed)));
+  }
+  const text = cleanString(value);
+  if (text === undefined) return undefined;
+  return spec.maxLength ? text.slice(0, spec.maxLength) : text;
+};
+
+const readField = (raw, field, spec) => {
+  for (const key of [field, ...(spec.aliases || [])]) {
+    if (raw[key] !== undefined && raw[key] !== null) return raw[key];
+  }
+  return undefined;
+};
+
+/**
+ * Validates and coerces a single item against TITLE_ITEM_SCHEMA.
+ * Returns `{ item }` or `{ error }` describing why it was rejected.
+ */
+export const normalizeTitleItem = (raw) => {
+  if (typeof raw === 'string') raw = { youtube_title: raw };
+  if (!isObject(raw)) return { error: `expected an object or string, got ${Array.isArray(raw) ? 'array' : typeof raw}` };
+
+  const item = {};
+  for (const [field, spec] of Object.entries(TITLE_ITEM_SCHEMA)) {
+    const value = coerceField(spec, readField(raw, field, spec));
+    if (value === undefined && spec.required) return { error: `missing ${field}` };
+    item[field] = value ?? null;
+  }
+  return { item };
+};
+
+/**
+ * Normalizes a bare list of items: drops invalid ones, fills in missing
+ * ranks from list position, clamps ranks to the list length and sorts.
+ */
+export const normalizeTitles = (list, { source = null } = {}) => {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new NormalizeError(NORMALIZE_ERRORS.NO_TITLES, 'Agent returned no titles', { source });
+  }
+
+  const warnings = [];
+  const titles = [];
+  list.forEach((raw, index) => {
+    const { item, error } = normalizeTitleItem(raw);
+    if (error) warnings.push(`Dropped item ${index + 1}: ${error}`);
+    else titles.push({ ...item, rank: Math.min(item.rank ?? index + 1, list.length) });
+  });
+
+  if (titles.length === 0) {
+    throw new NormalizeError(NORMALIZE_ERRORS.INVALID_TITLES, `Agent returned ${list.length} titles but none were valid`, { source });
+  }
+
+  // Array.prototype.sort is stable, so equal ranks keep the agent's order
+  titles.sort((a, b) => a.rank - b.rank);
+  return { titles, warnings };
+};
+
+const parseMaybeJson = (value, source) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new NormalizeError(NORMALIZE_ERRORS.MALFORMED_JSON, `Malformed JSON in ${source}`, { source });
+  }
+};
+
+// Unwraps the payload found at a path down to the titles array:
+// [..], { titles }, { output: [..] } or { output: { titles } }
+const findTitleList = (payload) => {
+  if (Array.isArray(payload)) return payload;
+  if (!isObject(payload)) return undefined;
+  if (payload.titles !== undefined) return payload.titles;
+  if (payload.output !== undefined) return findTitleList(payload.output);
+  return undefined;
+};
+
+// Where the payload may live, in priority order
+const SOURCES = [
+  { source: 'result.output', read: (r) => r.result?.output },
+  { source: 'result.titles', read: (r) => r.result?.titles },
+  { source: 'thread.variables.output.value', read: (r) => r.thread?.variables?.output?.value },
+  { source: 'titles', read: (r) => r.titles },
+  { source: 'output', read: (r) => r.output },
+];
+
+/**
+ * Normalizes a raw agent response (JSON text or parsed object).
+ * Returns `{ titles, source, warnings }` or throws a NormalizeError.
+ */
+export const normalizeAgentResponse = (response) => {
+  let body = response;
+  if (typeof response === 'string') {
+    try {
+      body = JSON.parse(response);
+    } catch {
+      throw new NormalizeError(NORMALIZE_ERRORS.NOT_JSON, 'Agent returned a non-JSON response');
+    }
+  }
+  if (!isObject(body)) {
+    throw new NormalizeError(NORMALIZE_ERRORS.UNRECOGNIZED_SHAPE, 'Agent response was not an object');
+  }
+
+  for (const { source, read } of SOURCES) {
+    const value = read(body);
+    if (value === undefined || value === null) continue;
+
+    const list = findTitleList(parseMaybeJson(value, source));
+    if (list === undefined) continue;
+    return { ...normalizeTitles(list, { source }), source };
+  }
+
+  throw new NormalizeError(
+    NORMALIZE_ERRORS.UNRECOGNIZED_SHAPE,
+    `Agent response had no titles at any known path (${SOURCES.map(s => s.source).join(', ')})`,
+  );
+};
+
+const TITLE_KEYS = ['youtube_title', ...TITLE_ITEM_SCHEMA.youtube_title.aliases];
+
+/**
+ * Picks title items out of agent output text while it is still arriving.
+ * `push(text)` appends the next slice and returns the raw items it
+ * completed: flat JSON objects with a title field, in output order.
+ * Wrappers such as `{ "titles": [...] }` never match, and anything that
+ * does not parse is left for normalizeAgentResponse to report on the full
+ * output.
+ */
+export const createTitleScanner = () => {
+  let text = '';
+  let index = 0;
+  let inString = false;
+  let escaped = false;
+  const open = []; // { start, nested } per unclosed brace
+
+  const push = (slice) => {
+    text += slice;
+    const items = [];
+    for (; index < text.length; index++) {
+      const char = text[index];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (open.length) open[open.length - 1].nested = true;
+        open.push({ start: index, nested: false });
+      } else if (char === '}') {
+        const object = open.pop();
+        if (!object || object.nested) continue;
+        try {
+          const raw = JSON.parse(text.slice(object.start, index + 1));
+          if (TITLE_KEYS.some(key => raw[key] !== undefined)) items.push(raw);
+        } catch {
+          // reported once the whole output is in
+        }
+      }
+    }
+    return items;
+  };
+
+  return { push };
+};
@@ -0,0 +1,151 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import {
+  NORMALIZE_ERRORS, NormalizeError, createTitleScanner, normalizeAgentResponse, normalizeTitleItem,
+} from './normalize.js';
+
+const fixture = (name) => readFileSync(new URL(`./__fixtures__/agent-responses/${name}.json`, import.meta.url), 'utf8');
+
+const EXPECTED_TITLES = [
+  'Why 90% of SaaS Startups Die in Year One',
+  'Stop Building Features Nobody Wants',
+  'Retention Is the New Acquisition',
+];
+
+const expectError = (fn, code, source = null) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(NormalizeError);
+    expect(error.code).toBe(code);
+    expect(error.source).toBe(source);
+    return error;
+  }
+  throw new Error(`expected a ${code} NormalizeError`);
+};
+
+describe('normalizeAgentResponse', () => {
+  it.each([
+    ['result-output-string', 'result.output'],
+    ['result-output-object', 'result.output'],
+    ['result-output-nested-array', 'result.output'],
+    ['result-titles', 'result.titles'],
+    ['thread-output-value-string', 'thread.variables.output.value'],
+    ['thread-output-value-object', 'thread.variables.output.value'],
+    ['result-without-titles-falls-back-to-thread', 'thread.variables.output.value'],
+  ])('reads %s from %s', (name, source) => {
+    const result = normalizeAgentResponse(fixture(name));
+
+    expect(result.source).toBe(source);
+    expect(result.warnings).toEqual([]);
+    expect(result.titles.map(t => t.youtube_title)).toEqual(EXPECTED_TITLES);
+    expect(result.titles.map(t => t.rank)).toEqual([1, 2, 3]);
+    expect(result.titles[0]).toEqual({
+      rank: 1,
+      youtube_title: 'Why 90% of SaaS Startups Die in Year One',
+      thumbnail_text: 'YEAR ONE',
+      ctr_rationale: 'Statistic plus stakes creates urgency.',
+      back_translation: null,
+    });
+  });
+
+  it('keeps back-translations of localized titles', () => {
+    const result = normalizeAgentResponse(fixture('localized-titles'));
+
+    expect(result.titles.map(t => t.back_translation)).toEqual([
+      'Why 90% of startups die in their first year',
+      'Stop building features nobody wants',
+    ]);
+    expect(result.titles[0].youtube_title).toBe('لماذا تموت 90% من الشركات الناشئة في عامها الأول');
+  });
+
+  it('accepts an already-parsed object', () => {
+    const result = normalizeAgentResponse(JSON.parse(fixture('result-titles')));
+    expect(result.titles).toHaveLength(3);
+  });
+
+  it('turns string titles into items ranked by position', () => {
+    const result = normalizeAgentResponse(fixture('string-titles'));
+
+    expect(result.source).toBe('result.titles');
+    expect(result.titles).toEqual([
+      { rank: 1, youtube_title: 'First title', thumbnail_text: null, ctr_rationale: null, back_translation: null },
+      { rank: 2, youtube_title: 'Second title', thumbnail_text: null, ctr_rationale: null, back_translation: null },
+      { rank: 3, youtube_title: 'Third title', thumbnail_text: null, ctr_rationale: null, back_translation: null },
+    ]);
+  });
+
+  it('coerces messy items and reports the ones it dropped', () => {
+    const result = normalizeAgentResponse(fixture('messy-items'));
+
+    expect(result.titles).toEqual([
+      { rank: 1, youtube_title: 'Negative rank', thumbnail_text: null, ctr_rationale: null, back_translation: null },
+      { rank: 3, youtube_title: 'Aliased title field', thumbnail_text: null, ctr_rationale: null, back_translation: null },
+      { rank: 5, youtube_title: 'Rank far above the list length', thumbnail_text: null, ctr_rationale: null, back_translation: null },
+    ]);
+    expect(result.warnings).toEqual([
+      'Dropped item 4: missing youtube_title',
+      'Dropped item 5: expected an object or string, got number',
+    ]);
+  });
+
+  it('reports an empty titles array as NO_TITLES', () => {
+    const error = expectError(() => normalizeAgentResponse(fixture('empty-titles')), NORMALIZE_ERRORS.NO_TITLES, 'result.titles');
+    expect(error.message).toBe('Agent returned no titles');
+  });
+
+  it('reports broken JSON in output.value as MALFORMED_JSON', () => {
+    const error = expectError(
+      () => normalizeAgentResponse(fixture('malformed-output-value')),
+      NORMALIZE_ERRORS.MALFORMED_JSON,
+      'thread.variables.output.value',
+    );
+    expect(error.message).toBe('Malformed JSON in thread.variables.output.value');
+  });
+
+  it('reports a plain-text result.output as MALFORMED_JSON', () => {
+    expectError(() => normalizeAgentResponse(fixture('malformed-result-output')), NORMALIZE_ERRORS.MALFORMED_JSON, 'result.output');
+  });
+
+  it('reports a response with no known path as UNRECOGNIZED_SHAPE', () => {
+    expectError(() => normalizeAgentResponse(fixture('no-known-path')), NORMALIZE_ERRORS.UNRECOGNIZED_SHAPE);
+  });
+
+  it('reports a list with no valid items as INVALID_TITLES', () => {
+    expectError(() => normalizeAgentResponse(fixture('all-items-invalid')), NORMALIZE_ERRORS.INVALID_TITLES, 'result.titles');
+  });
+
+  it('reports a non-JSON body as NOT_JSON', () => {
+    expectError(() => normalizeAgentResponse('<html>502 Bad Gateway</html>'), NORMALIZE_ERRORS.NOT_JSON);
+  });
+});
+
+describe('normalizeTitleItem', () => {
+  it('collapses whitespace and caps title length', () => {
+    const { item } = normalizeTitleItem({ youtube_title: `  a\n\tb ${'x'.repeat(300)}` });
+    expect(item.youtube_title.startsWith('a b x')).toBe(true);
+    expect(item.youtube_title).toHaveLength(200);
+  });
+
+  it('clamps rank into the schema range', () => {
+    expect(normalizeTitleItem({ youtube_title: 't', rank: 0 }).item.rank).toBe(1);
+    expect(normalizeTitleItem({ youtube_title: 't', rank: 1000 }).item.rank).toBe(50);
+    expect(normalizeTitleItem({ youtube_title: 't', rank: 'soon' }).item.rank).toBe(null);
+  });
+});
+
+describe('createTitleScanner', () => {
+  it('returns each title item once its object closes, across slices', () => {
+    const scanner = createTitleScanner();
+    expect(scanner.push('{"titles": [{"rank": 1, "youtube_title": "Braces { in \\"quotes\\" }", ')).toEqual([]);
+    expect(scanner.push('"thumbnail_text": "A"}, {"title": "Sec')).toEqual([
+      { rank: 1, youtube_title: 'Braces { in "quotes" }', thumbnail_text: 'A' },
+    ]);
+    expect(scanner.push('ond"}]}')).toEqual([{ title: 'Second' }]);
+  });
+
+  it('skips wrappers and objects without a title', () => {
+    const scanner = createTitleScanner();
+    expect(scanner.push('{"output": {"meta": {"model": "x"}, "titles": ["plain string"]}}')).toEqual([]);
+  });
+});
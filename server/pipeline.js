@@ -0,0 +1,31 @@
+import { parseBrief } from './brief.js';
+import { generateInLanguages, tagLanguage } from './languages.js';
+import { createProvider, streamTitles } from './providers/index.js';
+
+/**
+ * GENERATION PIPELINE
+ * Brief in, normalized titles out, with no HTTP around it: validate the
+ * brief, run the provider once per language and merge the results, each
+ * language's titles in rank order. The API server and the command-line
+ * tool (bin/titles.js) both generate through here.
+ */
+export const createPipeline = (config, deps = {}) => {
+  const provider = createProvider(config, deps);
+
+  /**
+   * Runs an already validated brief. With `onTitles`, titles are passed
+   * on in batches as they arrive (tagged with their language).
+   */
+  const run = (brief, { signal, onTitles } = {}) => generateInLanguages(brief, localized => (onTitles
+    ? streamTitles(provider, localized, { signal, onTitles: titles => onTitles(tagLanguage(titles, localized.language)) })
+    : provider.generate(localized, { signal })));
+
+  /**
+   * Validates raw brief fields (as posted to /api/generate) and runs them.
+   * Resolves to `{ titles, source, warnings, provider }`; throws HttpError
+   * for an invalid brief and NormalizeError for unusable agent output.
+   */
+  const generate = async (input, options) => ({ ...(await run(parseBrief(input), options)), provider: provider.name });
+
+  return { provider, run, generate };
+};
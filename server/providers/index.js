@@ -0,0 +1,43 @@
+import { HttpError } from '../http.js';
+import { createMindStudioProvider } from './mindstudio.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * GENERATION PROVIDERS
+ * A provider turns a validated brief into a normalized titles payload:
+ *
+ *   {
+ *     name: string,
+ *     generate(brief, { signal }) => Promise<{ titles, source, warnings }>,
+ *     stream?(brief, { signal, onTitles }) => Promise<{ titles, source, warnings }>
+ *   }
+ *
+ * `titles` items follow TITLE_ITEM_SCHEMA in ../normalize.js. Providers
+ * throw NormalizeError when their upstream returns nothing usable.
+ * `stream` is optional: it calls `onTitles(batch)` as titles arrive and
+ * resolves with the full payload once the run is done.
+ *
+ * Pick one with GENERATION_PROVIDER. `mock` needs no network or key.
+ */
+const PROVIDERS = {
+  mindstudio: (config, deps) => createMindStudioProvider(config.mindstudio, deps),
+  mock: (config) => createMockProvider(config.mock),
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export const createProvider = (config, deps = {}) => {
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    throw new HttpError(500, `Unknown generation provider "${config.provider}" (expected one of ${PROVIDER_NAMES.join(', ')})`);
+  }
+  return factory(config, deps);
+};
+
+// Providers without `stream` deliver everything as one batch at the end
+export const streamTitles = async (provider, brief, { signal, onTitles }) => {
+  if (provider.stream) return provider.stream(brief, { signal, onTitles });
+  const output = await provider.generate(brief, { signal });
+  onTitles(output.titles);
+  return output;
+};
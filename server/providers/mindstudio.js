@@ -0,0 +1,145 @@
+import { HttpError } from '../http.js';
+import { createTitleScanner, normalizeAgentResponse, normalizeTitleItem } from '../normalize.js';
+
+/**
+ * MINDSTUDIO PROVIDER
+ * Runs the hosted title agent through the Developer API. `stream` asks for
+ * server-sent events: `{ type: 'chunk', chunk }` events carry the agent's
+ * output text as it is written and a final `{ type: 'complete', ... }`
+ * event carries the same envelope as a buffered run. Titles are passed on
+ * as soon as their JSON object closes. An answer that is not an event
+ * stream is read like `generate`'s, as one batch.
+ *
+ * Every call is bounded by `timeoutMs` so a hung agent can't hold a queue
+ * slot (or the command-line tool) forever.
+ */
+// The agent takes flat string variables, so the refinement is spread out
+// into refine_* fields (empty when generating from scratch)
+const toWebhookParams = ({ refinement, ...brief }) => ({
+  ...brief,
+  refine_action: refinement?.action || '',
+  refine_parent_title: refinement?.parent_title || '',
+  refine_parent_thumbnail_text: refinement?.parent_thumbnail_text || '',
+  refine_feedback: refinement?.feedback || '',
+});
+
+// The `data` of each server-sent event, parsed; keep-alive comments and
+// data that isn't JSON are skipped
+async function* readEvents(body) {
+  const parse = (block) => {
+    const data = block.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).trimStart()).join('\n');
+    try {
+      return data ? JSON.parse(data) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      const event = parse(block);
+      if (event) yield event;
+    }
+  }
+  const event = parse(buffer);
+  if (event) yield event;
+}
+
+export const createMindStudioProvider = (
+  { baseUrl, apiKey, agentId, workflow, timeoutMs },
+  { fetch: fetchImpl = globalThis.fetch } = {},
+) => {
+  const buildRequest = (brief, { stream = false } = {}) => ({
+    url: `${baseUrl}/developer/v2/agents/run`,
+    init: {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        ...(stream && { 'Accept': 'text/event-stream' }),
+      },
+      body: JSON.stringify({
+        agentId,
+        workflow,
+        variables: { webhookParams: toWebhookParams(brief) },
+        ...(stream && { stream: true }),
+      }),
+    },
+  });
+
+  // Throws a NormalizeError when the run didn't produce usable titles
+  const parseResponse = (text) => normalizeAgentResponse(text);
+
+  /**
+   * Sends the request and hands the OK response to `read`, all within
+   * `timeoutMs` (reading the body included). Runs out of time as a 504.
+   */
+  const call = async (brief, { signal, stream }, read) => {
+    if (!apiKey || !agentId) {
+      throw new HttpError(500, 'Server is missing MINDSTUDIO_API_KEY or MINDSTUDIO_AGENT_ID');
+    }
+
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const { url, init } = buildRequest(brief, { stream });
+    try {
+      const response = await fetchImpl(url, { ...init, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+      if (!response.ok) {
+        const text = await response.text();
+        throw new HttpError(502, `Agent request failed: ${response.status} ${response.statusText} - ${text}`);
+      }
+      return await read(response);
+    } catch (error) {
+      if (timeout.aborted && !signal?.aborted) {
+        throw new HttpError(504, `Agent did not finish within ${Math.ceil(timeoutMs / 1000)}s`);
+      }
+      throw error;
+    }
+  };
+
+  const generate = (brief, { signal } = {}) => call(brief, { signal }, async response => parseResponse(await response.text()));
+
+  const stream = (brief, { signal, onTitles }) => call(brief, { signal, stream: true }, async (response) => {
+    if (!response.headers.get('Content-Type')?.startsWith('text/event-stream')) {
+      const output = parseResponse(await response.text());
+      onTitles(output.titles);
+      return output;
+    }
+
+    const scanner = createTitleScanner();
+    const sent = new Set();
+    let seen = 0;
+    let output = '';
+    let envelope = null;
+    for await (const event of readEvents(response.body)) {
+      if (event.type === 'complete') envelope = event;
+      if (typeof event.chunk !== 'string') continue;
+      output += event.chunk;
+
+      // Ranks default to output position, as in normalizeTitles
+      const batch = [];
+      for (const raw of scanner.push(event.chunk)) {
+        seen += 1;
+        const { item } = normalizeTitleItem(raw);
+        if (!item || sent.has(item.youtube_title)) continue;
+        sent.add(item.youtube_title);
+        batch.push({ ...item, rank: item.rank ?? seen });
+      }
+      if (batch.length) onTitles(batch);
+    }
+
+    // The full output decides; whatever the scanner missed goes out last
+    const result = parseResponse(envelope ?? { result: { output } });
+    const rest = result.titles.filter(title => !sent.has(title.youtube_title));
+    if (rest.length) onTitles(rest);
+    return result;
+  });
+
+  return { name: 'mindstudio', buildRequest, parseResponse, generate, stream };
+};
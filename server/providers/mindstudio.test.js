@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+import { HttpError } from '../http.js';
+import { NORMALIZE_ERRORS } from '../normalize.js';
+import { createMindStudioProvider } from './mindstudio.js';
+
+const CONFIG = { baseUrl: 'https://agent.test', apiKey: 'key', agentId: 'agent', workflow: 'Main', timeoutMs: 1000 };
+const BRIEF = { topic: 'Why SaaS startups fail', tone: 'Viral', description_count: 3 };
+
+const item = (rank, youtube_title) => ({ rank, youtube_title, thumbnail_text: null, ctr_rationale: null, back_translation: null });
+
+const sse = (...events) => events.map(event => `data: ${JSON.stringify(event)}\n\n`);
+
+/**
+ * A fetch answering with `chunks` as a streamed body. The body waits for
+ * `next()` before each chunk after the first, so a test can look at what
+ * arrived in between.
+ */
+const streamingFetch = (chunks, contentType = 'text/event-stream') => {
+  const requests = [];
+  const waiting = [];
+  const fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    const encoder = new TextEncoder();
+    let index = 0;
+    const body = new ReadableStream({
+      async pull(controller) {
+        if (index === chunks.length) {
+          controller.close();
+          return;
+        }
+        if (index > 0) await new Promise(resolve => waiting.push(resolve));
+        controller.enqueue(encoder.encode(chunks[index++]));
+      },
+    });
+    return new Response(body, { headers: { 'Content-Type': contentType } });
+  };
+  return { fetch, requests, next: () => waiting.shift()?.() };
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('MindStudio provider stream', () => {
+  it('passes titles on as the agent writes them', async () => {
+    const agent = streamingFetch(sse(
+      { type: 'chunk', chunk: '{"titles": [{"rank": 1, "youtube_title": "First"}, {"rank": 2, ' },
+      { type: 'chunk', chunk: '"youtube_title": "Second"}, {"youtube_title": "Third"}]}' },
+    ));
+    const provider = createMindStudioProvider(CONFIG, { fetch: agent.fetch });
+    const batches = [];
+
+    const run = provider.stream(BRIEF, { onTitles: titles => batches.push(titles) });
+    await tick();
+    expect(batches).toEqual([[item(1, 'First')]]);
+    agent.next();
+    await tick();
+    agent.next();
+
+    const output = await run;
+    expect(batches).toEqual([[item(1, 'First')], [item(2, 'Second'), item(3, 'Third')]]);
+    expect(output).toMatchObject({ source: 'result.output', warnings: [] });
+    expect(output.titles.map(t => t.youtube_title)).toEqual(['First', 'Second', 'Third']);
+    expect(agent.requests[0]).toMatchObject({ agentId: 'agent', stream: true });
+  });
+
+  it('lets the final envelope decide and sends what the chunks missed', async () => {
+    const full = JSON.stringify([{ youtube_title: 'First' }, { youtube_title: 'Second' }, { youtube_title: 'Third' }]);
+    const agent = streamingFetch([
+      ': keep-alive\n\n',
+      ...sse({ type: 'chunk', chunk: full.slice(0, full.indexOf('Second') + 10) }, { type: 'complete', result: { output: full } }),
+    ]);
+    const provider = createMindStudioProvider(CONFIG, { fetch: agent.fetch });
+    const batches = [];
+
+    const run = provider.stream(BRIEF, { onTitles: titles => batches.push(titles) });
+    for (let i = 0; i < 2; i++) {
+      await tick();
+      agent.next();
+    }
+    await run;
+    expect(batches).toEqual([[item(1, 'First'), item(2, 'Second')], [item(3, 'Third')]]);
+  });
+
+  it('reads a plain JSON answer as one batch', async () => {
+    const body = JSON.stringify({ result: { output: JSON.stringify({ titles: ['A', 'B'] }) } });
+    const agent = streamingFetch([body], 'application/json');
+    const provider = createMindStudioProvider(CONFIG, { fetch: agent.fetch });
+    const batches = [];
+
+    await provider.stream(BRIEF, { onTitles: titles => batches.push(titles) });
+    expect(batches).toEqual([[item(1, 'A'), item(2, 'B')]]);
+  });
+
+  it('fails like generate when the streamed output is unusable', async () => {
+    const agent = streamingFetch(sse({ type: 'chunk', chunk: '{"titles": []}' }));
+    const provider = createMindStudioProvider(CONFIG, { fetch: agent.fetch });
+
+    await expect(provider.stream(BRIEF, { onTitles: () => {} })).rejects.toMatchObject({ code: NORMALIZE_ERRORS.NO_TITLES });
+  });
+});
+
+describe('MindStudio provider timeout', () => {
+  // Never answers, but gives up when its signal fires, like fetch
+  const hungFetch = async (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+
+  it('answers 504 when the agent takes longer than timeoutMs', async () => {
+    const provider = createMindStudioProvider({ ...CONFIG, timeoutMs: 20 }, { fetch: hungFetch });
+    const error = await provider.generate(BRIEF).catch(e => e);
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).toMatchObject({ status: 504, message: 'Agent did not finish within 1s' });
+  });
+
+  it('passes the caller abort on unchanged', async () => {
+    const provider = createMindStudioProvider({ ...CONFIG, timeoutMs: 1000 }, { fetch: hungFetch });
+    const controller = new AbortController();
+    const run = provider.stream(BRIEF, { signal: controller.signal, onTitles: () => {} });
+    controller.abort(new Error('Client disconnected'));
+    await expect(run).rejects.toThrow('Client disconnected');
+  });
+});
@@ -0,0 +1,269 @@
+import { normalizeTitles } from '../normalize.js';
+
+/**
+ * MOCK PROVIDER
+ * Deterministic, offline stand-in for the agent. The same brief always
+ * yields the same titles, so demos and tests are reproducible.
+ */
+
+// Words that never make a good keyword on their own (function words plus
+// the generic verbs and time words briefs tend to use)
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'in', 'into',
+  'is', 'it', 'its', 'most', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'this', 'to', 'vs', 'we', 'what',
+  'when', 'why', 'will', 'with', 'you', 'your',
+  'day', 'days', 'fail', 'fails', 'first', 'focusing', 'get', 'ignoring', 'learn', 'make', 'new', 'use', 'using',
+  'year', 'years',
+]);
+
+// Each template returns [youtube_title, thumbnail_text, ctr_rationale]
+const TEMPLATES = {
+  Viral: [
+    ({ subject }) => [`Nobody Talks About This: ${subject}`, 'THE HIDDEN TRUTH', 'Implied secret creates a curiosity gap the viewer has to close.'],
+    ({ keyword, n }) => [`I Tried ${keyword} for ${n} Days (Unexpected)`, `DAY ${n}...`, 'Personal experiment plus an open loop about the result.'],
+    ({ keyword }) => [`Stop Doing ${keyword} Like This`, "YOU'RE DOING IT WRONG", 'Loss aversion: viewers click to check they are not making the mistake.'],
+    ({ subject }) => [`${subject} (It's Not What You Think)`, 'WAIT, WHAT?', 'Contradicts an assumption, pulling in viewers who hold it.'],
+    ({ keyword, n }) => [`${n} ${keyword} Mistakes Killing Your Growth`, `${n} MISTAKES`, 'Numbered list promises a scannable payoff with stakes attached.'],
+  ],
+  Educational: [
+    ({ subject }) => [`${subject}: The Complete Guide`, 'STEP BY STEP', 'Signals comprehensive value to viewers who want one definitive answer.'],
+    ({ keyword, n }) => [`${keyword} Explained in ${n} Minutes`, `${n} MIN MASTERY`, 'Time-boxed promise lowers the cost of clicking.'],
+    ({ keyword }) => [`How ${keyword} Actually Works`, 'THE REAL SYSTEM', 'Authority framing for viewers tired of surface-level takes.'],
+    ({ keyword, n }) => [`${n} ${keyword} Principles Every Expert Knows`, `${n} RULES`, 'Insider knowledge framing with a concrete, countable takeaway.'],
+    ({ audience, keyword }) => [`${keyword} for ${audience}: Start Here`, 'START HERE', 'Direct audience call-out improves relevance for the right viewer.'],
+  ],
+  Story: [
+    ({ keyword }) => [`How ${keyword} Changed Everything for Me`, 'BEFORE → AFTER', 'Transformation arc invites the viewer to imagine the same outcome.'],
+    ({ n, keyword }) => [`I Failed at ${keyword} ${n} Times. Then This Happened`, 'ROCK BOTTOM', 'Vulnerability plus an unresolved turning point.'],
+    ({ subject }) => [`The Day I Finally Understood ${subject}`, 'THE MOMENT', 'Single pivotal moment makes the story feel specific and real.'],
+    ({ keyword }) => [`From Zero to ${keyword}: My Honest Journey`, 'MY JOURNEY', 'Underdog framing with an honest tone builds trust.'],
+    ({ audience }) => [`What ${audience} Taught Me the Hard Way`, 'HARD LESSONS', 'Earned-wisdom angle that the target viewer identifies with.'],
+  ],
+  SEO: [
+    ({ keyword, year }) => [`${keyword} Tutorial (${year})`, year, 'Exact-match keyword up front with a freshness signal.'],
+    ({ keyword }) => [`${keyword}: Best Practices & Examples`, 'BEST PRACTICES', 'Matches common search modifiers for the head keyword.'],
+    ({ subject }) => [`${subject} - Beginner to Advanced`, 'FULL COURSE', 'Covers the skill range searchers filter by.'],
+    ({ keyword, n }) => [`Top ${n} ${keyword} Tips`, `TOP ${n}`, 'List query format that ranks well for "tips" searches.'],
+    ({ keyword }) => [`What Is ${keyword}? (Simple Explanation)`, 'EXPLAINED', 'Answers the literal question searchers type.'],
+  ],
+};
+
+const titleCase = (words) => words.map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+
+// FNV-1a, good enough to seed a PRNG from the brief
+const hashString = (str) => {
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Splits text on stop words and punctuation, keeping runs of up to three
+ * meaningful words with their original casing ("SaaS Startups", "Churn").
+ */
+const extractKeywords = (text) => {
+  const phrases = [];
+  for (const clause of text.split(/[.,;:!?()\n]+/)) {
+    let run = [];
+    const flush = () => {
+      if (run.length) phrases.push(titleCase(run.slice(0, 3)));
+      run = [];
+    };
+    for (const word of clause.split(/\s+/)) {
+      const clean = word.replace(/[^\p{L}\p{N}'-]/gu, '');
+      if (!clean || /^\d+$/.test(clean) || STOP_WORDS.has(clean.toLowerCase())) flush();
+      else run.push(clean);
+    }
+    flush();
+  }
+  return [...new Set(phrases)];
+};
+
+const trimWords = (text, maxLength) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  const kept = [];
+  for (const word of words) {
+    if ([...kept, word].join(' ').length > maxLength) break;
+    kept.push(word);
+  }
+  // Don't leave a dangling "in" or "the" at the cut
+  while (kept.length > 1 && STOP_WORDS.has(kept[kept.length - 1].toLowerCase())) kept.pop();
+  return kept.join(' ') || text.slice(0, maxLength);
+};
+
+export const buildMockTitles = (brief, { now = new Date() } = {}) => {
+  const tone = TEMPLATES[brief.tone] ? brief.tone : 'Viral';
+  const random = createRandom(hashString(JSON.stringify([brief.topic, brief.key_points, tone])));
+
+  // Pinned research keywords lead, so SEO titles actually use them
+  const pinned = [brief.primary_keyword, ...(brief.secondary_keywords || '').split(',')]
+    .map(k => titleCase((k || '').trim().split(/\s+/)))
+    .filter(Boolean);
+  const keywords = [...new Set([...pinned, ...extractKeywords(`${brief.topic}. ${brief.key_points || ''}`)])];
+  if (!keywords.length) keywords.push('This');
+  const subject = titleCase(trimWords(brief.topic.replace(/[.?!…]+$/, ''), 32).split(' '));
+  const audience = titleCase(trimWords(brief.target_audience || 'Beginners', 20).split(' '));
+  const year = String(now.getFullYear());
+
+  const templates = TEMPLATES[tone];
+  const count = brief.description_count || 10;
+  const offset = Math.floor(random() * templates.length);
+
+  // Walk the template x keyword grid, skipping repeats, until we have enough
+  const titles = [];
+  const seen = new Set();
+  for (let i = 0; titles.length < count; i++) {
+    const templateIndex = (i + offset) % templates.length;
+    const keyword = keywords[Math.floor(i / templates.length) % keywords.length];
+    const n = 3 + (hashString(`${templateIndex}:${keyword}`) % 8);
+    let [youtube_title, thumbnail_text, ctr_rationale] = templates[templateIndex]({ subject, keyword, audience, n, year });
+
+    if (seen.has(youtube_title)) {
+      if (i < templates.length * keywords.length) continue;
+      youtube_title = `${youtube_title} (Part ${titles.length + 1})`;
+    }
+    seen.add(youtube_title);
+    titles.push({ rank: titles.length + 1, youtube_title, thumbnail_text, ctr_rationale });
+  }
+  return titles;
+};
+
+const FILLER_WORDS = new Set(['really', 'actually', 'just', 'very', 'that', 'the', 'literally', 'honestly', 'basically']);
+
+const REFINERS = {
+  shorter: ({ parent_title: title }) => [
+    title.replace(/\s*\([^)]*\)\s*$/, ''),
+    title.split(/\s*[:|–—-]\s+/).sort((a, b) => a.length - b.length).find(part => part.split(' ').length >= 3) || title,
+    title.split(' ').filter(word => !FILLER_WORDS.has(word.toLowerCase())).join(' '),
+    trimWords(title.replace(/\s*\([^)]*\)\s*$/, ''), Math.max(20, Math.floor(title.length * 0.6))),
+  ].map(t => [t, 'Tighter cut that survives mobile truncation.']),
+  punchier: ({ parent_title: title }) => {
+    const keyword = extractKeywords(title)[0] || 'This';
+    return [
+      [`${keyword} Is Broken`, 'Blunt verdict forces a reaction.'],
+      [`Stop Ignoring ${keyword}`, 'Direct command with implied cost.'],
+      [`${keyword}: The Brutal Truth`, 'Promises candour the viewer is not getting elsewhere.'],
+      [`${trimWords(title.replace(/\s*\([^)]*\)\s*$/, ''), 36)}. Here's Why`, 'Adds an open loop to the original.'],
+    ];
+  },
+  more: (refinement, brief) => buildMockTitles({ ...brief, description_count: 10 })
+    .map(t => [t.youtube_title, `Same angle as "${refinement.parent_title}". ${t.ctr_rationale}`]),
+  seo: (refinement, brief) => buildMockTitles({ ...brief, tone: 'SEO', description_count: 10 })
+    .map(t => [t.youtube_title, t.ctr_rationale]),
+  feedback: (refinement, brief) => {
+    const { feedback } = refinement;
+    const base = /short|concise|tight/i.test(feedback) ? REFINERS.shorter(refinement, brief)
+      : /punch|bold|strong|edgy/i.test(feedback) ? REFINERS.punchier(refinement, brief)
+        : REFINERS.more(refinement, brief);
+    return base.map(([title]) => [title, `Reworked per feedback: "${feedback}".`]);
+  },
+};
+
+/**
+ * Variants of one existing title for a refinement request. Rotated by the
+ * parent title so different parents don't all get the same suggestions.
+ */
+export const buildMockRefinements = (brief) => {
+  const { refinement } = brief;
+  const candidates = REFINERS[refinement.action](refinement, brief);
+  const start = hashString(refinement.parent_title) % candidates.length;
+  const seen = new Set([refinement.parent_title]);
+  const variants = [];
+
+  for (let i = 0; i < candidates.length && variants.length < brief.description_count; i++) {
+    const [youtube_title, ctr_rationale] = candidates[(start + i) % candidates.length];
+    const clean = youtube_title.trim();
+    if (!clean || seen.has(clean)) continue;
+    seen.add(clean);
+    variants.push({
+      rank: variants.length + 1,
+      youtube_title: clean,
+      thumbnail_text: refinement.parent_thumbnail_text || null,
+      ctr_rationale,
+    });
+  }
+  return variants;
+};
+
+// A stock hook per language, [localized, English]. The mock can't translate,
+// so a localized title is this hook plus the English title; that is enough
+// to exercise non-Latin scripts, RTL layout and back-translations offline.
+const LOCALIZED_HOOKS = {
+  ar: ['لن تصدق:', "You won't believe it:"],
+  de: ['Ehrlich gesagt:', 'Honestly:'],
+  es: ['Nadie te lo dice:', 'Nobody tells you:'],
+  fr: ['Personne ne le dit :', 'Nobody says it:'],
+  he: ['האמת על', 'The truth about'],
+  hi: ['ज़रूर देखें:', 'Must watch:'],
+  id: ['Jarang yang tahu:', 'Few people know:'],
+  ja: ['【徹底解説】', '[Full breakdown]'],
+  ko: ['아무도 말하지 않는', 'That nobody talks about:'],
+  pt: ['Ninguém te conta:', 'Nobody tells you:'],
+  ru: ['Честно говоря:', 'Honestly:'],
+  tr: ['Kimse söylemiyor:', 'Nobody says it:'],
+  zh: ['【干货】', '[Practical tips]'],
+};
+
+export const localizeMockTitles = (titles, language = 'en') => {
+  const base = language.split('-')[0].toLowerCase();
+  if (base === 'en') return titles;
+  const [hook, english] = LOCALIZED_HOOKS[base] || [`[${language}]`, `[${language}]`];
+  return titles.map((title) => {
+    // Refinements start from an already localized parent
+    const text = title.youtube_title.startsWith(hook) ? title.youtube_title.slice(hook.length).trim() : title.youtube_title;
+    return { ...title, youtube_title: `${hook} ${text}`, back_translation: `${english} ${text}` };
+  });
+};
+
+// The signal may outlive many sleeps (a whole stream), so each one takes its listener back
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export const createMockProvider = ({ delayMs = 0 } = {}) => {
+  const build = (brief) => {
+    const titles = localizeMockTitles(brief.refinement ? buildMockRefinements(brief) : buildMockTitles(brief), brief.language);
+    return { ...normalizeTitles(titles, { source: 'mock' }), source: 'mock' };
+  };
+
+  const generate = async (brief, { signal } = {}) => {
+    if (delayMs) await sleep(delayMs, signal);
+    return build(brief);
+  };
+
+  // Emits one title at a time so the UI's partial state can be exercised offline
+  const stream = async (brief, { signal, onTitles }) => {
+    if (delayMs) await sleep(delayMs, signal);
+    const output = build(brief);
+    for (const [i, title] of output.titles.entries()) {
+      if (i && delayMs) await sleep(delayMs / 4, signal);
+      onTitles([title]);
+    }
+    return output;
+  };
+
+  return { name: 'mock', generate, stream };
+};
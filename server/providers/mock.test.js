@@ -0,0 +1,121 @@
+import { describe, expect, it, vi } from 'vitest';
+import { buildMockRefinements, buildMockTitles, createMockProvider, localizeMockTitles } from './mock.js';
+
+const BRIEF = {
+  topic: 'Why most SaaS startups fail in the first year',
+  key_points: 'Ignoring churn, pricing too low',
+  target_audience: 'Founders',
+  tone: 'Viral',
+  description_count: 10,
+};
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const titlesOf = (brief) => buildMockTitles(brief, { now: NOW }).map(t => t.youtube_title);
+
+describe('buildMockTitles', () => {
+  it('gives the same brief the same titles', () => {
+    expect(titlesOf(BRIEF)).toEqual(titlesOf({ ...BRIEF }));
+    expect(titlesOf({ ...BRIEF, topic: 'Pricing your first product' })).not.toEqual(titlesOf(BRIEF));
+  });
+
+  it('returns as many unique, ranked titles as asked for', () => {
+    for (const count of [1, 5, 20]) {
+      const titles = buildMockTitles({ ...BRIEF, description_count: count }, { now: NOW });
+      expect(titles).toHaveLength(count);
+      expect(titles.map(t => t.rank)).toEqual(Array.from({ length: count }, (_, i) => i + 1));
+      expect(new Set(titles.map(t => t.youtube_title)).size).toBe(count);
+    }
+  });
+
+  it('writes in the tone of the brief', () => {
+    const byTone = Object.fromEntries(['Viral', 'Educational', 'Story', 'SEO'].map(tone => [tone, titlesOf({ ...BRIEF, tone })]));
+
+    expect(new Set(Object.values(byTone).map(titles => titles.join('|'))).size).toBe(4);
+    expect(byTone.SEO.some(title => title.includes('(2026)'))).toBe(true);
+    // Custom tones fall back to the viral templates
+    expect(titlesOf({ ...BRIEF, tone: 'Contrarian' })).toEqual(byTone.Viral);
+  });
+
+  it('leads with pinned keywords', () => {
+    const titles = titlesOf({ ...BRIEF, tone: 'SEO', primary_keyword: 'churn rate' });
+    expect(titles[0]).toContain('Churn Rate');
+  });
+});
+
+describe('buildMockRefinements', () => {
+  it('returns variants other than the parent, up to the count', () => {
+    const parent_title = 'Nobody Talks About This: Why Most SaaS Startups Fail';
+    const variants = buildMockRefinements({ ...BRIEF, description_count: 3, refinement: { action: 'punchier', parent_title, feedback: '' } });
+
+    expect(variants).toHaveLength(3);
+    expect(variants.map(v => v.youtube_title)).not.toContain(parent_title);
+    expect(buildMockRefinements({ ...BRIEF, description_count: 3, refinement: { action: 'punchier', parent_title, feedback: '' } })).toEqual(variants);
+  });
+});
+
+describe('localizeMockTitles', () => {
+  const titles = [{ rank: 1, youtube_title: 'Stop Doing Churn Like This' }];
+
+  it('leaves English alone', () => {
+    expect(localizeMockTitles(titles, 'en-GB')).toBe(titles);
+  });
+
+  it('adds the language hook and an English back-translation', () => {
+    expect(localizeMockTitles(titles, 'es')).toEqual([{
+      rank: 1, youtube_title: 'Nadie te lo dice: Stop Doing Churn Like This', back_translation: 'Nobody tells you: Stop Doing Churn Like This',
+    }]);
+    expect(localizeMockTitles(titles, 'xx')[0].youtube_title).toBe('[xx] Stop Doing Churn Like This');
+  });
+
+  it('does not stack hooks when refining a localized title', () => {
+    const once = localizeMockTitles(titles, 'ja');
+    expect(localizeMockTitles(once, 'ja')[0].youtube_title).toBe('【徹底解説】 Stop Doing Churn Like This');
+  });
+});
+
+describe('createMockProvider', () => {
+  it('returns normalized titles in the brief language', async () => {
+    const output = await createMockProvider().generate({ ...BRIEF, description_count: 5, language: 'de' });
+
+    expect(output.source).toBe('mock');
+    expect(output.titles).toHaveLength(5);
+    expect(output.titles.every(t => t.youtube_title.startsWith('Ehrlich gesagt:') && t.back_translation)).toBe(true);
+  });
+
+  it('streams the same titles one at a time', async () => {
+    const provider = createMockProvider({ delayMs: 4 });
+    const onTitles = vi.fn();
+    const output = await provider.stream({ ...BRIEF, description_count: 3 }, { signal: new AbortController().signal, onTitles });
+
+    expect(onTitles.mock.calls.map(([batch]) => batch)).toEqual(output.titles.map(title => [title]));
+    expect(output).toEqual(await provider.generate({ ...BRIEF, description_count: 3 }));
+  });
+
+  it('rejects at once when already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('Client disconnected'));
+    const started = Date.now();
+
+    await expect(createMockProvider({ delayMs: 5000 }).generate(BRIEF, { signal: controller.signal }))
+      .rejects.toThrow('Client disconnected');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('rejects when aborted while waiting', async () => {
+    const controller = new AbortController();
+    const pending = createMockProvider({ delayMs: 5000 }).generate(BRIEF, { signal: controller.signal });
+    controller.abort(new Error('Client disconnected'));
+
+    await expect(pending).rejects.toThrow('Client disconnected');
+  });
+
+  it('takes back its abort listeners once each wait is over', async () => {
+    const { signal } = new AbortController();
+    const added = vi.spyOn(signal, 'addEventListener');
+    const removed = vi.spyOn(signal, 'removeEventListener');
+    await createMockProvider({ delayMs: 4 }).stream({ ...BRIEF, description_count: 3 }, { signal, onTitles: () => {} });
+
+    expect(added).toHaveBeenCalledTimes(3);
+    expect(removed.mock.calls.map(([, listener]) => listener)).toEqual(added.mock.calls.map(([, listener]) => listener));
+  });
+});
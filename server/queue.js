@@ -0,0 +1,48 @@
+/**
+ * GENERATION QUEUE
+ * Caps how many agent runs are in flight at once. Extra requests wait in
+ * FIFO order; a request aborted while waiting leaves the queue without
+ * ever running.
+ */
+export const createQueue = ({ concurrency }) => {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    while (active < concurrency && waiting.length) waiting.shift()();
+  };
+
+  // `onQueued(position)` fires only when the task has to wait
+  const run = (task, { signal, onQueued } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const start = () => {
+      signal?.removeEventListener('abort', onAbort);
+      active += 1;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active -= 1;
+          next();
+        });
+    };
+    const onAbort = () => {
+      waiting.splice(waiting.indexOf(start), 1);
+      reject(signal.reason);
+    };
+
+    if (active < concurrency) {
+      start();
+      return;
+    }
+    waiting.push(start);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    onQueued?.(waiting.length);
+  });
+
+  return { run, stats: () => ({ active, waiting: waiting.length }) };
+};
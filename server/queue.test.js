@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { createQueue } from './queue.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+};
+
+describe('createQueue', () => {
+  it('runs at most `concurrency` tasks and reports queue positions', async () => {
+    const queue = createQueue({ concurrency: 1 });
+    const first = deferred();
+    const positions = [];
+
+    const a = queue.run(() => first.promise);
+    const b = queue.run(() => 'b', { onQueued: p => positions.push(p) });
+    const c = queue.run(() => 'c', { onQueued: p => positions.push(p) });
+
+    expect(queue.stats()).toEqual({ active: 1, waiting: 2 });
+    first.resolve('a');
+    expect(await Promise.all([a, b, c])).toEqual(['a', 'b', 'c']);
+    expect(positions).toEqual([1, 2]);
+    expect(queue.stats()).toEqual({ active: 0, waiting: 0 });
+  });
+
+  it('drops a waiting task when its signal aborts', async () => {
+    const queue = createQueue({ concurrency: 1 });
+    const first = deferred();
+    const controller = new AbortController();
+    let ran = false;
+
+    const a = queue.run(() => first.promise);
+    const b = queue.run(() => { ran = true; }, { signal: controller.signal });
+    controller.abort(new Error('cancelled'));
+
+    await expect(b).rejects.toThrow('cancelled');
+    expect(queue.stats().waiting).toBe(0);
+    first.resolve();
+    await a;
+    expect(ran).toBe(false);
+  });
+});
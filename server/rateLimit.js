@@ -0,0 +1,40 @@
+/**
+ * FIXED-WINDOW RATE LIMITER
+ * Counts requests per client key; a client's window starts with its first
+ * request and the count resets once it has passed. In-memory only:
+ * good enough for a single Node process, which is all we run.
+ */
+export const createRateLimiter = ({ windowMs, max, now = Date.now }) => {
+  const buckets = new Map();
+  let nextSweep = now() + windowMs;
+
+  // Drop expired buckets once per window so the map can't grow forever
+  const sweep = (time) => {
+    if (time < nextSweep) return;
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= time) buckets.delete(key);
+    }
+    nextSweep = time + windowMs;
+  };
+
+  const check = (key) => {
+    const time = now();
+    sweep(time);
+
+    let bucket = buckets.get(key);
+    if (!bucket || bucket.resetAt <= time) {
+      bucket = { count: 0, resetAt: time + windowMs };
+      buckets.set(key, bucket);
+    }
+    bucket.count += 1;
+
+    return {
+      allowed: bucket.count <= max,
+      limit: max,
+      remaining: Math.max(0, max - bucket.count),
+      resetAt: bucket.resetAt,
+    };
+  };
+
+  return { check };
+};
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { createRateLimiter } from './rateLimit.js';
+
+const clock = () => {
+  let time = 1_000;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+describe('createRateLimiter', () => {
+  it('allows `max` requests per window and then refuses', () => {
+    const { now } = clock();
+    const limiter = createRateLimiter({ windowMs: 1000, max: 2, now });
+
+    expect(limiter.check('a')).toEqual({ allowed: true, limit: 2, remaining: 1, resetAt: 2_000 });
+    expect(limiter.check('a')).toMatchObject({ allowed: true, remaining: 0 });
+    expect(limiter.check('a')).toMatchObject({ allowed: false, remaining: 0, resetAt: 2_000 });
+  });
+
+  it('counts each client separately', () => {
+    const limiter = createRateLimiter({ windowMs: 1000, max: 1, now: clock().now });
+    expect(limiter.check('a').allowed).toBe(true);
+    expect(limiter.check('b').allowed).toBe(true);
+    expect(limiter.check('a').allowed).toBe(false);
+  });
+
+  it("starts a client's window with its first request and resets once it has passed", () => {
+    const { now, advance } = clock();
+    const limiter = createRateLimiter({ windowMs: 1000, max: 1, now });
+    limiter.check('a');
+
+    advance(999);
+    expect(limiter.check('a').allowed).toBe(false);
+    // A client first seen mid-window gets a full window of its own
+    expect(limiter.check('b').resetAt).toBe(2_999);
+
+    advance(1);
+    expect(limiter.check('a')).toEqual({ allowed: true, limit: 1, remaining: 0, resetAt: 3_000 });
+  });
+});
@@ -0,0 +1,140 @@
+import { randomBytes } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError } from './http.js';
+
+/**
+ * TITLE REVIEWS
+ * A shortlist shared with the team: everyone with the link can vote on and
+ * comment on individual titles, and anyone can approve one. Reviews are
+ * JSON files in `dir`, one per review, so a local backend needs nothing
+ * else:
+ *
+ *   { id, created_at, run_id, topic, channel,
+ *     titles: [{ youtube_title, thumbnail_text, ctr_rationale, votes: [name], comments: [{ author, text, created_at }] }],
+ *     approval: { index, title, by, at } | null }
+ */
+
+const MAX_TITLES = 20;
+const MAX_NAME = 60;
+const MAX_COMMENT = 1000;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{10,32}$/;
+
+const requiredString = (value, field, maxLength) => {
+  if (typeof value !== 'string' || !value.trim()) throw new HttpError(400, `\`${field}\` is required`);
+  if (value.length > maxLength) throw new HttpError(400, `\`${field}\` must be at most ${maxLength} characters`);
+  return value.trim();
+};
+
+const optionalString = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+const expectObject = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Expected a JSON object');
+};
+
+export const parseReviewInput = (body) => {
+  expectObject(body);
+  if (!Array.isArray(body.titles) || !body.titles.length) throw new HttpError(400, '`titles` must be a non-empty array');
+  if (body.titles.length > MAX_TITLES) throw new HttpError(400, `At most ${MAX_TITLES} titles per review`);
+
+  return {
+    run_id: optionalString(body.run_id, 64) || null,
+    topic: optionalString(body.topic, 500),
+    channel: optionalString(body.channel, 200),
+    titles: body.titles.map((title, i) => ({
+      youtube_title: requiredString(title?.youtube_title, `titles[${i}].youtube_title`, 200),
+      thumbnail_text: optionalString(title.thumbnail_text, 200),
+      ctr_rationale: optionalString(title.ctr_rationale, 1000),
+    })),
+  };
+};
+
+const titleAt = (review, index) => {
+  const title = Number.isInteger(index) ? review.titles[index] : undefined;
+  if (!title) throw new HttpError(400, '`title_index` does not match a title in this review');
+  return title;
+};
+
+/**
+ * Review actions. Each takes the current review and the request body and
+ * returns the updated review; a body that isn't a JSON object is a 400.
+ */
+export const REVIEW_ACTIONS = {
+  // Toggles the voter's vote on one title
+  votes: (review, body) => {
+    expectObject(body);
+    const voter = requiredString(body.voter, 'voter', MAX_NAME);
+    const title = titleAt(review, body.title_index);
+    const votes = title.votes.includes(voter) ? title.votes.filter(v => v !== voter) : [...title.votes, voter];
+    return { ...review, titles: review.titles.map(t => (t === title ? { ...t, votes } : t)) };
+  },
+  comments: (review, body) => {
+    expectObject(body);
+    const comment = {
+      author: requiredString(body.author, 'author', MAX_NAME),
+      text: requiredString(body.text, 'text', MAX_COMMENT),
+      created_at: new Date().toISOString(),
+    };
+    const title = titleAt(review, body.title_index);
+    return { ...review, titles: review.titles.map(t => (t === title ? { ...t, comments: [...t.comments, comment] } : t)) };
+  },
+  // `title_index: null` withdraws the approval
+  approve: (review, body) => {
+    expectObject(body);
+    const by = requiredString(body.author, 'author', MAX_NAME);
+    if (body.title_index === null) return { ...review, approval: null };
+    const title = titleAt(review, body.title_index);
+    return {
+      ...review,
+      approval: { index: body.title_index, title: title.youtube_title, by, at: new Date().toISOString() },
+    };
+  },
+};
+
+export const createReviewStore = ({ dir }) => {
+  const fileFor = (id) => {
+    if (!ID_PATTERN.test(id)) throw new HttpError(404, 'Review not found');
+    return path.join(dir, `${id}.json`);
+  };
+
+  // Writes go through a temp file so a crash never leaves half a review
+  const write = async (review) => {
+    await mkdir(dir, { recursive: true });
+    const file = fileFor(review.id);
+    await writeFile(`${file}.tmp`, JSON.stringify(review, null, 2));
+    await rename(`${file}.tmp`, file);
+    return review;
+  };
+
+  const get = async (id) => {
+    const text = await readFile(fileFor(id), 'utf8').catch((error) => {
+      if (error.code === 'ENOENT') throw new HttpError(404, 'Review not found');
+      throw error;
+    });
+    return JSON.parse(text);
+  };
+
+  const create = (input) => write({
+    id: randomBytes(9).toString('base64url'),
+    created_at: new Date().toISOString(),
+    ...input,
+    titles: input.titles.map(title => ({ ...title, votes: [], comments: [] })),
+    approval: null,
+  });
+
+  // Updates to one review run one after another so concurrent votes don't clobber each other
+  const pending = new Map();
+  const update = (id, change) => {
+    const next = (pending.get(id) || Promise.resolve())
+      .catch(() => {})
+      .then(async () => write(change(await get(id))));
+    pending.set(id, next);
+    next.finally(() => {
+      if (pending.get(id) === next) pending.delete(id);
+    }).catch(() => {});
+    return next;
+  };
+
+  return { create, get, update };
+};
@@ -0,0 +1,80 @@
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { REVIEW_ACTIONS, createReviewStore, parseReviewInput } from './reviews.js';
+
+const input = parseReviewInput({
+  run_id: 'run-1',
+  topic: 'Why SaaS startups fail',
+  titles: [
+    { youtube_title: 'Why 90% of SaaS Startups Die', thumbnail_text: 'YEAR ONE' },
+    { youtube_title: 'Stop Building Features' },
+  ],
+});
+
+describe('review store', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'reviews-'));
+    store = createReviewStore({ dir });
+  });
+
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('creates a review and reads it back', async () => {
+    const review = await store.create(input);
+
+    expect(review.id).toMatch(/^[A-Za-z0-9_-]{12}$/);
+    expect(await store.get(review.id)).toEqual(review);
+    expect(review.titles[0]).toMatchObject({ youtube_title: 'Why 90% of SaaS Startups Die', votes: [], comments: [] });
+  });
+
+  it('keeps every vote when they arrive at the same time', async () => {
+    const { id } = await store.create(input);
+    await Promise.all(['ana', 'ben', 'cy'].map(voter => (
+      store.update(id, review => REVIEW_ACTIONS.votes(review, { voter, title_index: 0 }))
+    )));
+
+    expect((await store.get(id)).titles[0].votes).toEqual(['ana', 'ben', 'cy']);
+  });
+
+  it('toggles votes, records comments and approval', async () => {
+    const { id } = await store.create(input);
+    const act = (action, body) => store.update(id, review => REVIEW_ACTIONS[action](review, body));
+
+    await act('votes', { voter: 'ana', title_index: 1 });
+    await act('votes', { voter: 'ana', title_index: 1 });
+    await act('comments', { author: 'ben', text: 'Too vague?', title_index: 1 });
+    const review = await act('approve', { author: 'cy', title_index: 1 });
+
+    expect(review.titles[1].votes).toEqual([]);
+    expect(review.titles[1].comments).toMatchObject([{ author: 'ben', text: 'Too vague?' }]);
+    expect(review.approval).toMatchObject({ index: 1, title: 'Stop Building Features', by: 'cy' });
+    expect((await act('approve', { author: 'cy', title_index: null })).approval).toBeNull();
+  });
+
+  it('rejects unknown reviews and bad input with HTTP errors', async () => {
+    await expect(store.get('../../etc/passwd')).rejects.toMatchObject({ status: 404 });
+    await expect(store.get('AAAAAAAAAAAA')).rejects.toMatchObject({ status: 404 });
+
+    const { id } = await store.create(input);
+    await expect(store.update(id, review => REVIEW_ACTIONS.votes(review, { voter: 'ana', title_index: 5 })))
+      .rejects.toMatchObject({ status: 400 });
+    expect(() => parseReviewInput({ titles: [] })).toThrow('`titles` must be a non-empty array');
+  });
+
+  it('answers 400 for bodies that are not JSON objects', async () => {
+    const { id } = await store.create(input);
+    for (const action of Object.keys(REVIEW_ACTIONS)) {
+      for (const body of [null, 'ana', [1]]) {
+        await expect(store.update(id, review => REVIEW_ACTIONS[action](review, body)))
+          .rejects.toMatchObject({ status: 400, message: 'Expected a JSON object' });
+      }
+    }
+    expect(() => parseReviewInput(null)).toThrow('Expected a JSON object');
+    expect(() => parseReviewInput([])).toThrow('Expected a JSON object');
+  });
+});
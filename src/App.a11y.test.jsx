@@ -0,0 +1,133 @@
+// @vitest-environment jsdom
+import 'fake-indexeddb/auto';
+import { cleanup, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import App from './App.jsx';
+import { axeViolations, startHarness } from './test/harness.js';
+
+const TOPIC = 'Why most SaaS startups fail in the first year';
+
+let harness;
+let user;
+
+beforeEach(async () => {
+  harness = await startHarness();
+  user = userEvent.setup();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  cleanup();
+  vi.restoreAllMocks();
+  await harness.close();
+});
+
+const typeTopic = async () => {
+  await user.click(screen.getByLabelText('Core Idea', { exact: false }));
+  await user.paste(TOPIC);
+};
+
+const titleItems = async () => {
+  await screen.findAllByTitle('Copy to clipboard');
+  return [...document.querySelectorAll('[data-title-item]')];
+};
+
+describe('App accessibility', () => {
+  it('has no axe violations on the brief form', async () => {
+    render(<App />);
+    await screen.findByRole('radiogroup', { name: 'Growth Profile' });
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  it('has no axe violations while generating and with results shown', async () => {
+    render(<App />);
+    await typeTopic();
+    await user.keyboard('{Control>}{Enter}{/Control}');
+    await screen.findByRole('button', { name: 'Generating' });
+    expect(await axeViolations()).toEqual([]);
+
+    await screen.findAllByTitle('Add to shortlist for team review');
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  it('picks tone and variations as radio groups with the arrow keys', async () => {
+    render(<App />);
+    const tones = screen.getByRole('radiogroup', { name: 'Growth Profile' });
+    const viral = within(tones).getByRole('radio', { name: /viral/i });
+    expect(viral.getAttribute('aria-checked')).toBe('true');
+    expect(within(tones).getAllByRole('radio').map(radio => radio.tabIndex)).toEqual([0, -1, -1, -1]);
+
+    viral.focus();
+    await user.keyboard('{ArrowRight}');
+    const educational = within(tones).getByRole('radio', { name: /educational/i });
+    expect(educational.getAttribute('aria-checked')).toBe('true');
+    expect(document.activeElement).toBe(educational);
+    await user.keyboard('{ArrowLeft}{ArrowLeft}');
+    expect(within(tones).getByRole('radio', { name: /seo/i }).getAttribute('aria-checked')).toBe('true');
+
+    const counts = screen.getByRole('radiogroup', { name: 'Variations' });
+    await user.click(within(counts).getByRole('radio', { name: '20' }));
+    await user.keyboard('{Home}');
+    expect(within(counts).getByRole('radio', { name: '5' }).getAttribute('aria-checked')).toBe('true');
+  });
+
+  it('announces progress and errors in the live region', async () => {
+    render(<App />);
+    await typeTopic();
+    await user.keyboard('{Control>}{Enter}{/Control}');
+    const live = screen.getAllByRole('status').find(node => node.getAttribute('aria-live') === 'polite');
+    await waitFor(() => expect(live.textContent).toBe('3 titles ready'));
+
+    harness.agent.reply({ body: '<html>502 Bad Gateway</html>' });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await user.keyboard('{Control>}{Enter}{/Control}');
+    await waitFor(() => expect(live.textContent).toMatch(/^Generation failed: /), { timeout: 10_000 });
+  }, 15_000);
+});
+
+describe('App keyboard shortcuts', () => {
+  it('generates with Ctrl+Enter from inside a field', async () => {
+    render(<App />);
+    await typeTopic();
+    await user.keyboard('{Control>}{Enter}{/Control}');
+    expect(await titleItems()).toHaveLength(3);
+    expect(harness.agent.requests).toHaveLength(1);
+  });
+
+  it('moves through titles with j/k, copies with c and shortlists with s', async () => {
+    render(<App />);
+    await typeTopic();
+    await user.keyboard('{Control>}{Enter}{/Control}');
+    const items = await titleItems();
+    // The run has to be saved before it can be shortlisted
+    await screen.findAllByTitle('Add to shortlist for team review');
+    await user.click(document.body);
+
+    await user.keyboard('j');
+    expect(document.activeElement).toBe(items[0]);
+    await user.keyboard('jjk');
+    expect(document.activeElement).toBe(items[1]);
+
+    await user.keyboard('c');
+    expect(await navigator.clipboard.readText()).toBe('Stop Building Features Nobody Wants');
+
+    await user.keyboard('s');
+    await waitFor(() => expect(within(items[1]).getByTitle('Remove from shortlist').getAttribute('aria-pressed')).toBe('true'));
+    expect(screen.getByText('Added to shortlist')).toBeTruthy();
+  });
+
+  it('leaves letter keys alone while typing', async () => {
+    render(<App />);
+    await typeTopic();
+    await user.keyboard('{Control>}{Enter}{/Control}');
+    await titleItems();
+
+    const secrets = screen.getByLabelText('Secrets', { exact: false });
+    await user.click(secrets);
+    await user.keyboard('jcs');
+    expect(secrets.value).toBe('jcs');
+    expect(document.activeElement).toBe(secrets);
+  });
+});
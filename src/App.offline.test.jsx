@@ -0,0 +1,162 @@
+// @vitest-environment jsdom
+import 'fake-indexeddb/auto';
+import { cleanup, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import App from './App.jsx';
+import { clear } from './lib/db.js';
+import { DRAFT_SAVE_DELAY_MS } from './lib/drafts.js';
+import { startHarness } from './test/harness.js';
+
+const TOPIC = 'Why most SaaS startups fail in the first year';
+
+// Set `fail` to make saving a run to history fail
+const saves = vi.hoisted(() => ({ fail: false }));
+vi.mock('./lib/history.js', async (importOriginal) => {
+  const history = await importOriginal();
+  return { ...history, saveRun: entry => (saves.fail ? Promise.reject(new Error('Quota exceeded')) : history.saveRun(entry)) };
+});
+
+// The outbox's backoff while the server is unreachable, cut short
+vi.mock('./lib/retry.js', async (importOriginal) => ({ ...(await importOriginal()), backoffDelay: () => 50 }));
+
+let harness;
+let user;
+let notifications;
+
+// Permission is already granted, so queued results notify straight away
+class FakeNotification {
+  static permission = 'granted';
+  static requestPermission = async () => 'granted';
+  constructor(title, options) {
+    notifications.push({ title, ...options });
+  }
+  close() {}
+}
+
+beforeEach(async () => {
+  harness = await startHarness();
+  user = userEvent.setup();
+  notifications = [];
+  vi.stubGlobal('Notification', FakeNotification);
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  saves.fail = false;
+  cleanup();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+  await harness.close();
+  await Promise.all([clear('outbox'), clear('runs')]);
+});
+
+const typeTopic = async () => {
+  await user.click(screen.getByLabelText('Core Idea', { exact: false }));
+  await user.paste(TOPIC);
+};
+
+const generate = () => user.click(screen.getByRole('button', { name: /transform content/i }));
+
+describe('App offline', () => {
+  it('queues a brief while offline and sends it when the connection returns', async () => {
+    render(<App />);
+    harness.setOnline(false);
+    expect(await screen.findByText('Offline · briefs are queued')).toBeTruthy();
+
+    await typeTopic();
+    await generate();
+    expect(await screen.findByText('The brief is sent when the connection returns.')).toBeTruthy();
+    const outbox = screen.getByRole('region', { name: /waiting to send/i });
+    expect(within(outbox).getByText(TOPIC)).toBeTruthy();
+    expect(harness.agent.requests).toHaveLength(0);
+
+    harness.setOnline(true);
+    await screen.findByText('Titles ready for');
+    expect(harness.agent.requests).toHaveLength(1);
+    expect(harness.agent.requests[0].variables.webhookParams).toMatchObject({ topic: TOPIC });
+    await waitFor(() => expect(screen.queryByRole('region', { name: /waiting to send/i })).toBeNull());
+    expect(notifications).toEqual([expect.objectContaining({ title: 'Titles ready', body: TOPIC })]);
+
+    await user.click(screen.getByRole('button', { name: 'Open' }));
+    expect(await screen.findAllByTitle('Copy to clipboard')).toHaveLength(3);
+  });
+
+  it('queues a brief when the server is unreachable and keeps trying until it answers', async () => {
+    render(<App />);
+    await typeTopic();
+    // navigator.onLine still says online, so no online event will come
+    harness.setReachable(false);
+    await generate();
+    expect(await screen.findByText('Queued offline')).toBeTruthy();
+    expect(screen.queryByRole('alert')).toBeNull();
+    expect(navigator.onLine).toBe(true);
+
+    // A few backoff rounds go by without a server
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(screen.getByRole('region', { name: /waiting to send/i })).toBeTruthy();
+
+    harness.setReachable(true);
+    await screen.findByText('Titles ready for');
+    expect(harness.agent.requests).toHaveLength(1);
+    await waitFor(() => expect(screen.queryByRole('region', { name: /waiting to send/i })).toBeNull());
+  });
+
+  it('keeps a queued brief whose titles could not be saved', async () => {
+    render(<App />);
+    harness.setOnline(false);
+    await typeTopic();
+    await generate();
+    await screen.findByRole('region', { name: /waiting to send/i });
+
+    saves.fail = true;
+    harness.setOnline(true);
+    const outbox = await screen.findByRole('region', { name: /waiting to send/i });
+    expect(await within(outbox).findByText(/Titles arrived but could not be saved/)).toBeTruthy();
+    expect(screen.queryByText('Titles ready for')).toBeNull();
+
+    saves.fail = false;
+    await user.click(within(outbox).getByRole('button', { name: /retry/i }));
+    await screen.findByText('Titles ready for');
+    await waitFor(() => expect(screen.queryByRole('region', { name: /waiting to send/i })).toBeNull());
+  });
+
+  it('discards a queued brief', async () => {
+    render(<App />);
+    harness.setOnline(false);
+    await typeTopic();
+    await generate();
+    const outbox = await screen.findByRole('region', { name: /waiting to send/i });
+
+    await user.click(within(outbox).getByTitle('Discard queued brief'));
+    await waitFor(() => expect(screen.queryByRole('region', { name: /waiting to send/i })).toBeNull());
+    harness.setOnline(true);
+    expect(harness.agent.requests).toHaveLength(0);
+  });
+});
+
+describe('App drafts', () => {
+  it('restores the brief after a reload', async () => {
+    const { unmount } = render(<App />);
+    await typeTopic();
+    await user.click(screen.getByRole('radio', { name: /seo/i }));
+    await new Promise(resolve => setTimeout(resolve, DRAFT_SAVE_DELAY_MS + 100));
+    unmount();
+
+    render(<App />);
+    expect(screen.getByLabelText('Core Idea', { exact: false }).value).toBe(TOPIC);
+    expect(screen.getByRole('radio', { name: /seo/i }).getAttribute('aria-checked')).toBe('true');
+  });
+
+  it('forgets the draft when the form is reset', async () => {
+    const { unmount } = render(<App />);
+    await typeTopic();
+    await user.click(screen.getByTitle('Reset Form'));
+    await new Promise(resolve => setTimeout(resolve, DRAFT_SAVE_DELAY_MS + 100));
+    unmount();
+
+    render(<App />);
+    expect(screen.getByLabelText('Core Idea', { exact: false }).value).toBe('');
+  });
+});
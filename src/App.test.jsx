@@ -0,0 +1,251 @@
+// @vitest-environment jsdom
+import { cleanup, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import App from './App.jsx';
+import { agentFixture, startHarness } from './test/harness.js';
+
+// Retries keep their count but skip the backoff wait
+vi.mock('./lib/retry.js', async (importOriginal) => {
+  const retry = await importOriginal();
+  return { ...retry, withRetry: (task, options) => retry.withRetry(task, { ...options, wait: async () => {} }) };
+});
+
+const EXPECTED_TITLES = [
+  'Why 90% of SaaS Startups Die in Year One',
+  'Stop Building Features Nobody Wants',
+  'Retention Is the New Acquisition',
+];
+
+const BRIEF = {
+  'Core Idea': 'Why most SaaS startups fail in the first year',
+  'Secrets': '1. Features over problems. 2. Ignoring churn.',
+  'The Reveal': 'Retention is the new acquisition',
+  'Target Profile': 'Early-stage B2B SaaS founders',
+};
+
+let harness;
+let user;
+
+beforeEach(async () => {
+  harness = await startHarness();
+  user = userEvent.setup();
+  // History lives in IndexedDB, which jsdom lacks; the app warns and carries on
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  cleanup();
+  vi.restoreAllMocks();
+  await harness.close();
+});
+
+const fillBrief = async () => {
+  for (const [label, value] of Object.entries(BRIEF)) {
+    await user.click(screen.getByLabelText(label, { exact: false }));
+    await user.paste(value);
+  }
+};
+
+const generate = async () => {
+  await user.click(screen.getByRole('button', { name: /transform content/i }));
+};
+
+// One list item per rendered title, in display order
+const renderedTitles = async () => (await screen.findAllByTitle('Copy to clipboard')).map(button => button.closest('li'));
+
+const failure = () => screen.findByRole('alert');
+
+describe('App generation', () => {
+  it('sends the brief to the agent and shows the titles best first', async () => {
+    render(<App />);
+    await fillBrief();
+    await generate();
+
+    const titles = await renderedTitles();
+    expect(titles).toHaveLength(3);
+    EXPECTED_TITLES.forEach((title, i) => expect(titles[i].textContent).toContain(title));
+
+    expect(harness.agent.requests).toHaveLength(1);
+    const [request] = harness.agent.requests;
+    expect(request).toMatchObject({ agentId: 'test-agent', workflow: 'Main' });
+    expect(request.variables.webhookParams).toMatchObject({
+      topic: BRIEF['Core Idea'],
+      key_points: BRIEF['Secrets'],
+      main_takeaway: BRIEF['The Reveal'],
+      target_audience: BRIEF['Target Profile'],
+      tone: 'Viral',
+      description_count: 10,
+      language: 'en',
+    });
+  });
+
+  it('shows titles while the agent is still writing the rest', async () => {
+    let agentStream;
+    const body = new ReadableStream({ start: (controller) => { agentStream = controller; } });
+    const send = (event) => agentStream.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(event)}\n\n`));
+    harness.agent.reply({ body, contentType: 'text/event-stream' });
+    render(<App />);
+    await fillBrief();
+    await generate();
+
+    await waitFor(() => expect(harness.agent.requests).toHaveLength(1));
+    expect(harness.agent.requests[0].stream).toBe(true);
+    send({ type: 'chunk', chunk: `{"titles": [{"rank": 1, "youtube_title": "${EXPECTED_TITLES[0]}"}, ` });
+    expect((await renderedTitles())[0].textContent).toContain(EXPECTED_TITLES[0]);
+    expect(screen.queryByText(EXPECTED_TITLES[1])).toBeNull();
+    expect(screen.getByRole('button', { name: 'Generating' })).toBeTruthy();
+
+    send({ type: 'chunk', chunk: EXPECTED_TITLES.slice(1).map((title, i) => `{"rank": ${i + 2}, "youtube_title": "${title}"}`).join(', ') });
+    send({ type: 'chunk', chunk: ']}' });
+    agentStream.close();
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Generating' })).toBeNull());
+    const titles = await renderedTitles();
+    EXPECTED_TITLES.forEach((title, i) => expect(titles[i].textContent).toContain(title));
+  });
+
+  it.each([
+    'result-output-string',
+    'result-output-object',
+    'result-output-nested-array',
+    'result-titles',
+    'thread-output-value-string',
+    'thread-output-value-object',
+    'result-without-titles-falls-back-to-thread',
+  ])('renders titles from the %s response shape', async (name) => {
+    harness.agent.reply({ body: agentFixture(name) });
+    render(<App />);
+    await fillBrief();
+    await generate();
+
+    await renderedTitles();
+    for (const title of EXPECTED_TITLES) expect(screen.getByText(title)).toBeTruthy();
+  });
+
+  it('renders string titles and the valid items of a messy list', async () => {
+    harness.agent.reply({ body: agentFixture('string-titles') });
+    render(<App />);
+    await fillBrief();
+    await generate();
+    await renderedTitles();
+    expect(screen.getByText('Second title')).toBeTruthy();
+
+    harness.agent.reply({ body: agentFixture('messy-items') });
+    await generate();
+    await screen.findByText('Aliased title field');
+    expect(screen.queryByText('Second title')).toBeNull();
+    expect(screen.getByText('Negative rank')).toBeTruthy();
+    expect(screen.queryByText('NO TITLE HERE')).toBeNull();
+  });
+
+  it.each([
+    ['empty-titles', 'NO_TITLES', 'Agent returned no titles'],
+    ['malformed-output-value', 'MALFORMED_JSON', 'Malformed JSON in thread.variables.output.value'],
+    ['no-known-path', 'UNRECOGNIZED_SHAPE', null],
+    ['all-items-invalid', 'INVALID_TITLES', null],
+  ])('reports the unusable %s response as %s', async (name, code, message) => {
+    harness.agent.reply({ body: agentFixture(name) });
+    render(<App />);
+    await fillBrief();
+    await generate();
+
+    const alert = await failure();
+    expect(within(alert).getByText(code)).toBeTruthy();
+    if (message) expect(alert.textContent).toContain(message);
+  });
+
+  it('retries a failing agent, then shows its HTTP error', async () => {
+    harness.agent.reply({ status: 500, body: 'upstream exploded' });
+    render(<App />);
+    await fillBrief();
+    await generate();
+
+    const alert = await failure();
+    expect(alert.textContent).toContain('Agent request failed: 500 Internal Server Error - upstream exploded');
+    expect(harness.agent.requests).toHaveLength(3);
+  });
+
+  it('reports a non-JSON agent body as NOT_JSON', async () => {
+    harness.agent.reply({ body: '<html>502 Bad Gateway</html>' });
+    render(<App />);
+    await fillBrief();
+    await generate();
+
+    const alert = await failure();
+    expect(within(alert).getByText('NOT_JSON')).toBeTruthy();
+  });
+});
+
+describe('App results', () => {
+  it('copies one title or all of them to the clipboard', async () => {
+    render(<App />);
+    await fillBrief();
+    await generate();
+    const titles = await renderedTitles();
+
+    await user.click(within(titles[1]).getByTitle('Copy to clipboard'));
+    expect(await navigator.clipboard.readText()).toBe(EXPECTED_TITLES[1]);
+
+    await user.click(screen.getByRole('button', { name: /copy all/i }));
+    expect(await navigator.clipboard.readText()).toBe([
+      'Why 90% of SaaS Startups Die in Year One [Thumb: YEAR ONE]',
+      'Stop Building Features Nobody Wants [Thumb: FEATURE TRAP]',
+      'Retention Is the New Acquisition [Thumb: CHURN = DEATH]',
+    ].join('\n'));
+    expect(screen.getByRole('button', { name: /copied/i })).toBeTruthy();
+  });
+
+  it('resets the form and clears the results', async () => {
+    render(<App />);
+    await fillBrief();
+    await generate();
+    await renderedTitles();
+
+    await user.click(screen.getByTitle('Reset Form'));
+
+    for (const label of Object.keys(BRIEF)) {
+      expect(screen.getByLabelText(label, { exact: false }).value).toBe('');
+    }
+    expect(screen.queryByText('Generated Titles')).toBeNull();
+    expect(screen.getByRole('button', { name: /transform content/i }).disabled).toBe(true);
+  });
+});
+
+describe('App inside a MindStudio host', () => {
+  afterEach(() => {
+    delete window.MindStudioBridge;
+  });
+
+  it('fills the form from template variables and submits to the host', async () => {
+    const submit = vi.fn(async () => {});
+    window.MindStudioBridge = {
+      templateVariables: {
+        topic: BRIEF['Core Idea'],
+        key_points: BRIEF['Secrets'],
+        main_takeaway: BRIEF['The Reveal'],
+        target_audience: BRIEF['Target Profile'],
+        tone: 'SEO',
+        description_count: '5',
+      },
+      submit,
+    };
+    render(<App />);
+
+    await waitFor(() => expect(screen.getByLabelText('Core Idea', { exact: false }).value).toBe(BRIEF['Core Idea']));
+    expect(screen.getByLabelText('Target Profile', { exact: false }).value).toBe(BRIEF['Target Profile']);
+    expect(screen.getByText('Connected to MindStudio')).toBeTruthy();
+
+    await generate();
+    await screen.findByText('The agent runs in MindStudio from here.');
+    expect(submit).toHaveBeenCalledWith(expect.objectContaining({
+      topic: BRIEF['Core Idea'],
+      key_points: BRIEF['Secrets'],
+      tone: 'SEO',
+      description_count: '5',
+      languages: 'en',
+    }));
+    expect(harness.agent.requests).toHaveLength(0);
+  });
+});
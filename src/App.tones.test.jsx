@@ -0,0 +1,89 @@
+// @vitest-environment jsdom
+import 'fake-indexeddb/auto';
+import { cleanup, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import App from './App.jsx';
+import { clear } from './lib/db.js';
+import { startHarness } from './test/harness.js';
+
+let harness;
+let user;
+
+beforeEach(async () => {
+  harness = await startHarness();
+  user = userEvent.setup();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  cleanup();
+  vi.restoreAllMocks();
+  await harness.close();
+  await Promise.all([clear('tones'), clear('runs')]);
+});
+
+const fill = async (label, value) => {
+  await user.click(screen.getByLabelText(label, { exact: false }));
+  await user.paste(value);
+};
+
+const createContrarian = async () => {
+  await user.click(screen.getByRole('button', { name: '+ New strategy' }));
+  const editor = screen.getByRole('form', { name: 'New strategy' });
+  await fill('Name', 'Contrarian');
+  await fill('Description', 'Challenge the common advice');
+  await fill('Instructions for the agent', 'Open by contradicting a popular belief.');
+  await fill('Example titles', 'Stop Doing Cold Outreach');
+  await fill('Max length', '36');
+  await fill('Banned words', 'features');
+  await user.click(within(editor).getByLabelText('Must contain a number'));
+  await user.click(within(editor).getByRole('button', { name: 'Save strategy' }));
+};
+
+describe('App custom tones', () => {
+  it('saves a custom tone, sends it to the agent and flags titles that break its rules', async () => {
+    render(<App />);
+    await createContrarian();
+
+    const tones = screen.getByRole('radiogroup', { name: 'Growth Profile' });
+    await waitFor(() => expect(within(tones).getByRole('radio', { name: /contrarian/i }).getAttribute('aria-checked')).toBe('true'));
+    expect(screen.getByText('Challenge the common advice')).toBeTruthy();
+    expect(screen.getByText('≤ 36 chars · number · no "features"')).toBeTruthy();
+
+    await fill('Core Idea', 'Why most SaaS startups fail in the first year');
+    await user.click(screen.getByRole('button', { name: /transform content/i }));
+    await screen.findAllByTitle('Copy to clipboard');
+
+    expect(harness.agent.requests[0].variables.webhookParams).toMatchObject({
+      tone: 'Contrarian',
+      tone_instructions: 'Open by contradicting a popular belief.',
+      tone_example_titles: 'Stop Doing Cold Outreach',
+      tone_max_length: '36',
+      tone_require_number: 'yes',
+      tone_require_question: '',
+      tone_banned_words: 'features',
+    });
+
+    const items = [...document.querySelectorAll('[data-title-item]')];
+    expect(within(items[0]).getByText('40 chars, max 36', { exact: false })).toBeTruthy();
+    expect(within(items[1]).getByText('No number · Uses "features"', { exact: false })).toBeTruthy();
+    expect(within(items[2]).getByText('No number', { exact: false })).toBeTruthy();
+  });
+
+  it('keeps custom tones across reloads and refuses duplicate names', async () => {
+    const { unmount } = render(<App />);
+    await createContrarian();
+    await screen.findByRole('radio', { name: /contrarian/i });
+    unmount();
+
+    render(<App />);
+    expect(await screen.findByRole('radio', { name: /contrarian/i })).toBeTruthy();
+    await user.click(screen.getByRole('button', { name: '+ New strategy' }));
+    await fill('Name', 'viral');
+    await fill('Instructions for the agent', 'Anything');
+    await user.click(screen.getByRole('button', { name: 'Save strategy' }));
+    expect(screen.getByRole('alert').textContent).toBe('There is already a "viral" strategy');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * CLIENT API
+ * The browser only ever talks to our own backend (`server/`). The Vite dev
+ * server proxies `/api` to it locally; in production the same server hosts
+ * the built app, so the relative URL works in both.
+ */
+export const GENERATE_URL = '/api/generate';
+export const GENERATE_STREAM_URL = '/api/generate/stream';
+
+// A streaming run fails with 504 TIMEOUT after this long without any event.
+// The server sends a heartbeat well within it, so this means the connection died.
+export const STREAM_IDLE_TIMEOUT_MS = 90_000;
+
+/**
+ * Error from our API. `code` mirrors the server's normalizer error codes
+ * (NO_TITLES, MALFORMED_JSON, ...) when the agent output was the problem.
+ */
+export class ApiError extends Error {
+  constructor(message, { status, code = null, source = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.source = source;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const postJson = (url, body, signal) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+  signal,
+});
+
+export const requestTitles = (brief, { signal } = {}) => postJson(GENERATE_URL, brief, signal);
+
+const parseJson = (text) => {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    // Non-JSON body (e.g. a proxy error page), reported by the caller as-is
+    return null;
+  }
+};
+
+const responseError = (response, text, body) => {
+  const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+  return new ApiError(body?.error || text || response.statusText, {
+    status: response.status,
+    code: body?.code,
+    source: body?.source,
+    retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+  });
+};
+
+/**
+ * Posts the brief and resolves to `{ titles, source, warnings, provider }`.
+ * Throws ApiError for any non-OK response.
+ */
+const readJsonResponse = async (response) => {
+  const text = await response.text();
+  const body = parseJson(text);
+
+  if (!response.ok) throw responseError(response, text, body);
+  if (!body) throw new ApiError('Server returned an empty or non-JSON response', { status: response.status });
+  return body;
+};
+
+export const generateTitles = async (brief, options) => readJsonResponse(await requestTitles(brief, options));
+
+/**
+ * REVIEWS
+ * Shareable shortlists stored by our server (see server/reviews.js). The
+ * review page lives at /review/:id in this same app.
+ */
+export const REVIEWS_URL = '/api/reviews';
+
+export const reviewPageUrl = (id) => `${window.location.origin}/review/${id}`;
+
+export const createReview = async ({ runId, topic, channel, titles }) => readJsonResponse(await postJson(REVIEWS_URL, {
+  run_id: runId,
+  topic,
+  channel,
+  titles: titles.map(({ youtube_title, thumbnail_text, ctr_rationale }) => ({ youtube_title, thumbnail_text, ctr_rationale })),
+}));
+
+export const getReview = async (id, { signal } = {}) => readJsonResponse(await fetch(`${REVIEWS_URL}/${encodeURIComponent(id)}`, { signal }));
+
+// `action` is one of votes | comments | approve; resolves to the updated review
+export const updateReview = async (id, action, body) => readJsonResponse(
+  await postJson(`${REVIEWS_URL}/${encodeURIComponent(id)}/${action}`, body),
+);
+
+// Yields one parsed event per NDJSON line
+async function* readEvents(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) if (line.trim()) yield JSON.parse(line);
+  }
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
+
+/**
+ * Streaming variant of generateTitles (see POST /api/generate/stream).
+ * `onEvent` receives every `status` and `titles` event as it arrives
+ * (heartbeats only keep the idle timer from firing); the
+ * promise resolves to the same `{ titles, source, warnings, provider }`.
+ * Throws ApiError, with status 504 and code TIMEOUT when the server goes
+ * quiet for `idleTimeoutMs`, or the abort reason when `signal` fires.
+ */
+export const streamTitles = async (brief, { signal, onEvent = () => {}, idleTimeoutMs = STREAM_IDLE_TIMEOUT_MS } = {}) => {
+  signal?.throwIfAborted();
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+
+  let timedOut = false;
+  let timer = null;
+  const resetTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, idleTimeoutMs);
+  };
+
+  try {
+    resetTimer();
+    const response = await postJson(GENERATE_STREAM_URL, brief, controller.signal);
+    if (!response.ok) {
+      const text = await response.text();
+      throw responseError(response, text, parseJson(text));
+    }
+
+    const titles = [];
+    for await (const event of readEvents(response.body)) {
+      resetTimer();
+      if (event.type === 'error') {
+        throw new ApiError(event.error, { status: event.status, code: event.code, source: event.source });
+      }
+      if (event.type === 'done') {
+        return { titles, source: event.source, warnings: event.warnings || [], provider: event.provider };
+      }
+      if (event.type === 'heartbeat') continue;
+      if (event.type === 'titles') titles.push(...event.titles);
+      onEvent(event);
+    }
+    throw new ApiError('The server closed the stream before the run finished', { status: 502 });
+  } catch (error) {
+    if (timedOut) {
+      throw new ApiError(`No response from the agent for ${Math.round(idleTimeoutMs / 1000)}s`, { status: 504, code: 'TIMEOUT' });
+    }
+    if (error instanceof SyntaxError) {
+      throw new ApiError('Server sent a malformed stream event', { status: 502 });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', forwardAbort);
+  }
+};
@@ -0,0 +1,212 @@
+import React, { useRef, useState } from 'react';
+import { generateTitles } from '../api.js';
+import { BATCH_COLUMNS, BATCH_CONCURRENCY, parseBatch, runQueue } from '../lib/batch.js';
+import { withRetry } from '../lib/retry.js';
+import { toneVariables } from '../lib/tones.js';
+import ExportMenu from './ExportMenu.jsx';
+import { IconCheck } from './icons.jsx';
+
+const STATUS_STYLES = {
+  pending: 'text-slate-500 border-white/10',
+  queued: 'text-slate-400 border-white/10',
+  running: 'text-red-400 border-red-500/30 animate-pulse',
+  retrying: 'text-yellow-400 border-yellow-500/30',
+  done: 'text-green-400 border-green-500/30',
+  failed: 'text-red-400 border-red-500/30',
+  cancelled: 'text-slate-500 border-white/10',
+};
+
+const buttonClass = 'px-3 py-2 rounded-xl bg-white/5 hover:bg-white/10 text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white transition-all border border-white/5 hover:border-white/10 disabled:opacity-40 disabled:cursor-not-allowed';
+
+/**
+ * Bulk mode: import a content calendar, generate every row through the
+ * queue, then pick one title per video. Finished rows are saved to history
+ * like single runs, so picks and exports work the same way. `tones` are
+ * tone records (see lib/tones.js); the sheet's tone column names one.
+ */
+const BatchPanel = ({ tones, defaultTone, extraVariables, channel, addRun, patchRun }) => {
+  const [source, setSource] = useState('');
+  const [descriptionCount, setDescriptionCount] = useState('5');
+  const [rows, setRows] = useState([]); // { key, brief, status, attempt, error, run }
+  const [parseErrors, setParseErrors] = useState([]);
+  const [running, setRunning] = useState(false);
+  const abortRef = useRef(null);
+
+  const updateRow = (key, changes) => setRows(prev => prev.map(row => (row.key === key ? { ...row, ...changes } : row)));
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setSource(await file.text());
+    e.target.value = '';
+  };
+
+  const handleLoad = () => {
+    const { briefs, errors } = parseBatch(source, { tones: tones.map(t => t.name), defaultTone, descriptionCount: parseInt(descriptionCount, 10) });
+    setParseErrors(errors);
+    setRows(briefs.map((brief, i) => ({ key: `${Date.now()}-${i}`, brief, status: 'pending', attempt: 0, error: null, run: null })));
+  };
+
+  const generateRow = async (row, signal) => {
+    // Custom tones add their definition; the sheet only names them
+    const brief = { ...row.brief, ...toneVariables(tones.find(t => t.name === row.brief.tone)), ...extraVariables };
+    updateRow(row.key, { status: 'running', attempt: 1, error: null });
+    try {
+      const result = await withRetry(() => generateTitles(brief, { signal }), {
+        signal,
+        onRetry: ({ attempt, error }) => updateRow(row.key, { status: 'retrying', attempt, error: error.message }),
+      });
+      // Without IndexedDB the row keeps an unsaved stand-in so picks still work
+      const run = await addRun({ brief, result }) || { id: null, createdAt: Date.now(), brief, titles: result.titles };
+      updateRow(row.key, { status: 'done', error: null, run });
+    } catch (error) {
+      updateRow(row.key, signal.aborted
+        ? { status: 'cancelled', error: null }
+        : { status: 'failed', error: error.message });
+    }
+  };
+
+  const handleRun = async (targets) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    const keys = new Set(targets.map(row => row.key));
+    setRows(prev => prev.map(row => (keys.has(row.key) ? { ...row, status: 'queued', error: null } : row)));
+
+    await runQueue(targets, row => generateRow(row, controller.signal), { signal: controller.signal });
+
+    // Rows that never left the queue
+    if (controller.signal.aborted) {
+      setRows(prev => prev.map(row => (keys.has(row.key) && row.status === 'queued' ? { ...row, status: 'cancelled' } : row)));
+    }
+    abortRef.current = null;
+    setRunning(false);
+  };
+
+  const handlePick = (row, title) => {
+    const chosenTitle = row.run.chosenTitle === title.youtube_title ? null : title.youtube_title;
+    updateRow(row.key, { run: { ...row.run, chosenTitle } });
+    // Only the pick is written; the run may have changed in History since this row got it
+    if (row.run.id) patchRun(row.run, { chosenTitle });
+  };
+
+  const doneRuns = rows.filter(row => row.run).map(row => row.run);
+  const pickedCount = doneRuns.filter(run => run.chosenTitle).length;
+  const unfinished = rows.filter(row => ['pending', 'failed', 'cancelled'].includes(row.status));
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-3">
+        <div className="flex justify-between items-end px-1">
+          <label htmlFor="batch-source" className="text-[10px] font-black text-slate-500 uppercase tracking-widest">Content Calendar</label>
+          <span className="text-[9px] font-bold text-slate-600">Columns: {BATCH_COLUMNS.join(', ')}</span>
+        </div>
+        <textarea
+          id="batch-source"
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          placeholder={'Paste a table from your spreadsheet, or import a CSV.\n\ntopic,key_points,main_takeaway,target_audience,tone\nWhy SaaS startups fail,Features vs problems,Retention first,Founders,Viral'}
+          className="w-full bg-white/[0.03] border border-white/10 rounded-2xl p-4 text-white placeholder:text-slate-600 focus:outline-none focus:ring-2 focus:ring-red-500/50 transition-all min-h-[120px] text-[11px] font-mono"
+        />
+        <div className="flex flex-wrap items-center gap-2">
+          <label className={`${buttonClass} cursor-pointer`}>
+            Import CSV
+            <input type="file" accept=".csv,.tsv,text/csv,text/plain" onChange={handleFile} className="sr-only" />
+          </label>
+          <div className="flex items-center gap-1 p-1 rounded-xl bg-white/5 border border-white/5">
+            <span className="pl-1.5 text-[9px] font-black text-slate-500 uppercase tracking-wider">Per video</span>
+            {['5', '10', '20'].map(val => (
+              <button
+                key={val}
+                onClick={() => setDescriptionCount(val)}
+                className={`w-8 h-7 rounded-lg text-[10px] font-bold ${descriptionCount === val ? 'bg-red-500 text-white' : 'text-slate-400 hover:text-white'}`}
+              >
+                {val}
+              </button>
+            ))}
+          </div>
+          {channel && <span className="text-[9px] font-black text-slate-500 uppercase tracking-wider">Channel: <span className="text-white">{channel}</span></span>}
+          <button onClick={handleLoad} disabled={running || !source.trim()} className={`${buttonClass} ml-auto`}>Load rows</button>
+        </div>
+        {parseErrors.length > 0 && (
+          <ul role="alert" className="p-3 rounded-xl bg-yellow-500/10 border border-yellow-500/20 text-[10px] text-yellow-300 space-y-0.5">
+            {parseErrors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-[10px] font-black text-slate-500 uppercase tracking-widest mr-auto">
+              {rows.length} videos · {doneRuns.length} generated · {pickedCount} picked
+            </span>
+            {running ? (
+              <button onClick={() => abortRef.current?.abort()} className={buttonClass}>Cancel</button>
+            ) : (
+              <button
+                onClick={() => handleRun(unfinished)}
+                disabled={!unfinished.length}
+                className="px-4 py-2 rounded-xl bg-white text-slate-900 text-[10px] font-black uppercase tracking-wider disabled:bg-slate-800 disabled:text-slate-600"
+              >
+                {rows.some(row => row.status !== 'pending') ? `Retry ${unfinished.length}` : `Generate ${rows.length}`}
+              </button>
+            )}
+            <ExportMenu runs={doneRuns} label="Export picks" />
+          </div>
+          <p className="text-[10px] text-slate-600">Up to {BATCH_CONCURRENCY} videos generate at once; rate limits and server errors are retried.</p>
+
+          <ol className="space-y-3">
+            {rows.map((row, i) => (
+              <li key={row.key} className="p-4 rounded-xl bg-white/[0.03] border border-white/5 space-y-3">
+                <div className="flex items-start gap-3">
+                  <span className="flex-shrink-0 w-6 h-6 flex items-center justify-center rounded-full bg-white/5 text-[10px] font-black text-slate-400">{i + 1}</span>
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm font-bold text-slate-200 truncate">{row.brief.topic}</div>
+                    <div className="text-[9px] font-black uppercase tracking-wider text-slate-500">{row.brief.tone}</div>
+                  </div>
+                  <span className={`flex-shrink-0 px-2 py-0.5 rounded border text-[9px] font-black uppercase tracking-wider ${STATUS_STYLES[row.status]}`}>
+                    {row.status}{row.attempt > 1 ? ` · try ${row.attempt}` : ''}
+                  </span>
+                  {['failed', 'cancelled'].includes(row.status) && !running && (
+                    <button onClick={() => handleRun([row])} className="text-[9px] font-black uppercase tracking-wider text-slate-400 hover:text-white">Retry</button>
+                  )}
+                </div>
+                {row.error && <p className="text-[10px] text-red-400">{row.error}</p>}
+                {row.run && (
+                  <fieldset className="space-y-1">
+                    <legend className="sr-only">Pick a title for {row.brief.topic}</legend>
+                    {row.run.titles.map((title, i) => {
+                      const picked = row.run.chosenTitle === title.youtube_title;
+                      return (
+                        <label
+                          key={i} // the agent can repeat a title within a run
+                          className={`flex items-center gap-3 px-3 py-2 rounded-lg border cursor-pointer text-[11px] transition-colors ${picked
+                            ? 'bg-green-500/[0.06] border-green-500/30 text-white'
+                            : 'border-transparent text-slate-400 hover:bg-white/5 hover:text-slate-200'}`}
+                        >
+                          <input
+                            type="radio"
+                            name={`pick-${row.key}`}
+                            checked={picked}
+                            onChange={() => {}}
+                            onClick={() => handlePick(row, title)}
+                            className="accent-green-500"
+                          />
+                          <span className="flex-1">{title.youtube_title}</span>
+                          {title.thumbnail_text && <span className="text-[9px] font-mono text-yellow-500/80">{title.thumbnail_text}</span>}
+                          {picked && <IconCheck size={12} className="text-green-500" />}
+                        </label>
+                      );
+                    })}
+                  </fieldset>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { emptyProfile } from '../lib/profiles.js';
+import { extractPlaceholders, fillTemplate } from '../lib/templates.js';
+import ProfileEditor from './ProfileEditor.jsx';
+import { IconTrash } from './icons.jsx';
+
+const selectClass = 'bg-white/[0.03] border border-white/10 rounded-xl px-3 py-2 text-[11px] text-white focus:outline-none focus:ring-2 focus:ring-red-500/50';
+const buttonClass = 'px-3 py-2 rounded-xl bg-white/5 hover:bg-white/10 text-[9px] font-black uppercase tracking-wider text-slate-400 hover:text-white transition-all border border-white/5 hover:border-white/10 disabled:opacity-40';
+const labelClass = 'text-[10px] font-black text-slate-500 uppercase tracking-widest';
+
+/**
+ * Channel profile and brief template pickers above the form.
+ * Picking a profile or filling a template is reported up; the form state
+ * itself lives in App.
+ */
+const BriefLibrary = ({
+  tones,
+  counts,
+  profiles,
+  activeProfile,
+  onSelectProfile,
+  onSaveProfile,
+  onDeleteProfile,
+  templates,
+  onApplyTemplate,
+  onSaveTemplate,
+  onDeleteTemplate,
+}) => {
+  const [editing, setEditing] = useState(null); // profile being edited
+  const [templateId, setTemplateId] = useState('');
+  const [values, setValues] = useState({});
+  const [templateName, setTemplateName] = useState(null); // non-null while naming a new template
+
+  const template = templates.find(t => t.id === templateId) || null;
+  const placeholders = template ? extractPlaceholders(template) : [];
+
+  const handleSaveProfile = async (profile) => {
+    const saved = await onSaveProfile(profile);
+    if (saved) {
+      onSelectProfile(saved);
+      setEditing(null);
+    }
+  };
+
+  const handleDeleteProfile = (profile) => {
+    onDeleteProfile(profile);
+    setEditing(null);
+  };
+
+  const handlePickTemplate = (id) => {
+    setTemplateId(id);
+    setValues({});
+    const picked = templates.find(t => t.id === id);
+    // Nothing to ask for: apply straight away
+    if (picked && !extractPlaceholders(picked).length) {
+      onApplyTemplate(fillTemplate(picked, {}));
+      setTemplateId('');
+    }
+  };
+
+  const handleFillTemplate = (e) => {
+    e.preventDefault();
+    onApplyTemplate(fillTemplate(template, values));
+    setTemplateId('');
+  };
+
+  const handleSaveTemplate = async (e) => {
+    e.preventDefault();
+    if (!templateName.trim()) return;
+    await onSaveTemplate(templateName.trim());
+    setTemplateName(null);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="channel-profile" className={labelClass}>Channel</label>
+        <select
+          id="channel-profile"
+          value={activeProfile?.id || ''}
+          onChange={(e) => onSelectProfile(profiles.find(p => p.id === e.target.value) || null)}
+          className={selectClass}
+        >
+          <option value="">No profile</option>
+          {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+        {activeProfile && (
+          <button onClick={() => setEditing(activeProfile)} className={buttonClass}>Edit</button>
+        )}
+        <button onClick={() => setEditing(emptyProfile())} className={buttonClass}>New</button>
+
+        <span className="w-px h-6 bg-white/10 mx-2 hidden sm:block" />
+
+        <label htmlFor="brief-template" className={labelClass}>Template</label>
+        <select id="brief-template" value={templateId} onChange={(e) => handlePickTemplate(e.target.value)} className={selectClass}>
+          <option value="">Pick a format...</option>
+          {templates.map(t => <option key={t.id} value={t.id}>{t.name}{t.builtIn ? '' : ' (saved)'}</option>)}
+        </select>
+        {template && !template.builtIn && (
+          <button
+            onClick={() => {
+              onDeleteTemplate(template);
+              setTemplateId('');
+            }}
+            className="p-2 text-slate-500 hover:text-red-400"
+            title="Delete this template"
+          >
+            <IconTrash size={12} className="" />
+          </button>
+        )}
+        {templateName === null ? (
+          <button onClick={() => setTemplateName('')} className={buttonClass} title="Save the current brief as a template. Write {{placeholders}} for the parts that change.">
+            Save as template
+          </button>
+        ) : (
+          <form onSubmit={handleSaveTemplate} className="flex items-center gap-1">
+            <input
+              autoFocus
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              placeholder="Template name"
+              aria-label="Template name"
+              className={`${selectClass} w-36`}
+            />
+            <button type="submit" disabled={!templateName.trim()} className={buttonClass}>Save</button>
+            <button type="button" onClick={() => setTemplateName(null)} className={buttonClass}>Cancel</button>
+          </form>
+        )}
+      </div>
+
+      {template && placeholders.length > 0 && (
+        <form onSubmit={handleFillTemplate} className="p-4 rounded-2xl bg-black/20 border border-white/10 space-y-3">
+          <div className="text-[9px] font-black text-slate-500 uppercase tracking-wider">Fill in "{template.name}"</div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {placeholders.map(name => (
+              <input
+                key={name}
+                value={values[name] || ''}
+                onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+                placeholder={name}
+                aria-label={name}
+                className={selectClass}
+              />
+            ))}
+          </div>
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setTemplateId('')} className={buttonClass}>Cancel</button>
+            <button type="submit" className="px-3 py-2 rounded-xl bg-red-500 text-white text-[9px] font-black uppercase tracking-wider">Fill brief</button>
+          </div>
+        </form>
+      )}
+
+      {editing && (
+        <ProfileEditor
+          key={editing.id || 'new'}
+          profile={editing}
+          tones={tones}
+          counts={counts}
+          onSave={handleSaveProfile}
+          onDelete={handleDeleteProfile}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default BriefLibrary;
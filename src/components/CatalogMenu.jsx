@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { CATALOG_THRESHOLD } from '../lib/similarity.js';
+import { IconBroadcast } from './icons.jsx';
+
+const buttonClass = 'px-3 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-[9px] font-black uppercase tracking-wider text-slate-400 hover:text-white transition-all border border-white/5 hover:border-white/10 disabled:opacity-40';
+
+/**
+ * "Catalog" dropdown: import the channel's published titles (a Studio
+ * export, any CSV with a title column, or a pasted list) so new titles
+ * that are too close to an existing video get flagged.
+ */
+const CatalogMenu = ({ count, onImport, onClear }) => {
+  const [open, setOpen] = useState(false);
+  const [source, setSource] = useState('');
+  const [status, setStatus] = useState(null); // { error } or { imported }
+
+  const run = async (text) => {
+    try {
+      setStatus({ imported: await onImport(text) });
+      setSource('');
+    } catch (error) {
+      setStatus({ error: error.message });
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) await run(await file.text());
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(v => !v)}
+        className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white transition-all border border-white/5 hover:border-white/10"
+        aria-expanded={open}
+        title="Published titles new ones are checked against"
+      >
+        <IconBroadcast size={12} className="" />
+        Catalog{count ? ` (${count})` : ''}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 p-3 rounded-xl bg-slate-900 border border-white/10 shadow-2xl z-30 space-y-2">
+          <p className="text-[10px] text-slate-400">
+            Titles at least {Math.round(CATALOG_THRESHOLD * 100)}% similar to a published one are flagged. Titles marked as published in history count too.
+          </p>
+          <textarea
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            aria-label="Published titles"
+            placeholder="One published title per line"
+            className="w-full bg-white/[0.03] border border-white/10 rounded-lg p-2 text-white placeholder:text-slate-600 focus:outline-none focus:ring-2 focus:ring-red-500/50 min-h-[70px] text-[11px]"
+          />
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => run(source)} disabled={!source.trim()} className={buttonClass}>Add</button>
+            <label className={`${buttonClass} cursor-pointer`}>
+              Import CSV
+              <input type="file" accept=".csv,.tsv,.txt,text/csv,text/plain" onChange={handleFile} className="sr-only" />
+            </label>
+            <button onClick={onClear} disabled={!count} className={`${buttonClass} ml-auto`}>Clear</button>
+          </div>
+          {status && (
+            <p role="status" className={`text-[10px] ${status.error ? 'text-red-400' : 'text-green-400'}`}>
+              {status.error || `Imported ${status.imported} title${status.imported === 1 ? '' : 's'}.`}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CatalogMenu;
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { downloadFile, slugify } from '../lib/download.js';
+import { EXPORT_FORMATS } from '../lib/exporters.js';
+import { IconDownload } from './icons.jsx';
+
+/**
+ * "Export" dropdown for one or more runs. Single-run files are prefixed
+ * with the topic so several downloads don't overwrite each other.
+ */
+const ExportMenu = ({ runs, label = 'Export' }) => {
+  const [open, setOpen] = useState(false);
+  const disabled = runs.length === 0;
+
+  const handleExport = (format) => {
+    const { filename, content, type } = format.exporter(runs);
+    const name = runs.length === 1 ? `${slugify(runs[0].brief.topic)}-${filename}` : filename;
+    downloadFile(name, content, type);
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(v => !v)}
+        disabled={disabled}
+        className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white transition-all border border-white/5 hover:border-white/10 disabled:opacity-40 disabled:cursor-not-allowed"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <IconDownload size={12} className="" />
+        {label}
+      </button>
+      {open && (
+        <div role="menu" className="absolute right-0 mt-2 w-44 p-1 rounded-xl bg-slate-900 border border-white/10 shadow-2xl z-30">
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format.id}
+              role="menuitem"
+              onClick={() => handleExport(format)}
+              className="w-full text-left px-3 py-2 rounded-lg text-[10px] font-bold uppercase tracking-wider text-slate-300 hover:bg-white/10 hover:text-white"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,87 @@
+import React from 'react';
+
+const LABELS = {
+  queued: 'Queued',
+  running: 'Calibrating CTR patterns...',
+  partial: 'Receiving titles',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  submitted: 'Sent to MindStudio',
+  offline: 'Queued offline',
+};
+
+// Runs this page hands to someone else, and where they went
+const HANDED_OFF = {
+  submitted: 'The agent runs in MindStudio from here.',
+  offline: 'The brief is sent when the connection returns.',
+};
+
+const ACTIVE = ['queued', 'running', 'partial'];
+
+/**
+ * Progress line for the current run. `generation` is
+ * { status, attempt, received, expected, position, retryInMs, error } where
+ * status is one of queued | running | partial | done | failed | cancelled,
+ * submitted when a MindStudio host took the brief to run it itself, or
+ * offline when the brief went to the outbox to wait for a connection.
+ * Screen readers hear progress from App's live region, not from here.
+ */
+const GenerationStatus = ({ generation, onCancel }) => {
+  if (!generation || generation.status === 'done') return null;
+  const { status, attempt, received, expected, position, retryInMs, error } = generation;
+  const active = ACTIVE.includes(status);
+
+  // Failures without any titles are shown by the results error card instead
+  if (status === 'failed' && !received) return null;
+
+  if (HANDED_OFF[status]) {
+    return (
+      <div className="mt-6 flex items-center gap-3 p-3 rounded-xl bg-green-500/10 border border-green-500/20">
+        <span className="text-[9px] font-black text-green-400 uppercase tracking-wider">{LABELS[status]}</span>
+        <span className="text-[11px] text-slate-300">{HANDED_OFF[status]}</span>
+      </div>
+    );
+  }
+
+  const detail = [
+    status === 'queued' && retryInMs ? `retrying in ${Math.ceil(retryInMs / 1000)}s` : null,
+    status === 'queued' && position ? `#${position} in line` : null,
+    attempt > 1 ? `attempt ${attempt}` : null,
+    received ? `${received} of ${expected} titles` : null,
+  ].filter(Boolean).join(' · ');
+
+  if (!active) {
+    return (
+      <div className="mt-6 flex items-center gap-3 p-3 rounded-xl bg-yellow-500/10 border border-yellow-500/20">
+        <span className="text-[9px] font-black text-yellow-400 uppercase tracking-wider">{LABELS[status]}{received ? ' · partial' : ''}</span>
+        <span className="text-[11px] text-slate-300">
+          {detail || 'No titles received'}{error ? ` - ${error}` : ''}
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col items-center gap-2 pt-4">
+      <div className="w-full max-w-[200px] h-1 bg-white/10 rounded-full overflow-hidden relative">
+        {status === 'partial' ? (
+          <div className="h-full bg-red-600 transition-all" style={{ width: `${Math.min(100, (received / expected) * 100)}%` }}></div>
+        ) : (
+          <div className="h-full bg-red-600 animate-[loading_2s_ease-in-out_infinite]" style={{ width: '40%' }}></div>
+        )}
+      </div>
+      <span className={`text-[10px] font-black uppercase tracking-[0.4em] ${status === 'queued' ? 'text-slate-400' : 'text-red-500 animate-pulse'}`}>
+        {LABELS[status]}
+      </span>
+      {detail && <span className="text-[10px] text-slate-500">{detail}</span>}
+      <button
+        onClick={onCancel}
+        className="mt-1 px-3 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white transition-all border border-white/5 hover:border-white/10"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+export default GenerationStatus;
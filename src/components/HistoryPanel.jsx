@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from 'react';
+import { searchRuns } from '../lib/history.js';
+import ExportMenu from './ExportMenu.jsx';
+import { IconClock, IconSearch, IconStar, IconTrash } from './icons.jsx';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+const HistoryPanel = ({ runs, activeRunId, onRestore, onToggleStar, onDelete }) => {
+  const [query, setQuery] = useState('');
+  const [starredOnly, setStarredOnly] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  const visibleRuns = useMemo(() => {
+    const pool = starredOnly ? runs.filter(run => run.starred) : runs;
+    return searchRuns(pool, query);
+  }, [runs, query, starredOnly]);
+
+  // Deleted runs drop out of the selection automatically
+  const selectedRuns = runs.filter(run => selectedIds.has(run.id));
+
+  const toggleSelected = (id) => setSelectedIds(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+
+  return (
+    <aside className="w-full xl:w-80 flex-shrink-0 p-6 rounded-[2rem] border border-white/10 bg-[#0f172a] space-y-4 xl:max-h-[calc(100vh-4rem)] xl:sticky xl:top-8 flex flex-col">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-bold text-white uppercase tracking-wider flex items-center gap-2">
+          <IconClock size={14} className="text-red-500" />
+          History
+        </h3>
+        <button
+          onClick={() => setStarredOnly(v => !v)}
+          className={`flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-[9px] font-black uppercase tracking-wider border transition-all ${starredOnly
+            ? 'bg-yellow-500/10 text-yellow-500 border-yellow-500/30'
+            : 'bg-white/5 text-slate-500 border-white/5 hover:text-white'}`}
+        >
+          <IconStar size={10} filled={starredOnly} className="" />
+          Starred
+        </button>
+      </div>
+
+      <div className="relative">
+        <IconSearch size={12} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search topics & titles..."
+          aria-label="Search history"
+          className="w-full bg-white/[0.03] border border-white/10 rounded-xl py-2 pl-8 pr-3 text-[11px] text-white placeholder:text-slate-600 focus:outline-none focus:ring-2 focus:ring-red-500/50"
+        />
+      </div>
+
+      {selectedRuns.length > 0 && (
+        <div className="flex items-center justify-between gap-2 p-2 rounded-xl bg-white/5 border border-white/10">
+          <button
+            onClick={() => setSelectedIds(new Set())}
+            className="px-2 text-[9px] font-black uppercase tracking-wider text-slate-500 hover:text-white"
+          >
+            Clear ({selectedRuns.length})
+          </button>
+          <ExportMenu runs={selectedRuns} label="Export selected" />
+        </div>
+      )}
+
+      {visibleRuns.length === 0 ? (
+        <p className="text-[10px] text-slate-500 italic py-4 text-center">
+          {runs.length === 0 ? 'Generated runs will appear here.' : 'No runs match.'}
+        </p>
+      ) : (
+        <ul className="space-y-2 overflow-y-auto -mr-2 pr-2">
+          {visibleRuns.map(run => (
+            <li
+              key={run.id}
+              className={`group p-3 rounded-xl border transition-colors ${run.id === activeRunId
+                ? 'bg-red-500/10 border-red-500/30'
+                : 'bg-white/[0.03] border-white/5 hover:bg-white/[0.08]'}`}
+            >
+              <button onClick={() => onRestore(run)} className="w-full text-left space-y-1">
+                <span className="block text-[11px] font-bold text-slate-200 leading-snug line-clamp-2">{run.brief.topic}</span>
+                <span className="block text-[9px] font-black text-slate-500 uppercase tracking-wider">
+                  {run.brief.tone} · {run.titles.length} titles · {formatTime(run.createdAt)}
+                </span>
+              </button>
+              <div className="flex items-center justify-end gap-1 mt-1">
+                <label className="mr-auto flex items-center gap-1.5 text-[9px] font-black uppercase tracking-wider text-slate-500 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.has(run.id)}
+                    onChange={() => toggleSelected(run.id)}
+                    className="accent-red-500"
+                  />
+                  Select
+                </label>
+                {run.review?.approval && (
+                  <span className="text-[9px] font-black uppercase tracking-wider text-green-400" title={`${run.review.approval.title} (by ${run.review.approval.by})`}>Approved</span>
+                )}
+                {run.published?.length > 0 && (
+                  <span className="text-[9px] font-black uppercase tracking-wider text-blue-400" title={run.published.join('\n')}>
+                    {run.published.length > 1 ? 'A/B' : 'Live'}
+                  </span>
+                )}
+                {run.partial && (
+                  <span className="text-[9px] font-black uppercase tracking-wider text-yellow-500" title="Cancelled or failed before every title arrived">Partial</span>
+                )}
+                {run.chosenTitle && (
+                  <span className="text-[9px] font-black uppercase tracking-wider text-green-500" title={run.chosenTitle}>Picked</span>
+                )}
+                <button
+                  onClick={() => onToggleStar(run)}
+                  className={`p-1.5 rounded-lg hover:bg-white/10 ${run.starred ? 'text-yellow-500' : 'text-slate-500 hover:text-white'}`}
+                  title={run.starred ? 'Unstar' : 'Star'}
+                >
+                  <IconStar size={12} filled={run.starred} className="" />
+                </button>
+                <button
+                  onClick={() => onDelete(run)}
+                  className="p-1.5 rounded-lg text-slate-500 hover:text-red-400 hover:bg-white/10"
+                  title="Delete run"
+                >
+                  <IconTrash size={12} className="" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,161 @@
+import React, { useMemo, useState } from 'react';
+import {
+  MAX_SECONDARY_KEYWORDS,
+  PRIMARY_KEYWORD_WINDOW,
+  extractCandidates,
+  keywordKey,
+  mergeKeywords,
+  parseKeywordList,
+  pinKeyword,
+} from '../lib/keywords.js';
+
+const buttonClass = 'px-3 py-2 rounded-xl bg-white/5 hover:bg-white/10 text-[9px] font-black uppercase tracking-wider text-slate-400 hover:text-white transition-all border border-white/5 hover:border-white/10 disabled:opacity-40';
+
+const formatVolume = (volume) => (volume === null ? '–' : new Intl.NumberFormat(undefined, { notation: 'compact' }).format(volume));
+
+const difficultyClass = (difficulty) => {
+  if (difficulty === null) return 'text-slate-600';
+  if (difficulty < 30) return 'text-green-400';
+  if (difficulty < 60) return 'text-yellow-400';
+  return 'text-red-400';
+};
+
+/**
+ * Keyword research: imported lists with volume and difficulty, candidates
+ * from the brief, and the primary/secondary pins that go to the agent.
+ * Pins live in App so they ride along with the brief; the imported list
+ * only lasts for the session.
+ */
+const KeywordPanel = ({ topic, keyPoints, pins, onChange, tone }) => {
+  const [open, setOpen] = useState(false);
+  const [source, setSource] = useState('');
+  const [imported, setImported] = useState([]);
+  const [errors, setErrors] = useState([]);
+
+  const candidates = useMemo(() => extractCandidates({ topic, key_points: keyPoints }), [topic, keyPoints]);
+
+  // Pinned keywords first (restored runs may pin ones no longer in the list), then by volume
+  const keywords = useMemo(() => {
+    const pinned = [pins.primary, ...pins.secondary].filter(Boolean)
+      .map(keyword => ({ keyword, volume: null, difficulty: null, source: 'pinned' }));
+    const all = mergeKeywords(mergeKeywords(imported, candidates), pinned);
+    const rank = (k) => (keywordKey(k.keyword) === keywordKey(pins.primary) ? 0 : pins.secondary.some(s => keywordKey(s) === keywordKey(k.keyword)) ? 1 : 2);
+    return all.sort((a, b) => rank(a) - rank(b) || (b.volume ?? -1) - (a.volume ?? -1));
+  }, [imported, candidates, pins]);
+
+  const addList = (text) => {
+    const result = parseKeywordList(text);
+    setImported(prev => mergeKeywords(prev, result.keywords));
+    setErrors(result.errors);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) addList(await file.text());
+  };
+
+  const handleAdd = () => {
+    addList(source);
+    setSource('');
+  };
+
+  const pinnedCount = (pins.primary ? 1 : 0) + pins.secondary.length;
+
+  return (
+    <div className="space-y-3">
+      <button
+        onClick={() => setOpen(v => !v)}
+        aria-expanded={open}
+        className="w-full flex justify-between items-end px-1 text-left"
+      >
+        <span className="text-[10px] font-black text-slate-500 uppercase tracking-widest">Keywords {open ? '▾' : '▸'}</span>
+        <span className="text-[9px] font-bold text-slate-600 truncate ml-3">
+          {pins.primary
+            ? <>Primary: <span className="text-white">{pins.primary}</span>{pins.secondary.length > 0 && ` + ${pins.secondary.join(', ')}`}</>
+            : tone === 'SEO' ? <span className="text-yellow-500">Pin a primary keyword for SEO mode</span> : 'None pinned'}
+        </span>
+      </button>
+
+      {open && (
+        <div className="p-4 rounded-2xl bg-white/[0.03] border border-white/10 space-y-3">
+          <textarea
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            aria-label="Keyword list"
+            placeholder={'Paste keywords, one per line, or an export with volume and difficulty.\n\nKeyword,Volume,KD\nsaas churn,2400,35'}
+            className="w-full bg-white/[0.03] border border-white/10 rounded-xl p-3 text-white placeholder:text-slate-600 focus:outline-none focus:ring-2 focus:ring-red-500/50 min-h-[70px] text-[11px] font-mono"
+          />
+          <div className="flex flex-wrap items-center gap-2">
+            <label className={`${buttonClass} cursor-pointer`}>
+              Import CSV
+              <input type="file" accept=".csv,.tsv,text/csv,text/plain" onChange={handleFile} className="sr-only" />
+            </label>
+            <button onClick={handleAdd} disabled={!source.trim()} className={buttonClass}>Add</button>
+            <span className="ml-auto text-[9px] font-bold text-slate-600">
+              {pinnedCount} pinned · primary should land in the first {PRIMARY_KEYWORD_WINDOW} chars
+            </span>
+          </div>
+          {errors.length > 0 && (
+            <ul role="alert" className="p-2 rounded-lg bg-yellow-500/10 border border-yellow-500/20 text-[10px] text-yellow-300">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          {keywords.length === 0 ? (
+            <p className="text-[11px] text-slate-500 italic">Fill in the topic or import a list to see keywords.</p>
+          ) : (
+            <table className="w-full text-[11px]">
+              <thead>
+                <tr className="text-[9px] font-black text-slate-500 uppercase tracking-wider text-left">
+                  <th className="py-1 font-black">Keyword</th>
+                  <th className="py-1 font-black text-right">Volume</th>
+                  <th className="py-1 font-black text-right">KD</th>
+                  <th className="py-1"><span className="sr-only">Pin</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {keywords.map((k) => {
+                  const key = keywordKey(k.keyword);
+                  const isPrimary = keywordKey(pins.primary) === key;
+                  const isSecondary = pins.secondary.some(s => keywordKey(s) === key);
+                  const secondaryFull = !isSecondary && pins.secondary.length >= MAX_SECONDARY_KEYWORDS;
+                  return (
+                    <tr key={key} className="border-t border-white/5">
+                      <td className="py-1.5 pr-2 text-slate-300">
+                        {k.keyword}
+                        {k.source === 'brief' && <span className="ml-2 text-[8px] font-black uppercase tracking-wider text-slate-600">from brief</span>}
+                      </td>
+                      <td className="py-1.5 pr-2 font-mono text-right text-slate-400">{formatVolume(k.volume)}</td>
+                      <td className={`py-1.5 pr-2 font-mono text-right ${difficultyClass(k.difficulty)}`}>{k.difficulty ?? '–'}</td>
+                      <td className="py-1.5 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => onChange(pinKeyword(pins, k.keyword, 'primary'))}
+                          aria-pressed={isPrimary}
+                          className={`px-2 py-0.5 rounded text-[8px] font-black uppercase tracking-wider border ${isPrimary ? 'bg-red-500 text-white border-red-500' : 'text-slate-400 border-white/10 hover:text-white'}`}
+                        >
+                          Primary
+                        </button>
+                        <button
+                          onClick={() => onChange(pinKeyword(pins, k.keyword, 'secondary'))}
+                          disabled={secondaryFull}
+                          aria-pressed={isSecondary}
+                          title={secondaryFull ? `At most ${MAX_SECONDARY_KEYWORDS} secondary keywords` : undefined}
+                          className={`ml-1 px-2 py-0.5 rounded text-[8px] font-black uppercase tracking-wider border disabled:opacity-30 ${isSecondary ? 'bg-blue-500 text-white border-blue-500' : 'text-slate-400 border-white/10 hover:text-white'}`}
+                        >
+                          Secondary
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KeywordPanel;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { LANGUAGE_OPTIONS, MAX_LANGUAGES, languageName, toggleLanguage } from '../lib/languages.js';
+
+/**
+ * Target language multi-select. Each language is generated as its own set
+ * of titles, so the count below multiplies the run.
+ */
+const LanguagePicker = ({ languages, onChange }) => {
+  const full = languages.length >= MAX_LANGUAGES;
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-between items-end px-1">
+        <span id="languages-label" className="text-[10px] font-black text-slate-500 uppercase tracking-widest">Languages</span>
+        <span className="text-[9px] font-bold text-slate-600">{languages.length} of max {MAX_LANGUAGES}</span>
+      </div>
+      <div role="group" aria-labelledby="languages-label" className="flex flex-wrap gap-1.5">
+        {LANGUAGE_OPTIONS.map((code) => {
+          const selected = languages.includes(code);
+          return (
+            <button
+              key={code}
+              onClick={() => onChange(toggleLanguage(languages, code))}
+              disabled={!selected && full}
+              aria-pressed={selected}
+              title={languageName(code)}
+              lang={code}
+              className={`px-2.5 py-1 rounded-lg text-[10px] font-bold border transition-all disabled:opacity-30 disabled:cursor-not-allowed ${selected
+                ? 'bg-red-500 text-white border-red-500'
+                : 'bg-white/5 text-slate-400 border-white/10 hover:bg-white/10 hover:text-white'}`}
+            >
+              {languageName(code, { native: true })}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default LanguagePicker;
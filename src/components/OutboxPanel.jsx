@@ -0,0 +1,81 @@
+import React from 'react';
+import { IconClock, IconTrash, IconZap } from './icons.jsx';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+/**
+ * Briefs queued while offline and the runs that came back for them.
+ * `entries` are outbox records (see lib/outbox.js); `delivered` are saved
+ * runs the user has not opened yet.
+ */
+const OutboxPanel = ({ entries, delivered, online, onOpen, onDismiss, onRetry, onDiscard }) => {
+  if (!entries.length && !delivered.length) return null;
+
+  return (
+    <div className="mt-6 space-y-2">
+      {delivered.map(run => (
+        <div key={run.id} className="flex items-center gap-3 p-3 rounded-xl bg-green-500/10 border border-green-500/20">
+          <IconZap size={12} className="text-green-400 flex-shrink-0" />
+          <span className="flex-1 min-w-0 text-[11px] text-slate-200 truncate">
+            Titles ready for <span className="font-bold">{run.brief.topic}</span>
+          </span>
+          <button
+            onClick={() => onOpen(run)}
+            className="px-2 py-1 rounded-lg text-[9px] font-black uppercase tracking-wider text-green-400 hover:bg-green-500/10"
+          >
+            Open
+          </button>
+          <button
+            onClick={() => onDismiss(run)}
+            className="px-2 py-1 rounded-lg text-[9px] font-black uppercase tracking-wider text-slate-500 hover:text-white"
+          >
+            Dismiss
+          </button>
+        </div>
+      ))}
+
+      {entries.length > 0 && (
+        <section aria-labelledby="outbox-label" className="p-3 rounded-xl bg-white/[0.03] border border-white/10 space-y-2">
+          <h4 id="outbox-label" className="flex items-center gap-2 text-[9px] font-black text-slate-500 uppercase tracking-wider">
+            <IconClock size={10} className="" />
+            Waiting to send · {entries.length}
+            {!online && <span className="text-yellow-500">· sent when you are back online</span>}
+          </h4>
+          <ul className="space-y-1.5">
+            {entries.map(entry => (
+              <li key={entry.id} className="flex items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className="text-[11px] text-slate-200 truncate">{entry.brief.topic}</p>
+                  <p className="text-[9px] text-slate-500">
+                    Queued {formatTime(entry.createdAt)} · {entry.brief.tone}
+                    {entry.lastError && <span className="text-red-400"> · {entry.lastError}</span>}
+                  </p>
+                </div>
+                {entry.lastError && (
+                  <button
+                    onClick={() => onRetry(entry)}
+                    disabled={!online}
+                    className="px-2 py-1 rounded-lg text-[9px] font-black uppercase tracking-wider text-slate-400 hover:text-white disabled:opacity-40"
+                  >
+                    Retry
+                  </button>
+                )}
+                <button
+                  onClick={() => onDiscard(entry.id)}
+                  className="p-1 text-slate-500 hover:text-red-400"
+                  title="Discard queued brief"
+                >
+                  <IconTrash size={12} className="" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default OutboxPanel;
@@ -0,0 +1,131 @@
+import React, { useMemo, useState } from 'react';
+import { summarizePerformance } from '../lib/analytics.js';
+
+const formatCtr = (ctr) => (ctr === null ? '–' : `${ctr.toFixed(1)}%`);
+const formatDuration = (seconds) => (seconds === null
+  ? '–'
+  : `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`);
+const formatCount = (n) => new Intl.NumberFormat(undefined, { notation: 'compact' }).format(n);
+
+// One breakdown table, best CTR first, with a bar relative to the leader
+const GroupTable = ({ title, groups }) => {
+  const best = Math.max(...groups.map(g => g.ctr ?? 0), 0.01);
+  return (
+    <div className="space-y-2">
+      <div className="text-[9px] font-black text-slate-500 uppercase tracking-wider">{title}</div>
+      <table className="w-full text-[11px]">
+        <thead className="sr-only">
+          <tr><th>Group</th><th>Videos</th><th>CTR</th><th>Avg view duration</th></tr>
+        </thead>
+        <tbody>
+          {groups.map(group => (
+            <tr key={group.id} className="border-t border-white/5">
+              <td className="py-1.5 pr-2 text-slate-300">{group.label}</td>
+              <td className="py-1.5 pr-2 text-slate-500 text-right whitespace-nowrap">{group.videos} vid</td>
+              <td className="py-1.5 pr-2 w-1/3">
+                <div className="flex items-center gap-2">
+                  <div className="flex-1 h-1.5 rounded-full bg-white/5 overflow-hidden">
+                    <div className="h-full bg-red-500" style={{ width: `${((group.ctr ?? 0) / best) * 100}%` }}></div>
+                  </div>
+                  <span className="font-mono text-white w-12 text-right">{formatCtr(group.ctr)}</span>
+                </div>
+              </td>
+              <td className="py-1.5 font-mono text-slate-400 text-right">{formatDuration(group.avgViewDuration)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * A/B tracker dashboard: imports a YouTube Analytics CSV and shows, per
+ * channel, what actually performed among the titles marked as published.
+ */
+const PerformanceDashboard = ({ runs, onImport }) => {
+  const [report, setReport] = useState(null); // { matched, unmatched } from the last import
+  const channels = useMemo(() => summarizePerformance(runs), [runs]);
+  const publishedCount = runs.reduce((sum, run) => sum + (run.published?.length || 0), 0);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setReport(await onImport(await file.text()));
+    } catch (error) {
+      setReport({ error: error.message });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="mr-auto">
+          <div className="text-[10px] font-black text-slate-500 uppercase tracking-widest">Real Results</div>
+          <p className="text-[11px] text-slate-400">
+            {publishedCount} published title{publishedCount === 1 ? '' : 's'} in history. Mark titles as published from a run and add its video link, then import YouTube Studio's Analytics export. For an A/B test, import one export per title, each covering the dates that title was live.
+          </p>
+        </div>
+        <label className="px-3 py-2 rounded-xl bg-white text-slate-900 text-[10px] font-black uppercase tracking-wider cursor-pointer">
+          Import Analytics CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} className="sr-only" />
+        </label>
+      </div>
+
+      {report && (
+        <div role="status" className={`p-3 rounded-xl border text-[11px] ${report.error ? 'bg-red-500/10 border-red-500/20 text-red-300' : 'bg-white/5 border-white/10 text-slate-300'}`}>
+          {report.error || `Matched ${report.matched} video${report.matched === 1 ? '' : 's'} to published titles.`}
+          {report.unmatched?.length > 0 && (
+            <details className="mt-1">
+              <summary className="cursor-pointer text-slate-500">{report.unmatched.length} not matched</summary>
+              <ul className="mt-1 space-y-0.5 text-slate-500">
+                {report.unmatched.map(row => <li key={row.videoId || row.title}>{row.title}</li>)}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
+
+      {channels.length === 0 ? (
+        <p className="text-[11px] text-slate-500 italic">No results yet.</p>
+      ) : channels.map(channel => (
+        <section key={channel.channel} className="p-5 rounded-2xl bg-white/[0.03] border border-white/5 space-y-5">
+          <div className="flex flex-wrap items-baseline gap-x-4 gap-y-1">
+            <h3 className="text-sm font-bold text-white uppercase tracking-wider mr-auto">{channel.channel}</h3>
+            <span className="text-[10px] text-slate-500">{channel.videos} videos</span>
+            <span className="text-[10px] text-slate-500">{formatCount(channel.impressions)} impressions</span>
+            <span className="text-[10px] text-slate-300 font-mono">CTR {formatCtr(channel.ctr)}</span>
+            <span className="text-[10px] text-slate-300 font-mono">AVD {formatDuration(channel.avgViewDuration)}</span>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-5">
+            <GroupTable title="By tone" groups={channel.byTone} />
+            <GroupTable title="By title pattern" groups={channel.byPattern} />
+            <GroupTable title="By thumbnail text" groups={channel.byThumbnail} />
+          </div>
+          {channel.abTests.length > 0 && (
+            <div className="space-y-2">
+              <div className="text-[9px] font-black text-slate-500 uppercase tracking-wider">A/B tests</div>
+              {channel.abTests.map(test => (
+                <div key={test.runId} className="p-3 rounded-xl bg-black/20 border border-white/5 space-y-1">
+                  <div className="text-[10px] text-slate-500">{test.topic}</div>
+                  {test.variants.map((variant, i) => (
+                    <div key={variant.title} className="flex items-center gap-2 text-[11px]">
+                      <span className={`text-[9px] font-black uppercase ${i === 0 ? 'text-green-500' : 'text-slate-600'}`}>{i === 0 ? 'Winner' : 'B'}</span>
+                      <span className="flex-1 text-slate-300">{variant.title}</span>
+                      <span className="font-mono text-white">{formatCtr(variant.ctr)}</span>
+                      <span className="font-mono text-slate-500">{formatDuration(variant.avgViewDuration)}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default PerformanceDashboard;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { splitList } from '../lib/profiles.js';
+
+const inputClass = 'w-full bg-white/[0.03] border border-white/10 rounded-xl px-3 py-2 text-[11px] text-white placeholder:text-slate-600 focus:outline-none focus:ring-2 focus:ring-red-500/50';
+const labelClass = 'block mb-1 text-[9px] font-black text-slate-500 uppercase tracking-wider';
+
+/**
+ * Create/edit form for one channel profile. Lists are edited as text
+ * (comma separated banned words, one example title per line).
+ */
+const ProfileEditor = ({ profile, tones, counts, onSave, onDelete, onClose }) => {
+  const [draft, setDraft] = useState(() => ({
+    ...profile,
+    bannedWords: profile.bannedWords.join(', '),
+    exampleTitles: profile.exampleTitles.join('\n'),
+  }));
+  const set = (field) => (e) => setDraft(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!draft.name.trim()) return;
+    onSave({
+      ...draft,
+      name: draft.name.trim(),
+      descriptionCount: parseInt(draft.descriptionCount, 10),
+      bannedWords: splitList(draft.bannedWords),
+      exampleTitles: splitList(draft.exampleTitles, '\n'),
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 rounded-2xl bg-black/20 border border-white/10 space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div>
+          <label className={labelClass} htmlFor="profile-name">Channel name</label>
+          <input id="profile-name" value={draft.name} onChange={set('name')} placeholder="e.g. Founder Files" className={inputClass} required />
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="profile-tone">Default tone</label>
+          <select id="profile-tone" value={draft.tone} onChange={set('tone')} className={inputClass}>
+            {tones.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="profile-count">Variations</label>
+          <select id="profile-count" value={draft.descriptionCount} onChange={set('descriptionCount')} className={inputClass}>
+            {counts.map(count => <option key={count} value={count}>{count}</option>)}
+          </select>
+        </div>
+      </div>
+      <div>
+        <label className={labelClass} htmlFor="profile-audience">Default audience</label>
+        <input id="profile-audience" value={draft.audience} onChange={set('audience')} placeholder="e.g. Early-stage B2B SaaS Founders" className={inputClass} />
+      </div>
+      <div>
+        <label className={labelClass} htmlFor="profile-voice">Brand voice</label>
+        <textarea id="profile-voice" value={draft.voice} onChange={set('voice')} placeholder="e.g. Dry, numbers-first, never hypes. No emojis." className={`${inputClass} min-h-[50px]`} />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label className={labelClass} htmlFor="profile-examples">Past titles that worked (one per line)</label>
+          <textarea id="profile-examples" value={draft.exampleTitles} onChange={set('exampleTitles')} className={`${inputClass} min-h-[70px]`} />
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="profile-banned">Banned words (comma separated)</label>
+          <textarea id="profile-banned" value={draft.bannedWords} onChange={set('bannedWords')} placeholder="e.g. insane, hack, secret" className={`${inputClass} min-h-[70px]`} />
+        </div>
+      </div>
+      <div className="flex items-center justify-end gap-2">
+        {profile.id && (
+          <button type="button" onClick={() => onDelete(profile)} className="mr-auto px-3 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-wider text-slate-500 hover:text-red-400">
+            Delete
+          </button>
+        )}
+        <button type="button" onClick={onClose} className="px-3 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white border border-white/5">
+          Cancel
+        </button>
+        <button type="submit" disabled={!draft.name.trim()} className="px-3 py-1.5 rounded-lg bg-red-500 text-white text-[10px] font-bold uppercase tracking-wider disabled:bg-slate-800 disabled:text-slate-600">
+          Save profile
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ProfileEditor;
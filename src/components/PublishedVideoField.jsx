@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { parseVideoId } from '../lib/analytics.js';
+
+/**
+ * The YouTube video a run's published titles went out on, so Analytics
+ * imports find its results by video ID even after the title changes in
+ * Studio. Takes a URL or a bare ID; saved on blur or Enter.
+ */
+const PublishedVideoField = ({ run, onSave }) => {
+  const [value, setValue] = useState(run.videoId || '');
+  const [invalid, setInvalid] = useState(false);
+
+  const save = () => {
+    const videoId = value.trim() ? parseVideoId(value) : null;
+    setInvalid(value.trim() !== '' && !videoId);
+    if (value.trim() && !videoId) return;
+    setValue(videoId || '');
+    if (videoId !== (run.videoId || null)) onSave(videoId);
+  };
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-3 p-3 rounded-xl bg-white/[0.03] border border-white/10">
+      <label htmlFor="published-video" className="text-[9px] font-black text-slate-500 uppercase tracking-wider">
+        {run.published.length > 1 ? 'A/B video' : 'Published on'}
+      </label>
+      <input
+        id="published-video"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onBlur={save}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') save();
+        }}
+        placeholder="YouTube video URL or ID"
+        aria-invalid={invalid}
+        aria-describedby={invalid ? 'published-video-error' : undefined}
+        className="flex-1 min-w-[12rem] bg-white/[0.03] border border-white/10 rounded-lg px-3 py-1.5 text-[11px] text-white placeholder:text-slate-600 focus:outline-none focus:ring-2 focus:ring-red-500/50"
+      />
+      {invalid && <span id="published-video-error" className="text-[10px] text-red-300">Not a YouTube video link or ID</span>}
+    </div>
+  );
+};
+
+export default PublishedVideoField;
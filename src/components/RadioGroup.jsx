@@ -0,0 +1,45 @@
+import React, { useRef } from 'react';
+import { radioKeyTarget } from '../lib/a11y.js';
+
+/**
+ * Single-choice picker with radio semantics: one tab stop on the checked
+ * option, arrow keys move and select (wrapping), Home and End jump.
+ * `options` are `{ value, ... }`; `renderOption(option, checked)` draws
+ * the inside of each option and `optionClass(checked)` styles it.
+ */
+const RadioGroup = ({ labelledBy, options, value, onChange, renderOption, optionClass, className }) => {
+  const optionRefs = useRef([]);
+  const checkedIndex = Math.max(0, options.findIndex(option => option.value === value));
+
+  const handleKeyDown = (e) => {
+    const index = radioKeyTarget(e.key, checkedIndex, options.length);
+    if (index === null) return;
+    e.preventDefault();
+    onChange(options[index].value);
+    optionRefs.current[index]?.focus();
+  };
+
+  return (
+    <div role="radiogroup" aria-labelledby={labelledBy} onKeyDown={handleKeyDown} className={className}>
+      {options.map((option, i) => {
+        const checked = option.value === value;
+        return (
+          <button
+            key={option.value}
+            ref={(el) => { optionRefs.current[i] = el; }}
+            type="button"
+            role="radio"
+            aria-checked={checked}
+            tabIndex={i === checkedIndex ? 0 : -1}
+            onClick={() => onChange(option.value)}
+            className={optionClass(checked)}
+          >
+            {renderOption(option, checked)}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RadioGroup;
@@ -0,0 +1,168 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { getReview, updateReview } from '../api.js';
+import { IconCheck, IconYoutube } from './icons.jsx';
+
+const NAME_KEY = 'the-architect:reviewer';
+const POLL_MS = 15_000;
+
+const inputClass = 'bg-white/[0.03] border border-white/10 rounded-lg px-3 py-1.5 text-[11px] text-white placeholder:text-slate-600 focus:outline-none focus:ring-2 focus:ring-red-500/50';
+
+const CommentForm = ({ disabled, onSubmit }) => {
+  const [text, setText] = useState('');
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        onSubmit(text.trim());
+        setText('');
+      }}
+      className="flex gap-2"
+    >
+      <input
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        disabled={disabled}
+        placeholder={disabled ? 'Enter your name above to comment' : 'Add a comment...'}
+        aria-label="Comment"
+        className={`flex-1 ${inputClass}`}
+      />
+      <button type="submit" disabled={disabled || !text.trim()} className="px-3 rounded-lg text-[9px] font-black uppercase tracking-wider bg-white/10 text-white disabled:opacity-40">
+        Post
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Team review page for a shared shortlist (/review/:id). Anyone with the
+ * link can vote, comment per title and approve one; the originating run
+ * picks the approval up on its next refresh.
+ */
+const ReviewPage = ({ reviewId }) => {
+  const [review, setReview] = useState(null);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState(() => localStorage.getItem(NAME_KEY) || '');
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async (signal) => {
+    try {
+      setReview(await getReview(reviewId, { signal }));
+      setError(null);
+    } catch (loadError) {
+      if (!signal?.aborted) setError(loadError.message);
+    }
+  }, [reviewId]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    load(controller.signal);
+    const timer = setInterval(() => load(controller.signal), POLL_MS);
+    return () => {
+      controller.abort();
+      clearInterval(timer);
+    };
+  }, [load]);
+
+  const handleName = (value) => {
+    setName(value);
+    localStorage.setItem(NAME_KEY, value);
+  };
+
+  const act = async (action, body) => {
+    setBusy(true);
+    try {
+      setReview(await updateReview(reviewId, action, body));
+      setError(null);
+    } catch (actError) {
+      setError(actError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const who = name.trim();
+
+  return (
+    <div className="min-h-screen bg-[#020617] p-4 sm:p-8 font-sans text-white">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <header className="flex items-center gap-3">
+          <div className="p-2 bg-white rounded-xl flex items-center justify-center">
+            <IconYoutube />
+          </div>
+          <div>
+            <h1 className="text-xl font-black tracking-tighter italic uppercase leading-none">Title Review</h1>
+            <span className="text-[9px] font-bold tracking-[0.3em] text-slate-500 uppercase">
+              {review?.channel ? `${review.channel} · ` : ''}{review?.topic}
+            </span>
+          </div>
+        </header>
+
+        <div className="flex flex-wrap items-center gap-3 p-4 rounded-2xl bg-white/5 border border-white/10">
+          <label htmlFor="reviewer-name" className="text-[10px] font-black text-slate-500 uppercase tracking-widest">Your name</label>
+          <input id="reviewer-name" value={name} onChange={(e) => handleName(e.target.value)} placeholder="So the team knows who voted" className={inputClass} />
+          {review?.approval ? (
+            <span className="ml-auto text-[10px] font-black uppercase tracking-wider text-green-400">
+              Approved by {review.approval.by}
+            </span>
+          ) : (
+            <span className="ml-auto text-[10px] font-black uppercase tracking-wider text-slate-500">Awaiting approval</span>
+          )}
+        </div>
+
+        {error && <p role="alert" className="p-3 rounded-xl bg-red-500/10 border border-red-500/20 text-[11px] text-red-300">{error}</p>}
+        {!review && !error && <p className="text-[11px] text-slate-500">Loading review...</p>}
+
+        {review && (
+          <ol className="space-y-3">
+            {review.titles.map((title, index) => {
+              const approved = review.approval?.index === index;
+              const voted = title.votes.includes(who);
+              return (
+                <li key={index} className={`p-4 rounded-xl border space-y-3 ${approved ? 'bg-green-500/[0.06] border-green-500/30' : 'bg-white/[0.03] border-white/5'}`}>
+                  <div className="flex items-start gap-4">
+                    <div className="flex-1 space-y-1">
+                      <div className="text-sm font-bold text-slate-200">{title.youtube_title}</div>
+                      {title.thumbnail_text && <div className="text-[10px] font-mono text-yellow-500">{title.thumbnail_text}</div>}
+                      {title.ctr_rationale && <div className="text-[10px] text-slate-500 italic">{title.ctr_rationale}</div>}
+                    </div>
+                    <button
+                      onClick={() => act('votes', { voter: who, title_index: index })}
+                      disabled={busy || !who}
+                      aria-pressed={voted}
+                      title={title.votes.join(', ') || 'No votes yet'}
+                      className={`px-3 py-1.5 rounded-lg text-[10px] font-black border disabled:opacity-40 ${voted ? 'bg-red-500 text-white border-red-500' : 'bg-white/5 text-slate-300 border-white/10 hover:bg-white/10'}`}
+                    >
+                      ▲ {title.votes.length}
+                    </button>
+                    <button
+                      onClick={() => act('approve', { author: who, title_index: approved ? null : index })}
+                      disabled={busy || !who}
+                      className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-wider border disabled:opacity-40 ${approved ? 'bg-green-500 text-white border-green-500' : 'bg-white/5 text-slate-300 border-white/10 hover:bg-white/10'}`}
+                    >
+                      {approved && <IconCheck size={10} className="" />}
+                      {approved ? 'Approved' : 'Approve'}
+                    </button>
+                  </div>
+
+                  {title.comments.length > 0 && (
+                    <ul className="space-y-1 pl-3 border-l border-white/10">
+                      {title.comments.map((comment, i) => (
+                        <li key={i} className="text-[11px] text-slate-300">
+                          <span className="font-bold text-white">{comment.author}:</span> {comment.text}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <CommentForm disabled={busy || !who} onSubmit={text => act('comments', { author: who, text, title_index: index })} />
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewPage;
@@ -0,0 +1,43 @@
+import React from 'react';
+
+const STATUS_STYLES = {
+  pass: { icon: '✓', className: 'text-green-400 bg-green-500/10 border-green-500/20' },
+  warn: { icon: '!', className: 'text-yellow-400 bg-yellow-500/10 border-yellow-500/20' },
+  fail: { icon: '✗', className: 'text-red-400 bg-red-500/10 border-red-500/20' },
+};
+
+const scoreColor = (score) => {
+  if (score >= 75) return 'text-green-400 border-green-500/40';
+  if (score >= 50) return 'text-yellow-400 border-yellow-500/40';
+  return 'text-red-400 border-red-500/40';
+};
+
+export const ScoreDial = ({ score }) => (
+  <span
+    className={`flex-shrink-0 w-9 h-9 flex items-center justify-center rounded-full border-2 text-[11px] font-black ${scoreColor(score)}`}
+    title="Directives score"
+  >
+    {score}
+  </span>
+);
+
+// One pill per rule; hover for the reason
+const ScoreBadges = ({ rules }) => (
+  <div className="flex flex-wrap gap-1">
+    {rules.map(rule => {
+      const style = STATUS_STYLES[rule.status];
+      return (
+        <span
+          key={rule.id}
+          title={rule.detail}
+          className={`flex items-center gap-1 px-1.5 py-0.5 rounded border text-[9px] font-black uppercase tracking-wider ${style.className}`}
+        >
+          <span aria-hidden="true">{style.icon}</span>
+          {rule.label}
+        </span>
+      );
+    })}
+  </div>
+);
+
+export default ScoreBadges;
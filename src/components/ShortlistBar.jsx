@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { IconCheck, IconCopy, IconShare } from './icons.jsx';
+
+/**
+ * Shortlist summary under the results header: share the shortlist as a
+ * review link, then follow its votes and approval.
+ */
+const ShortlistBar = ({ run, count, onShare }) => {
+  const [sharing, setSharing] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const review = run.review;
+
+  if (!count && !review) return null;
+
+  const handleShare = async () => {
+    setSharing(true);
+    setError(null);
+    try {
+      await onShare();
+    } catch (shareError) {
+      setError(shareError.message);
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(review.url);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-3 p-3 rounded-xl bg-white/[0.03] border border-white/10">
+      <span className="text-[9px] font-black text-slate-500 uppercase tracking-wider">Shortlist: {count}</span>
+      {review ? (
+        <>
+          <a href={review.url} target="_blank" rel="noreferrer" className="text-[11px] text-blue-300 hover:underline truncate max-w-[16rem]">{review.url}</a>
+          <button onClick={handleCopy} className="p-1 text-slate-400 hover:text-white" title="Copy review link">
+            {copied ? <IconCheck size={12} className="text-green-500" /> : <IconCopy size={12} className="" />}
+          </button>
+          <span className="text-[10px] text-slate-500">{review.votes || 0} votes · {review.comments || 0} comments</span>
+          {review.approval ? (
+            <span className="ml-auto text-[9px] font-black uppercase tracking-wider text-green-400" title={review.approval.title}>
+              Approved by {review.approval.by}
+            </span>
+          ) : (
+            <span className="ml-auto text-[9px] font-black uppercase tracking-wider text-slate-500">Awaiting approval</span>
+          )}
+        </>
+      ) : (
+        <button
+          onClick={handleShare}
+          disabled={sharing || !run.id}
+          title={run.id ? 'Create a review link for the team' : 'Only saved runs can be shared'}
+          className="ml-auto flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white transition-all border border-white/5 hover:border-white/10 disabled:opacity-40"
+        >
+          <IconShare size={12} className="" />
+          {sharing ? 'Sharing...' : 'Share for review'}
+        </button>
+      )}
+      {error && <p role="alert" className="w-full text-[10px] text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default ShortlistBar;
@@ -0,0 +1,313 @@
+import React, { useState } from 'react';
+import { MAX_PUBLISHED } from '../lib/analytics.js';
+import { PRIMARY_KEYWORD_WINDOW, highlightSegments, keywordPlacement } from '../lib/keywords.js';
+import { textDirection, titleLanguage } from '../lib/languages.js';
+import { REFINE_ACTIONS, refineLabel } from '../lib/refine.js';
+import { shortcutAction } from '../lib/a11y.js';
+import ScoreBadges, { ScoreDial } from './ScoreBadges.jsx';
+import TitlePreview from './TitlePreview.jsx';
+import { IconBroadcast, IconCheck, IconCopy, IconEye, IconListPlus, IconPin, IconWand } from './icons.jsx';
+
+// Row actions appear on hover with a mouse; on touch screens and while the row has keyboard focus they stay visible
+const REVEAL = 'pointer-fine:opacity-0 pointer-fine:group-hover:opacity-100 pointer-fine:group-focus-within:opacity-100 focus-visible:opacity-100';
+
+const KEYWORD_MARKS = {
+  primary: 'bg-red-500/20 text-red-100 rounded-sm',
+  secondary: 'bg-blue-500/20 text-blue-100 rounded-sm',
+};
+
+// The title with pinned keywords marked
+const KeywordTitle = ({ text, ranges }) => highlightSegments(text, ranges).map((segment, i) => (segment.role
+  ? <mark key={i} className={KEYWORD_MARKS[segment.role]} title={`${segment.role} keyword`}>{segment.text}</mark>
+  : <React.Fragment key={i}>{segment.text}</React.Fragment>));
+
+// Preset refine actions plus a free-text feedback box
+const RefineBar = ({ busy, error, onRefine }) => {
+  const [feedback, setFeedback] = useState('');
+
+  const submitFeedback = (e) => {
+    e.preventDefault();
+    if (!feedback.trim()) return;
+    onRefine({ action: 'feedback', feedback: feedback.trim() });
+    setFeedback('');
+  };
+
+  return (
+    <div className="mt-3 p-3 rounded-xl bg-black/20 border border-white/10 space-y-2">
+      <div className="flex flex-wrap gap-1">
+        {REFINE_ACTIONS.map(action => (
+          <button
+            key={action.id}
+            disabled={busy}
+            onClick={() => onRefine({ action: action.id })}
+            className="px-2.5 py-1 rounded-lg text-[9px] font-black uppercase tracking-wider bg-white/5 text-slate-300 border border-white/10 hover:bg-white/10 hover:text-white disabled:opacity-40"
+          >
+            {action.label}
+          </button>
+        ))}
+      </div>
+      <form onSubmit={submitFeedback} className="flex gap-2">
+        <input
+          value={feedback}
+          onChange={(e) => setFeedback(e.target.value)}
+          disabled={busy}
+          placeholder="Or say what to change..."
+          aria-label="Refinement feedback"
+          className="flex-1 bg-white/[0.03] border border-white/10 rounded-lg px-3 py-1.5 text-[11px] text-white placeholder:text-slate-600 focus:outline-none focus:ring-2 focus:ring-red-500/50"
+        />
+        <button
+          type="submit"
+          disabled={busy || !feedback.trim()}
+          className="px-3 rounded-lg text-[9px] font-black uppercase tracking-wider bg-red-500 text-white disabled:bg-slate-800 disabled:text-slate-600"
+        >
+          {busy ? '...' : 'Send'}
+        </button>
+      </form>
+      {error && <p role="alert" className="text-[10px] text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+/**
+ * One generated title in the results list: rank, title, thumbnail text,
+ * rationale, plus per-title actions. Refined variants render recursively
+ * under their parent; `path` addresses the item (see lib/refine.js).
+ * `duplicates` are near-duplicates collapsed under this title
+ * (`[{ entry: { item, index, score }, score }]`, see lib/similarity.js);
+ * each renders with its `similarity` to this one.
+ *
+ * `list` holds what every item in the list shares:
+ * { chosenTitle, onChoose, publishedTitles, onTogglePublished, shortlist, onToggleShortlist,
+ *   approvedTitle, copiedKey, onCopy, onRefine, getScore, thumbnailImage, keywords, getCatalogMatch,
+ *   getToneViolations }
+ * where `keywords` holds the run's `primary_keyword` and `secondary_keywords`,
+ * `getCatalogMatch(title)` returns the closest published title or null and
+ * `getToneViolations(title)` lists the custom tone rules it breaks (null
+ * when the run's tone has no rules).
+ */
+const TitleItem = ({ title, path, score, list, duplicates = [], similarity = null }) => {
+  const [showPreview, setShowPreview] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [showRefine, setShowRefine] = useState(false);
+  const [refining, setRefining] = useState(false);
+  const [refineError, setRefineError] = useState(null);
+
+  const key = path.join('.');
+  const isVariant = path.length > 1;
+  const chosen = Boolean(list.chosenTitle) && list.chosenTitle === title.youtube_title;
+  const published = list.publishedTitles?.includes(title.youtube_title);
+  const publishFull = !published && list.publishedTitles?.length >= MAX_PUBLISHED;
+  const shortlisted = list.shortlist?.includes(title.youtube_title);
+  const approved = Boolean(list.approvedTitle) && list.approvedTitle === title.youtube_title;
+  const itemScore = score || list.getScore?.(title);
+  const language = titleLanguage(title);
+  const dir = textDirection(language);
+  const placement = list.keywords?.primary_keyword || list.keywords?.secondary_keywords
+    ? keywordPlacement(title.youtube_title, list.keywords)
+    : null;
+  const catalogMatch = list.getCatalogMatch?.(title);
+  const toneViolations = list.getToneViolations?.(title) || [];
+
+  const handleRefine = async (request) => {
+    setRefining(true);
+    setRefineError(null);
+    try {
+      await list.onRefine(path, title, request);
+    } catch (error) {
+      setRefineError(error.message);
+    } finally {
+      setRefining(false);
+    }
+  };
+
+  // c and s act on the focused row (j/k in App move the focus); nested rows handle their own
+  const handleKeyDown = (e) => {
+    const action = shortcutAction(e);
+    if (action === 'copy') list.onCopy(title.youtube_title, key);
+    else if (action === 'shortlist' && list.onToggleShortlist) list.onToggleShortlist(title);
+    else return;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  return (
+    <li
+      data-title-item
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+      className={`p-4 rounded-xl transition-colors border group ${chosen
+        ? 'bg-green-500/[0.06] border-green-500/30'
+        : 'bg-white/[0.03] hover:bg-white/[0.08] border-white/5'}`}
+    >
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-start gap-4 flex-1">
+          {isVariant ? (
+            <span className="flex-shrink-0 mt-0.5 px-1.5 py-0.5 rounded bg-purple-500/10 border border-purple-500/20 text-[8px] font-black uppercase tracking-wider text-purple-300" title={title.feedback || undefined}>
+              {refineLabel(title.refinement)}
+            </span>
+          ) : (
+            <span className={`flex-shrink-0 w-6 h-6 flex items-center justify-center rounded-full text-[10px] font-black transition-all ${title.rank <= 3 ? 'bg-yellow-500 text-slate-900 shadow-lg shadow-yellow-500/20' : 'bg-red-500/10 text-red-500 group-hover:bg-red-500 group-hover:text-white'
+              }`}>
+              {title.rank || path[0] + 1}
+            </span>
+          )}
+          <div className="flex flex-col gap-2 w-full">
+            <span className="text-sm text-slate-200 font-bold leading-relaxed selection:bg-red-500/30">
+              <bdi dir={dir} lang={language}>
+                {placement ? <KeywordTitle text={title.youtube_title} ranges={placement.ranges} /> : title.youtube_title}
+              </bdi>
+              {placement?.primary && (
+                <span
+                  className={`ml-2 align-middle px-1.5 py-0.5 rounded border text-[8px] font-black uppercase tracking-wider ${placement.primary.inWindow
+                    ? 'bg-green-500/10 border-green-500/20 text-green-300'
+                    : 'bg-yellow-500/10 border-yellow-500/20 text-yellow-300'}`}
+                  title={placement.primary.found
+                    ? `"${placement.primary.keyword}" ends at character ${placement.primary.endsAt}`
+                    : `"${placement.primary.keyword}" is not in the title`}
+                >
+                  {placement.primary.inWindow ? `KW ≤ ${PRIMARY_KEYWORD_WINDOW}` : placement.primary.found ? `KW @ ${placement.primary.endsAt}` : 'No KW'}
+                </span>
+              )}
+              {approved && (
+                <span className="ml-2 align-middle px-1.5 py-0.5 rounded bg-green-500/10 border border-green-500/20 text-[8px] font-black uppercase tracking-wider text-green-300">Team approved</span>
+              )}
+              {similarity !== null && (
+                <span className="ml-2 align-middle px-1.5 py-0.5 rounded bg-white/5 border border-white/10 text-[8px] font-black uppercase tracking-wider text-slate-400">{Math.round(similarity * 100)}% similar</span>
+              )}
+              {published && (
+                <span className="ml-2 align-middle px-1.5 py-0.5 rounded bg-blue-500/10 border border-blue-500/20 text-[8px] font-black uppercase tracking-wider text-blue-300">Published</span>
+              )}
+            </span>
+            {catalogMatch && (
+              <span className="text-[10px] text-orange-300" title="Closest title already published">
+                <span className="font-black uppercase tracking-wider">Too close to published ({Math.round(catalogMatch.score * 100)}%):</span> {catalogMatch.title}
+              </span>
+            )}
+            {toneViolations.length > 0 && (
+              <span className="text-[10px] text-red-300" title="Rules of the custom tone this run used">
+                <span className="font-black uppercase tracking-wider">Breaks tone rules:</span> {toneViolations.map(v => v.message).join(' · ')}
+              </span>
+            )}
+            {title.back_translation && (
+              <span className="-mt-1 text-[10px] text-slate-500" lang="en">
+                <span className="font-black uppercase tracking-wider">EN:</span> {title.back_translation}
+              </span>
+            )}
+
+            {itemScore && <ScoreBadges rules={itemScore.rules} />}
+
+            <div className="flex flex-wrap gap-2 items-center">
+              {title.thumbnail_text && (
+                <div className="flex items-center gap-2">
+                  <span className="text-[9px] font-black text-slate-500 uppercase tracking-wider">THUMBNAIL:</span>
+                  <span dir={dir} lang={language} className="text-[10px] text-yellow-500 font-mono bg-yellow-500/10 px-2 py-0.5 rounded border border-yellow-500/20">
+                    {title.thumbnail_text}
+                  </span>
+                </div>
+              )}
+              {title.ctr_rationale && (
+                <div className="flex items-center gap-2 pl-2 border-l border-white/10">
+                  <span className="text-[9px] font-black text-slate-500 uppercase tracking-wider">WHY IT WORKS:</span>
+                  <span className="text-[10px] text-slate-400 italic">
+                    {title.ctr_rationale}
+                  </span>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+        <div className="flex items-center self-start">
+          {itemScore && <ScoreDial score={itemScore.score} />}
+          {list.onChoose && (
+            <button
+              onClick={() => list.onChoose(title)}
+              aria-pressed={chosen}
+              className={`p-2 transition-opacity hover:text-white ${chosen ? 'text-green-500' : `text-slate-400 ${REVEAL}`}`}
+              title={chosen ? 'Unpick this title' : 'Pick for upload'}
+            >
+              <IconPin size={14} filled={chosen} className="" />
+            </button>
+          )}
+          {list.onToggleShortlist && (
+            <button
+              onClick={() => list.onToggleShortlist(title)}
+              aria-pressed={shortlisted}
+              className={`p-2 transition-opacity hover:text-white ${shortlisted ? 'text-yellow-400' : `text-slate-400 ${REVEAL}`}`}
+              title={shortlisted ? 'Remove from shortlist' : 'Add to shortlist for team review'}
+            >
+              <IconListPlus size={14} className="" />
+            </button>
+          )}
+          {list.onTogglePublished && (
+            <button
+              onClick={() => list.onTogglePublished(title)}
+              aria-pressed={published}
+              disabled={publishFull}
+              className={`p-2 transition-opacity hover:text-white disabled:cursor-not-allowed ${published ? 'text-blue-400' : `text-slate-400 ${REVEAL} disabled:group-hover:opacity-30`}`}
+              title={published ? 'Unmark as published' : publishFull ? `Already ${MAX_PUBLISHED} titles published (A/B)` : 'Mark as published'}
+            >
+              <IconBroadcast size={14} className="" />
+            </button>
+          )}
+          {list.onRefine && (
+            <button
+              onClick={() => setShowRefine(v => !v)}
+              aria-expanded={showRefine}
+              className={`p-2 transition-opacity hover:text-white ${showRefine ? 'text-purple-400' : `text-slate-400 ${REVEAL}`}`}
+              title="Refine this title"
+            >
+              <IconWand size={14} className="" />
+            </button>
+          )}
+          <button
+            onClick={() => setShowPreview(v => !v)}
+            aria-expanded={showPreview}
+            className={`p-2 transition-opacity hover:text-white ${showPreview ? 'text-red-500' : `text-slate-400 ${REVEAL}`}`}
+            title={showPreview ? 'Hide YouTube preview' : 'Preview on YouTube'}
+          >
+            <IconEye size={14} className="" />
+          </button>
+          <button
+            onClick={() => list.onCopy(title.youtube_title, key)}
+            className={`p-2 ${REVEAL} transition-opacity text-slate-400 hover:text-white`}
+            title="Copy to clipboard"
+          >
+            {list.copiedKey === key ? <IconCheck size={14} className="text-green-500" /> : <IconCopy size={14} />}
+          </button>
+        </div>
+      </div>
+
+      {showRefine && <RefineBar busy={refining} error={refineError} onRefine={handleRefine} />}
+      {showPreview && <TitlePreview item={title} image={list.thumbnailImage} />}
+
+      {duplicates.length > 0 && (
+        <div className="mt-3">
+          <button
+            onClick={() => setShowDuplicates(v => !v)}
+            aria-expanded={showDuplicates}
+            className="text-[9px] font-black uppercase tracking-wider text-slate-500 hover:text-white"
+          >
+            {showDuplicates ? '▾' : '▸'} {duplicates.length} near-duplicate{duplicates.length === 1 ? '' : 's'}
+          </button>
+          {showDuplicates && (
+            <ul className="mt-2 ml-2 pl-4 border-l border-white/10 space-y-2">
+              {duplicates.map(({ entry, score: similarity }) => (
+                <TitleItem key={entry.index} title={entry.item} path={[entry.index]} score={entry.score} list={list} similarity={similarity} />
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {title.variants?.length > 0 && (
+        <ul className="mt-3 ml-2 pl-4 border-l border-purple-500/20 space-y-2">
+          {title.variants.map((variant, i) => (
+            <TitleItem key={i} title={variant} path={[...path, i]} list={list} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+export default TitleItem;
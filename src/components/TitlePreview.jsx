@@ -0,0 +1,120 @@
+import React, { useMemo, useState } from 'react';
+import { textDirection, titleLanguage } from '../lib/languages.js';
+import { SURFACES, truncateTitle } from '../lib/truncate.js';
+
+const CHANNEL = 'Your Channel';
+const META = '24K views · 3 hours ago';
+
+// Gradient stand-in when no thumbnail image has been uploaded
+const Thumbnail = ({ image, text, className = '', textSize = 'text-lg' }) => (
+  <div className={`relative aspect-video overflow-hidden rounded-xl bg-gradient-to-br from-slate-700 via-slate-800 to-red-900 ${className}`}>
+    {image && <img src={image} alt="" className="absolute inset-0 w-full h-full object-cover" />}
+    {text && (
+      <span
+        className={`absolute inset-x-2 bottom-2 font-black uppercase leading-none text-yellow-300 ${textSize}`}
+        style={{ textShadow: '0 2px 0 #000, 0 0 6px rgba(0,0,0,0.9)', WebkitTextStroke: '1px #000' }}
+      >
+        {text}
+      </span>
+    )}
+    <span className="absolute right-1.5 bottom-1.5 px-1 rounded bg-black/80 text-[10px] font-bold text-white">12:34</span>
+  </div>
+);
+
+const Avatar = ({ size = 'w-9 h-9' }) => (
+  <div className={`${size} flex-shrink-0 rounded-full bg-gradient-to-br from-red-500 to-red-800`} />
+);
+
+// Renders the clamped lines exactly as computed so what you see is what YouTube cuts
+const TitleLines = ({ lines, surface }) => (
+  <div style={{ font: surface.font, width: surface.width, maxWidth: '100%' }} className="text-white">
+    {lines.map((line, i) => <div key={i} className="whitespace-nowrap">{line}</div>)}
+  </div>
+);
+
+const SURFACE_LAYOUTS = {
+  desktop: ({ clamp, item, image }) => (
+    <div className="w-[360px] max-w-full space-y-3">
+      <Thumbnail image={image} text={item.thumbnail_text} />
+      <div className="flex gap-3">
+        <Avatar />
+        <div className="space-y-1">
+          <TitleLines lines={clamp.lines} surface={SURFACES.desktop} />
+          <div className="text-[13px] text-slate-400">{CHANNEL}<br />{META}</div>
+        </div>
+      </div>
+    </div>
+  ),
+  mobile: ({ clamp, item, image }) => (
+    <div className="w-[375px] max-w-full bg-black rounded-xl overflow-hidden">
+      <Thumbnail image={image} text={item.thumbnail_text} className="rounded-none" textSize="text-xl" />
+      <div className="flex gap-3 p-3">
+        <Avatar />
+        <div className="space-y-1">
+          <TitleLines lines={clamp.lines} surface={SURFACES.mobile} />
+          <div className="text-[12px] text-slate-400">{CHANNEL} · {META}</div>
+        </div>
+      </div>
+    </div>
+  ),
+  search: ({ clamp, item, image }) => (
+    <div className="flex gap-4 max-w-full">
+      <Thumbnail image={image} text={item.thumbnail_text} className="w-[360px] flex-shrink-0" />
+      <div className="space-y-2 min-w-0">
+        <TitleLines lines={clamp.lines} surface={SURFACES.search} />
+        <div className="text-[12px] text-slate-400">{META}</div>
+        <div className="flex items-center gap-2 text-[12px] text-slate-400"><Avatar size="w-6 h-6" />{CHANNEL}</div>
+      </div>
+    </div>
+  ),
+  sidebar: ({ clamp, item, image }) => (
+    <div className="flex gap-2 w-[402px] max-w-full">
+      <Thumbnail image={image} text={item.thumbnail_text} className="w-[168px] flex-shrink-0 rounded-lg" textSize="text-[11px]" />
+      <div className="space-y-1 min-w-0">
+        <TitleLines lines={clamp.lines} surface={SURFACES.sidebar} />
+        <div className="text-[12px] text-slate-400">{CHANNEL}<br />{META}</div>
+      </div>
+    </div>
+  ),
+};
+
+/**
+ * Switchable YouTube surface mockups for one generated title. Each tab
+ * flags whether the title survives that surface's clamp uncut.
+ */
+const TitlePreview = ({ item, image }) => {
+  const [surfaceId, setSurfaceId] = useState('desktop');
+
+  const clamps = useMemo(() => Object.fromEntries(
+    Object.entries(SURFACES).map(([id, surface]) => [id, truncateTitle(item.youtube_title, surface)])
+  ), [item.youtube_title]);
+
+  const Layout = SURFACE_LAYOUTS[surfaceId];
+
+  return (
+    <div className="mt-3 p-4 rounded-xl bg-[#0f0f0f] border border-white/10 space-y-4">
+      <div className="flex flex-wrap gap-1">
+        {Object.entries(SURFACES).map(([id, surface]) => (
+          <button
+            key={id}
+            onClick={() => setSurfaceId(id)}
+            className={`flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-[9px] font-black uppercase tracking-wider border transition-all ${surfaceId === id
+              ? 'bg-white text-slate-900 border-white'
+              : 'bg-white/5 text-slate-400 border-white/5 hover:text-white'}`}
+          >
+            {surface.label}
+            <span className={clamps[id].truncated ? 'text-red-500' : 'text-green-500'} title={clamps[id].truncated ? 'Truncated' : 'Fits'}>
+              {clamps[id].truncated ? '✂' : '✓'}
+            </span>
+          </button>
+        ))}
+      </div>
+      {/* YouTube mirrors its layout for RTL languages, so the whole mockup flips */}
+      <div className="overflow-x-auto" dir={textDirection(titleLanguage(item))} lang={titleLanguage(item)}>
+        <Layout clamp={clamps[surfaceId]} item={item} image={image} />
+      </div>
+    </div>
+  );
+};
+
+export default TitlePreview;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { splitList } from '../lib/profiles.js';
+import { TONE_MAX_LENGTH_RANGE, TONE_NAME_MAX, toneMaxLengthError, toneNameError } from '../lib/tones.js';
+
+const inputClass = 'w-full bg-white/[0.03] border border-white/10 rounded-xl px-3 py-2 text-[11px] text-white placeholder:text-slate-600 focus:outline-none focus:ring-2 focus:ring-red-500/50';
+const labelClass = 'block mb-1 text-[9px] font-black text-slate-500 uppercase tracking-wider';
+
+/**
+ * Create/edit form for one custom tone. Lists are edited as text, like
+ * the profile editor (one example title per line, comma separated banned
+ * words); an empty max length means no limit. `tones` is every tone, for
+ * the unique-name check.
+ */
+const ToneEditor = ({ tone, tones, onSave, onDelete, onClose }) => {
+  const [draft, setDraft] = useState(() => ({
+    ...tone,
+    exampleTitles: tone.exampleTitles.join('\n'),
+    maxLength: tone.rules.maxLength ? String(tone.rules.maxLength) : '',
+    requireNumber: tone.rules.requireNumber,
+    requireQuestion: tone.rules.requireQuestion,
+    bannedWords: tone.rules.bannedWords.join(', '),
+  }));
+  const [error, setError] = useState(null);
+  const set = (field) => (e) => setDraft(prev => ({ ...prev, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problem = toneNameError(draft.name, tones, tone.id)
+      || (!draft.instructions.trim() && 'Tell the agent how to write in this tone')
+      || toneMaxLengthError(draft.maxLength);
+    setError(problem);
+    if (problem) return;
+    onSave({
+      id: tone.id,
+      name: draft.name.trim(),
+      icon: draft.icon.trim() || '🎯',
+      description: draft.description.trim(),
+      instructions: draft.instructions.trim(),
+      exampleTitles: splitList(draft.exampleTitles, '\n'),
+      rules: {
+        maxLength: Number(draft.maxLength) || null,
+        requireNumber: draft.requireNumber,
+        requireQuestion: draft.requireQuestion,
+        bannedWords: splitList(draft.bannedWords),
+      },
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 rounded-2xl bg-black/20 border border-white/10 space-y-3" aria-label={tone.id ? `Edit ${tone.name}` : 'New strategy'}>
+      <div className="grid grid-cols-[4rem_1fr] sm:grid-cols-[4rem_1fr_2fr] gap-3">
+        <div>
+          <label className={labelClass} htmlFor="tone-icon">Icon</label>
+          <input id="tone-icon" value={draft.icon} onChange={set('icon')} maxLength={4} className={`${inputClass} text-center`} />
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="tone-name">Name</label>
+          <input id="tone-name" value={draft.name} onChange={set('name')} placeholder="e.g. Contrarian" maxLength={TONE_NAME_MAX} className={inputClass} required />
+        </div>
+        <div className="col-span-2 sm:col-span-1">
+          <label className={labelClass} htmlFor="tone-description">Description</label>
+          <input id="tone-description" value={draft.description} onChange={set('description')} placeholder="e.g. Challenge the common advice" className={inputClass} />
+        </div>
+      </div>
+      <div>
+        <label className={labelClass} htmlFor="tone-instructions">Instructions for the agent</label>
+        <textarea
+          id="tone-instructions"
+          value={draft.instructions}
+          onChange={set('instructions')}
+          placeholder="e.g. Open by contradicting a popular belief, then hint at the evidence. Calm, not outraged."
+          className={`${inputClass} min-h-[60px]`}
+          required
+        />
+      </div>
+      <div>
+        <label className={labelClass} htmlFor="tone-examples">Example titles (one per line)</label>
+        <textarea id="tone-examples" value={draft.exampleTitles} onChange={set('exampleTitles')} className={`${inputClass} min-h-[60px]`} />
+      </div>
+      <fieldset className="grid grid-cols-1 sm:grid-cols-[7rem_1fr] gap-3 items-end">
+        <legend className={labelClass}>Rules, checked on every title</legend>
+        <div>
+          <label className={labelClass} htmlFor="tone-max-length">Max length</label>
+          <input id="tone-max-length" type="number" min={TONE_MAX_LENGTH_RANGE.min} max={TONE_MAX_LENGTH_RANGE.max} step="1" value={draft.maxLength} onChange={set('maxLength')} placeholder="none" className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass} htmlFor="tone-banned">Banned words (comma separated)</label>
+          <input id="tone-banned" value={draft.bannedWords} onChange={set('bannedWords')} placeholder="e.g. hack, insane" className={inputClass} />
+        </div>
+        <div className="sm:col-span-2 flex flex-wrap gap-4 text-[11px] text-slate-300">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={draft.requireNumber} onChange={set('requireNumber')} />
+            Must contain a number
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={draft.requireQuestion} onChange={set('requireQuestion')} />
+            Must be a question
+          </label>
+        </div>
+      </fieldset>
+      {error && <p role="alert" className="text-[10px] text-red-400">{error}</p>}
+      <div className="flex items-center justify-end gap-2">
+        {tone.id && (
+          <button type="button" onClick={() => onDelete(tone)} className="mr-auto px-3 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-wider text-slate-500 hover:text-red-400">
+            Delete
+          </button>
+        )}
+        <button type="button" onClick={onClose} className="px-3 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-[10px] font-bold uppercase tracking-wider text-slate-400 hover:text-white border border-white/5">
+          Cancel
+        </button>
+        <button type="submit" className="px-3 py-1.5 rounded-lg bg-red-500 text-white text-[10px] font-bold uppercase tracking-wider">
+          Save strategy
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ToneEditor;
@@ -0,0 +1,43 @@
+import { useEffect, useRef, useState } from 'react';
+import { connectBridge } from '../lib/bridge.js';
+
+/**
+ * Connects to a MindStudio host on mount. Returns null while detecting,
+ * then the bridge (see connectBridge). `onVariables` gets the host's
+ * template variables once connected and again whenever the host sends new
+ * ones.
+ */
+export const useBridge = (onVariables) => {
+  const [bridge, setBridge] = useState(null);
+  const onVariablesRef = useRef(onVariables);
+
+  useEffect(() => {
+    onVariablesRef.current = onVariables;
+  });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let connected = null;
+    let unsubscribe = () => {};
+
+    connectBridge({ signal: controller.signal }).then((result) => {
+      if (controller.signal.aborted) {
+        result.close();
+        return;
+      }
+      connected = result;
+      setBridge(result);
+      if (result.mode !== 'hosted') return;
+      onVariablesRef.current(result.variables);
+      unsubscribe = result.subscribe(variables => onVariablesRef.current(variables));
+    });
+
+    return () => {
+      controller.abort();
+      unsubscribe();
+      connected?.close();
+    };
+  }, []);
+
+  return bridge;
+};
@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from 'react';
+import { clearCatalog, importCatalog, listCatalog, parseCatalog } from '../lib/catalog.js';
+
+/**
+ * The published-titles catalog from IndexedDB, as a list of title strings.
+ * Storage failures are logged, like history.
+ */
+export const useCatalog = () => {
+  const [titles, setTitles] = useState([]);
+
+  const reload = useCallback(() => listCatalog()
+    .then(entries => setTitles(entries.map(entry => entry.title)))
+    .catch(error => console.warn("Catalog unavailable:", error)), []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Resolves with the number of titles found in `text`
+  const importTitles = useCallback(async (text) => {
+    const parsed = parseCatalog(text);
+    if (!parsed.length) throw new Error('No titles found. Use a CSV with a title column, or one title per line.');
+    await importCatalog(parsed);
+    await reload();
+    return parsed.length;
+  }, [reload]);
+
+  const clearTitles = useCallback(async () => {
+    setTitles([]);
+    await clearCatalog().catch(error => console.warn("Could not clear catalog:", error));
+  }, []);
+
+  return { titles, importTitles, clearTitles };
+};
@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from 'react';
+import { deleteRun, listRuns, patchStoredRun, saveRun } from '../lib/history.js';
+
+/**
+ * Keeps the IndexedDB run history mirrored in React state.
+ * Storage failures are logged and never block generation.
+ */
+export const useHistory = () => {
+  const [runs, setRuns] = useState([]);
+
+  useEffect(() => {
+    listRuns()
+      .then(setRuns)
+      .catch(error => console.warn("History unavailable:", error));
+  }, []);
+
+  const addRun = useCallback(async (entry) => {
+    try {
+      const run = await saveRun(entry);
+      setRuns(prev => [run, ...prev]);
+      return run;
+    } catch (error) {
+      console.warn("Could not save run to history:", error);
+      return null;
+    }
+  }, []);
+
+  // Only `changes` are applied, onto the latest copy; `run` may be a stale snapshot
+  const patchRun = useCallback(async (run, changes) => {
+    setRuns(prev => prev.map(r => (r.id === run.id ? { ...r, ...changes } : r)));
+    try {
+      return await patchStoredRun(run, changes);
+    } catch (error) {
+      console.warn("Could not update run:", error);
+      return { ...run, ...changes };
+    }
+  }, []);
+
+  const removeRun = useCallback(async (id) => {
+    setRuns(prev => prev.filter(run => run.id !== id));
+    await deleteRun(id).catch(error => console.warn("Could not delete run:", error));
+  }, []);
+
+  return { runs, addRun, patchRun, removeRun };
+};
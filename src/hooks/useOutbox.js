@@ -0,0 +1,126 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { generateTitles } from '../api.js';
+import { flushOutbox, listQueued, queueBrief, removeQueued, updateQueued } from '../lib/outbox.js';
+import { backoffDelay, withRetry } from '../lib/retry.js';
+
+// Backoff between sends while the browser says online but the server can't be reached
+export const OUTBOX_BACKOFF = { baseMs: 5_000, maxMs: 5 * 60_000 };
+
+/**
+ * Briefs waiting for a connection, mirrored from IndexedDB, plus the
+ * browser's online status. Queued briefs go out when the page loads
+ * online, whenever the connection returns or the tab becomes visible, and
+ * on a backoff timer while the server stays unreachable.
+ * `onDelivered(brief, result)` runs for each one that comes back with
+ * titles and must store them: the entry is only removed once it resolves.
+ * Failed entries wait for `retry` or `discard`.
+ */
+export const useOutbox = (onDelivered) => {
+  const [entries, setEntries] = useState([]);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const flushingRef = useRef(false);
+  const activeRef = useRef(true);
+  const retryTimerRef = useRef(null);
+  const unreachableRef = useRef(0); // flushes in a row that hit a network error
+  const flushRef = useRef(null);
+  const deliveredRef = useRef(onDelivered);
+  useEffect(() => {
+    deliveredRef.current = onDelivered;
+  });
+
+  // Online as far as the browser knows, yet unreachable (server down, captive portal):
+  // no online event is coming, so try again after a growing delay
+  const scheduleRetry = useCallback(() => {
+    if (!activeRef.current || !navigator.onLine) return;
+    clearTimeout(retryTimerRef.current);
+    unreachableRef.current += 1;
+    retryTimerRef.current = setTimeout(() => flushRef.current(), backoffDelay(unreachableRef.current, OUTBOX_BACKOFF));
+  }, []);
+
+  const reload = useCallback(() => listQueued()
+    .then(setEntries)
+    .catch(error => console.warn("Outbox unavailable:", error)), []);
+
+  const flush = useCallback(async () => {
+    if (flushingRef.current || !navigator.onLine) return;
+    clearTimeout(retryTimerRef.current);
+    flushingRef.current = true;
+    let outcome = 'done';
+    try {
+      const queued = (await listQueued()).filter(entry => !entry.lastError);
+      outcome = await flushOutbox(queued, {
+        send: (brief) => withRetry(() => generateTitles(brief)),
+        // Saved first: closing the tab in between sends the brief again rather than losing its titles
+        onSent: async (entry, result) => {
+          try {
+            await deliveredRef.current(entry.brief, result);
+          } catch (error) {
+            console.warn("Could not store a queued brief's titles:", error);
+            await updateQueued({ ...entry, attempts: entry.attempts + 1, lastError: error.message });
+            return;
+          }
+          await removeQueued(entry.id);
+        },
+        onFailed: (entry, error) => {
+          console.warn("Queued brief failed:", error.message);
+          return updateQueued({ ...entry, attempts: entry.attempts + 1, lastError: error.message });
+        },
+      });
+    } catch (error) {
+      console.warn("Could not send queued briefs:", error);
+    } finally {
+      flushingRef.current = false;
+      await reload();
+    }
+
+    if (outcome === 'offline') scheduleRetry();
+    else unreachableRef.current = 0;
+  }, [reload, scheduleRetry]);
+
+  useEffect(() => {
+    flushRef.current = flush;
+  });
+
+  useEffect(() => {
+    activeRef.current = true;
+    reload().then(flush);
+    const goOnline = () => {
+      setOnline(true);
+      flush();
+    };
+    const goOffline = () => setOnline(false);
+    const onVisible = () => {
+      if (document.visibilityState === 'visible') flush();
+    };
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    document.addEventListener('visibilitychange', onVisible);
+    return () => {
+      activeRef.current = false;
+      clearTimeout(retryTimerRef.current);
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+      document.removeEventListener('visibilitychange', onVisible);
+    };
+  }, [reload, flush]);
+
+  // Rejects when IndexedDB is unavailable, so the caller can show the error instead
+  const enqueue = useCallback(async (brief) => {
+    await queueBrief(brief);
+    await reload();
+    scheduleRetry();
+  }, [reload, scheduleRetry]);
+
+  const retry = useCallback(async (entry) => {
+    await updateQueued({ ...entry, lastError: null }).catch(error => console.warn("Could not update outbox:", error));
+    await reload();
+    await flush();
+  }, [reload, flush]);
+
+  const discard = useCallback(async (id) => {
+    setEntries(prev => prev.filter(entry => entry.id !== id));
+    await removeQueued(id).catch(error => console.warn("Could not discard queued brief:", error));
+  }, []);
+
+  return { entries, online, enqueue, retry, discard };
+};
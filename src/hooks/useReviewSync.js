@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react';
+import { getReview } from '../api.js';
+import { reviewSummary, summaryChanged } from '../lib/shortlist.js';
+
+const POLL_MS = 30_000;
+
+/**
+ * While a shared run is open, pulls its review's votes, comments and
+ * approval from the server and stores the summary on the run.
+ */
+export const useReviewSync = (run, patchRun) => {
+  const reviewId = run?.review?.id;
+  // Read at sync time, so patching the run doesn't restart the polling
+  const runRef = useRef(run);
+  useEffect(() => {
+    runRef.current = run;
+  });
+
+  useEffect(() => {
+    if (!reviewId) return undefined;
+    const controller = new AbortController();
+
+    const sync = async () => {
+      try {
+        const summary = reviewSummary(await getReview(reviewId, { signal: controller.signal }));
+        const current = runRef.current;
+        if (summaryChanged(current.review, summary)) patchRun(current, { review: { ...current.review, ...summary } });
+      } catch (error) {
+        if (!controller.signal.aborted) console.warn("Could not refresh review:", error);
+      }
+    };
+
+    sync();
+    const timer = setInterval(sync, POLL_MS);
+    return () => {
+      controller.abort();
+      clearInterval(timer);
+    };
+  }, [reviewId, patchRun]);
+};
@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Mirrors one IndexedDB-backed collection (profiles, templates, ...) in
+ * React state. `store` is `{ list, save, remove }` from the matching lib
+ * module and must be stable. Storage failures are logged, like history.
+ */
+export const useSavedItems = (store) => {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    store.list()
+      .then(setItems)
+      .catch(error => console.warn("Saved items unavailable:", error));
+  }, [store]);
+
+  const saveItem = useCallback(async (item) => {
+    try {
+      const saved = await store.save(item);
+      setItems(await store.list());
+      return saved;
+    } catch (error) {
+      console.warn("Could not save:", error);
+      return null;
+    }
+  }, [store]);
+
+  const removeItem = useCallback(async (id) => {
+    setItems(prev => prev.filter(item => item.id !== id));
+    await store.remove(id).catch(error => console.warn("Could not delete:", error));
+  }, [store]);
+
+  return { items, saveItem, removeItem };
+};
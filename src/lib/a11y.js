@@ -0,0 +1,82 @@
+/**
+ * KEYBOARD AND SCREEN READER SUPPORT
+ * Key handling for radio groups and the global shortcuts, and the text the
+ * live region announces while a run progresses.
+ */
+
+// Shortcuts for the hint line; alternative keys are listed separately
+export const SHORTCUTS = [
+  { keys: ['Ctrl+Enter'], label: 'generate' },
+  { keys: ['j', 'k'], label: 'move through titles' },
+  { keys: ['c'], label: 'copy' },
+  { keys: ['s'], label: 'shortlist' },
+];
+
+const TITLE_KEYS = { j: 'next', k: 'previous', c: 'copy', s: 'shortlist' };
+
+// Index an arrow, Home or End key moves a radio group to (wrapping), or null
+export const radioKeyTarget = (key, index, count) => {
+  switch (key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+      return (index + 1) % count;
+    case 'ArrowLeft':
+    case 'ArrowUp':
+      return (index - 1 + count) % count;
+    case 'Home':
+      return 0;
+    case 'End':
+      return count - 1;
+    default:
+      return null;
+  }
+};
+
+export const isTypingTarget = (element) => Boolean(element) && (
+  element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)
+);
+
+/**
+ * The shortcut a keydown triggers: 'generate' (Ctrl/Cmd+Enter, also while
+ * typing), 'next' | 'previous' | 'copy' | 'shortlist' (plain letters,
+ * ignored in text fields), or null.
+ */
+export const shortcutAction = (event) => {
+  if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) return 'generate';
+  if (event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) return null;
+  return TITLE_KEYS[event.key] ?? null;
+};
+
+// Where j/k land from `index` (-1 when no title has focus); stops at the ends
+export const stepIndex = (index, count, action) => {
+  if (!count) return -1;
+  if (index === -1) return action === 'next' ? 0 : count - 1;
+  return Math.min(count - 1, Math.max(0, index + (action === 'next' ? 1 : -1)));
+};
+
+/** What the live region says for a run's progress (see GenerationStatus). */
+export const generationAnnouncement = (generation) => {
+  if (!generation) return '';
+  const { status, received, expected, position, retryInMs, error } = generation;
+  switch (status) {
+    case 'queued':
+      if (retryInMs) return `Retrying in ${Math.ceil(retryInMs / 1000)} seconds`;
+      return position ? `Queued, number ${position} in line` : 'Queued';
+    case 'running':
+      return 'Generating titles';
+    case 'partial':
+      return `${received} of ${expected} titles received`;
+    case 'done':
+      return received ? `${received} titles ready` : 'Titles ready';
+    case 'failed':
+      return received ? `Generation stopped after ${received} titles: ${error}` : `Generation failed: ${error}`;
+    case 'cancelled':
+      return 'Generation cancelled';
+    case 'submitted':
+      return 'Sent to MindStudio';
+    case 'offline':
+      return 'Offline. The brief is queued and sent when the connection returns';
+    default:
+      return '';
+  }
+};
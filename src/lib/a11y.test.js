@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { generationAnnouncement, radioKeyTarget, shortcutAction, stepIndex } from './a11y.js';
+
+const key = (k, extra = {}) => ({ key: k, ctrlKey: false, metaKey: false, altKey: false, target: { tagName: 'BODY' }, ...extra });
+
+describe('radioKeyTarget', () => {
+  it('moves with the arrows, wrapping at both ends', () => {
+    expect(radioKeyTarget('ArrowRight', 3, 4)).toBe(0);
+    expect(radioKeyTarget('ArrowDown', 1, 4)).toBe(2);
+    expect(radioKeyTarget('ArrowLeft', 0, 4)).toBe(3);
+    expect(radioKeyTarget('ArrowUp', 2, 4)).toBe(1);
+  });
+
+  it('jumps with Home and End and ignores other keys', () => {
+    expect(radioKeyTarget('Home', 2, 4)).toBe(0);
+    expect(radioKeyTarget('End', 0, 4)).toBe(3);
+    expect(radioKeyTarget('Enter', 0, 4)).toBeNull();
+  });
+});
+
+describe('shortcutAction', () => {
+  it('generates on Ctrl or Cmd+Enter, even while typing', () => {
+    expect(shortcutAction(key('Enter', { ctrlKey: true, target: { tagName: 'TEXTAREA' } }))).toBe('generate');
+    expect(shortcutAction(key('Enter', { metaKey: true }))).toBe('generate');
+    expect(shortcutAction(key('Enter'))).toBeNull();
+  });
+
+  it('maps the title keys outside text fields only', () => {
+    expect(['j', 'k', 'c', 's'].map(k => shortcutAction(key(k)))).toEqual(['next', 'previous', 'copy', 'shortlist']);
+    expect(shortcutAction(key('c', { target: { tagName: 'INPUT' } }))).toBeNull();
+    expect(shortcutAction(key('s', { target: { tagName: 'DIV', isContentEditable: true } }))).toBeNull();
+    expect(shortcutAction(key('c', { ctrlKey: true }))).toBeNull();
+    expect(shortcutAction(key('C'))).toBeNull();
+  });
+});
+
+describe('stepIndex', () => {
+  it('starts at the first or last title and stops at the ends', () => {
+    expect(stepIndex(-1, 3, 'next')).toBe(0);
+    expect(stepIndex(-1, 3, 'previous')).toBe(2);
+    expect(stepIndex(2, 3, 'next')).toBe(2);
+    expect(stepIndex(0, 3, 'previous')).toBe(0);
+    expect(stepIndex(-1, 0, 'next')).toBe(-1);
+  });
+});
+
+describe('generationAnnouncement', () => {
+  it('describes each stage of a run', () => {
+    expect(generationAnnouncement(null)).toBe('');
+    expect(generationAnnouncement({ status: 'queued', position: 2 })).toBe('Queued, number 2 in line');
+    expect(generationAnnouncement({ status: 'queued', retryInMs: 1500 })).toBe('Retrying in 2 seconds');
+    expect(generationAnnouncement({ status: 'partial', received: 3, expected: 10 })).toBe('3 of 10 titles received');
+    expect(generationAnnouncement({ status: 'done', received: 10 })).toBe('10 titles ready');
+    expect(generationAnnouncement({ status: 'failed', received: 0, error: 'Agent returned no titles' })).toBe('Generation failed: Agent returned no titles');
+    expect(generationAnnouncement({ status: 'failed', received: 4, error: 'Timed out' })).toBe('Generation stopped after 4 titles: Timed out');
+  });
+});
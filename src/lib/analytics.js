@@ -0,0 +1,223 @@
+import { parseCsv } from './csv.js';
+import { flattenTitles } from './refine.js';
+import { tokenize } from './text.js';
+
+/**
+ * A/B TRACKER
+ * Real outcomes for the titles that shipped, imported from a YouTube
+ * Studio Analytics export (Advanced mode → table → Export → CSV) and
+ * stored on the run itself:
+ *
+ *   run.published = ['Title A', 'Title B']   // one title, or two when A/B testing
+ *   run.videoId   = 'dQw4w9WgXcQ'             // the video they were published on
+ *   run.results   = { 'Title A': { videoId, impressions, ctr, avgViewDuration, views, importedAt } }
+ *
+ * `ctr` is a percentage, `avgViewDuration` is in seconds. An A/B test runs
+ * both titles on the same video, and the export lists each video once under
+ * its current title, so each title's results come from an export of the
+ * dates it was live.
+ */
+
+export const MAX_PUBLISHED = 2;
+
+// Published titles often get a small edit in Studio; this much token overlap still counts
+const MATCH_THRESHOLD = 0.75;
+
+/**
+ * The run's new `published` list with `title` toggled, or null when two
+ * titles are already published.
+ */
+export const togglePublished = (run, title) => {
+  const published = run.published || [];
+  if (published.includes(title)) return published.filter(t => t !== title);
+  if (published.length >= MAX_PUBLISHED) return null;
+  return [...published, title];
+};
+
+const VIDEO_ID = /^[\w-]{11}$/;
+
+/**
+ * The video ID in a YouTube URL (watch, youtu.be, shorts, embed, live or
+ * Studio links) or a bare ID, or null.
+ */
+export const parseVideoId = (text) => {
+  const value = String(text ?? '').trim();
+  if (VIDEO_ID.test(value)) return value;
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+  } catch {
+    return null;
+  }
+  const id = url.searchParams.get('v')
+    || url.pathname.split('/').filter(Boolean).find((part, i, parts) => i > 0 && ['shorts', 'embed', 'live', 'video'].includes(parts[i - 1]))
+    || (/(^|\.)youtu\.be$/.test(url.hostname) ? url.pathname.slice(1) : null);
+  return VIDEO_ID.test(id || '') ? id : null;
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(String(value ?? '').replace(/[,%\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+// "0:04:12", "4:12" or plain seconds
+export const parseDuration = (value) => {
+  if (!value) return null;
+  const parts = String(value).split(':').map(Number);
+  if (parts.some(part => !Number.isFinite(part))) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+export const parseAnalyticsCsv = (text) => parseCsv(text)
+  .filter(row => row.video_title && row.content?.toLowerCase() !== 'total')
+  .map(row => ({
+    videoId: row.content || null,
+    title: row.video_title,
+    impressions: toNumber(row.impressions),
+    ctr: toNumber(row.impressions_click_through_rate),
+    avgViewDuration: parseDuration(row.average_view_duration),
+    views: toNumber(row.views),
+  }));
+
+const titleKey = (title) => tokenize(title).join(' ');
+
+const overlap = (a, b) => {
+  const shared = [...a].filter(token => b.has(token)).length;
+  return shared / Math.max(a.size, b.size, 1);
+};
+
+// The candidate closest to `row`'s title: exact (ignoring case and punctuation), then by overlap
+const closest = (candidates, row, threshold) => {
+  const key = titleKey(row.title);
+  const exact = candidates.find(c => c.key === key);
+  if (exact) return exact;
+  const tokens = new Set(tokenize(row.title));
+  return candidates
+    .map(c => ({ c, score: overlap(tokens, c.tokens) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score)[0]?.c;
+};
+
+/**
+ * Matches analytics rows to published titles. A row whose video ID is on a
+ * run goes to that run's published title closest to the video's current
+ * title. Runs without a video ID are matched by title alone: exact first,
+ * then the closest title above MATCH_THRESHOLD.
+ * Returns `{ updates: [{ run, results }], unmatched: rows }`.
+ */
+export const matchResults = (runs, rows, { now = Date.now() } = {}) => {
+  const candidates = (run) => (run.published || []).map(title => ({
+    run,
+    title,
+    key: titleKey(title),
+    tokens: new Set(tokenize(title)),
+  }));
+  const byVideo = new Map(runs.filter(run => run.videoId).map(run => [run.videoId, candidates(run)]));
+  const byTitle = runs.filter(run => !run.videoId).flatMap(candidates);
+
+  const resultsByRun = new Map();
+  const unmatched = [];
+  for (const row of rows) {
+    const match = byVideo.has(row.videoId)
+      ? closest(byVideo.get(row.videoId), row, 0)
+      : closest(byTitle, row, MATCH_THRESHOLD);
+    if (!match) {
+      unmatched.push(row);
+      continue;
+    }
+
+    const results = resultsByRun.get(match.run) || { ...match.run.results };
+    const { title, ...metrics } = row;
+    results[match.title] = { ...metrics, studioTitle: title, importedAt: now };
+    resultsByRun.set(match.run, results);
+  }
+
+  return { updates: [...resultsByRun].map(([run, results]) => ({ run, results })), unmatched };
+};
+
+export const TITLE_PATTERNS = [
+  { id: 'number', label: 'Has a number', test: title => /\d/.test(title) },
+  { id: 'question', label: 'Question', test: title => title.includes('?') },
+  { id: 'how-to', label: 'How ...', test: title => /^how\b/i.test(title) },
+  { id: 'why', label: 'Why ...', test: title => /^why\b/i.test(title) },
+  { id: 'first-person', label: 'First person', test: title => /\b(I|I'm|I've|My)\b/.test(title) },
+  { id: 'warning', label: 'Warning / mistake', test: title => /\b(stop|never|don't|mistakes?|wrong|fail\w*|die|worst)\b/i.test(title) },
+  { id: 'versus', label: 'Versus', test: title => /\bvs\.?\b/i.test(title) },
+  { id: 'bracket', label: 'Parenthetical', test: title => /[([]/.test(title) },
+];
+
+export const THUMBNAIL_STYLES = [
+  { id: 'none', label: 'No text', test: text => !text },
+  { id: 'short', label: '1-2 words', test: text => Boolean(text) && tokenize(text).length <= 2 },
+  { id: 'long', label: '3+ words', test: text => tokenize(text).length > 2 },
+  { id: 'caps', label: 'All caps', test: text => /\p{L}/u.test(text || '') && text === text.toUpperCase() },
+  { id: 'number', label: 'Has a number', test: text => /\d/.test(text || '') },
+  { id: 'open-loop', label: 'Question / ellipsis', test: text => /\?|\.\.\.|…/.test(text || '') },
+];
+
+// One entry per published title that has imported results
+export const performanceEntries = (runs) => runs.flatMap((run) => {
+  const titles = flattenTitles(run.titles);
+  return (run.published || [])
+    .filter(title => run.results?.[title])
+    .map(title => ({
+      runId: run.id,
+      channel: run.brief.channel || 'No channel',
+      tone: run.brief.tone,
+      title,
+      thumbnailText: titles.find(t => t.youtube_title === title)?.thumbnail_text || '',
+      ...run.results[title],
+    }));
+});
+
+// Impression-weighted CTR, so one tiny video can't top the chart
+const summarize = (entries) => {
+  const impressions = entries.reduce((sum, e) => sum + (e.impressions || 0), 0);
+  const clicks = entries.reduce((sum, e) => sum + (e.impressions || 0) * (e.ctr || 0) / 100, 0);
+  const durations = entries.map(e => e.avgViewDuration).filter(d => d !== null && d !== undefined);
+  return {
+    videos: entries.length,
+    impressions,
+    ctr: impressions ? (clicks / impressions) * 100 : null,
+    avgViewDuration: durations.length ? durations.reduce((a, b) => a + b, 0) / durations.length : null,
+  };
+};
+
+const byCtr = (a, b) => (b.ctr ?? -1) - (a.ctr ?? -1);
+
+const groupBy = (entries, groups) => groups
+  .map(({ id, label, test }) => ({ id, label, ...summarize(entries.filter(test)) }))
+  .filter(group => group.videos > 0)
+  .sort(byCtr);
+
+// Runs with two published titles that both have results, winner first
+export const abTests = (runs) => runs
+  .filter(run => run.published?.length === 2 && run.published.every(title => run.results?.[title]))
+  .map(run => ({
+    runId: run.id,
+    topic: run.brief.topic,
+    variants: run.published.map(title => ({ title, ...run.results[title] })).sort(byCtr),
+  }));
+
+/**
+ * Per-channel breakdown of what performs: by tone, by title pattern and by
+ * thumbnail text style. Patterns and styles overlap, so one video can
+ * count in several rows.
+ */
+export const summarizePerformance = (runs) => {
+  const entries = performanceEntries(runs);
+  const channels = [...new Set(entries.map(e => e.channel))].sort();
+
+  return channels.map((channel) => {
+    const own = entries.filter(e => e.channel === channel);
+    const tones = [...new Set(own.map(e => e.tone))];
+    return {
+      channel,
+      ...summarize(own),
+      byTone: groupBy(own, tones.map(tone => ({ id: tone, label: tone, test: e => e.tone === tone }))),
+      byPattern: groupBy(own, TITLE_PATTERNS.map(p => ({ ...p, test: e => p.test(e.title) }))),
+      byThumbnail: groupBy(own, THUMBNAIL_STYLES.map(s => ({ ...s, test: e => s.test(e.thumbnailText) }))),
+      abTests: abTests(runs.filter(run => (run.brief.channel || 'No channel') === channel)),
+    };
+  });
+};
@@ -0,0 +1,127 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import {
+  matchResults, parseAnalyticsCsv, parseDuration, parseVideoId, summarizePerformance, togglePublished,
+} from './analytics.js';
+
+const readFixture = (name) => readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url), 'utf8');
+const fixture = readFixture('youtube-analytics.csv');
+// The same channel exported for the dates the A/B test's second title was live
+const titleBFixture = readFixture('youtube-analytics-title-b.csv');
+
+const makeRun = (id, channel, tone, titles, published, videoId) => ({
+  id,
+  brief: { topic: titles[0][0], tone, channel },
+  titles: titles.map(([youtube_title, thumbnail_text], i) => ({ rank: i + 1, youtube_title, thumbnail_text })),
+  published,
+  ...(videoId && { videoId }),
+});
+
+const runs = [
+  makeRun('saas', 'Founder Files', 'Viral', [
+    ['Why 90% of SaaS Startups Die in Year One', 'YEAR ONE'],
+    ['Stop Building Features Nobody Asked For', 'STOP'],
+  ], ['Why 90% of SaaS Startups Die in Year One', 'Stop Building Features Nobody Asked For'], 'dQw4w9WgXcQ'),
+  makeRun('customers', 'Founder Files', 'Story', [
+    ['How I Got My First 100 Customers', '100 CUSTOMERS'],
+  ], ['How I Got My First 100 Customers']),
+  makeRun('notion', 'Tool Time', 'SEO', [
+    ['Notion vs Obsidian: Which Should You Use?', ''],
+  ], ['Notion vs Obsidian: Which Should You Use?']),
+];
+
+describe('analytics import', () => {
+  it('parses the Studio export, skipping the totals row', () => {
+    const rows = parseAnalyticsCsv(fixture);
+
+    expect(rows).toHaveLength(4);
+    expect(rows[0]).toEqual({
+      videoId: 'dQw4w9WgXcQ',
+      title: 'Why 90% of SaaS Startups Die in Year One',
+      impressions: 214900,
+      ctr: 10,
+      avgViewDuration: 250,
+      views: 21480,
+    });
+  });
+
+  it('reads h:mm:ss, m:ss and plain seconds', () => {
+    expect([parseDuration('1:02:03'), parseDuration('4:12'), parseDuration('95'), parseDuration('')]).toEqual([3723, 252, 95, null]);
+  });
+
+  it('matches exact and lightly edited titles, leaving the rest unmatched', () => {
+    const { updates, unmatched } = matchResults(runs, parseAnalyticsCsv(fixture), { now: 1 });
+
+    expect(updates.map(u => u.run.id)).toEqual(['saas', 'customers', 'notion']);
+    // "Which One Should You Use?" in Studio vs "Which Should You Use?" in the run
+    expect(updates[2].results['Notion vs Obsidian: Which Should You Use?']).toMatchObject({ ctr: 6, studioTitle: 'Notion vs Obsidian: Which One Should You Use?' });
+    expect(unmatched.map(row => row.title)).toEqual(['My studio tour (2026)']);
+  });
+
+  it('matches by video ID first, to the published title the video carries now', () => {
+    const [saas] = runs;
+    const rows = parseAnalyticsCsv(titleBFixture);
+    const { updates } = matchResults([{ ...saas, results: { old: {} } }], rows, { now: 1 });
+
+    expect(Object.keys(updates[0].results)).toEqual(['old', 'Stop Building Features Nobody Asked For']);
+    expect(updates[0].results['Stop Building Features Nobody Asked For']).toMatchObject({ videoId: 'dQw4w9WgXcQ', ctr: 6 });
+
+    // Renamed in Studio past recognition, the video still belongs to the run
+    const renamed = rows.map(row => ({ ...row, title: 'The Feature Trap' }));
+    expect(matchResults(runs, renamed).updates[0].run.id).toBe('saas');
+  });
+
+  it('leaves title matching to runs without a video ID', () => {
+    const other = makeRun('other', 'Founder Files', 'Viral', [['How I Got My First 100 Customers', '']], ['How I Got My First 100 Customers'], 'Zz0Zz0Zz0Zz');
+    const { updates, unmatched } = matchResults([other], parseAnalyticsCsv(fixture));
+    expect(updates).toEqual([]);
+    expect(unmatched).toHaveLength(4);
+  });
+});
+
+describe('parseVideoId', () => {
+  it('reads bare IDs and the usual YouTube links', () => {
+    expect([
+      'dQw4w9WgXcQ',
+      'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42',
+      'youtu.be/dQw4w9WgXcQ',
+      'https://www.youtube.com/shorts/dQw4w9WgXcQ',
+      'https://studio.youtube.com/video/dQw4w9WgXcQ/edit',
+    ].map(parseVideoId)).toEqual(Array(5).fill('dQw4w9WgXcQ'));
+  });
+
+  it('rejects anything else', () => {
+    expect(['', 'not a video', 'https://example.com/watch?v=short', 'https://www.youtube.com/@channel'].map(parseVideoId))
+      .toEqual([null, null, null, null]);
+  });
+});
+
+describe('togglePublished', () => {
+  it('allows at most two published titles', () => {
+    const run = { published: ['A'] };
+    expect(togglePublished(run, 'B')).toEqual(['A', 'B']);
+    expect(togglePublished({ published: ['A', 'B'] }, 'C')).toBeNull();
+    expect(togglePublished(run, 'A')).toEqual([]);
+  });
+});
+
+describe('summarizePerformance', () => {
+  it('breaks results down per channel by tone, pattern and thumbnail style', () => {
+    const { updates } = matchResults(runs, parseAnalyticsCsv(fixture));
+    const imported = runs.map(run => ({ ...run, results: updates.find(u => u.run === run)?.results }));
+    const later = matchResults(imported, parseAnalyticsCsv(titleBFixture)).updates;
+    const withResults = imported.map(run => ({ ...run, results: later.find(u => u.run === run)?.results ?? run.results }));
+    const [founder, tools] = summarizePerformance(withResults);
+
+    expect(founder.channel).toBe('Founder Files');
+    expect(founder.videos).toBe(3);
+    // (214900*10% + 164500*6% + 153750*8%) / 533150
+    expect(founder.ctr).toBeCloseTo(8.19, 2);
+    expect(founder.byTone.map(g => [g.id, g.videos])).toEqual([['Viral', 2], ['Story', 1]]);
+    expect(founder.byPattern.find(g => g.id === 'first-person')).toMatchObject({ videos: 1, ctr: 8 });
+    expect(founder.byThumbnail.find(g => g.id === 'caps').videos).toBe(3);
+    expect(founder.abTests[0].variants.map(v => v.ctr)).toEqual([10, 6]);
+
+    expect(tools.byThumbnail.map(g => g.id)).toEqual(['none']);
+  });
+});
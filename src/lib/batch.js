@@ -0,0 +1,80 @@
+import { parseCsv } from './csv.js';
+
+/**
+ * BULK MODE
+ * A content calendar, imported as CSV or pasted straight from a
+ * spreadsheet, becomes one brief per row. Rows run through a small
+ * concurrency-limited queue so a 40-video month doesn't hit the rate
+ * limiter all at once.
+ */
+
+export const BATCH_COLUMNS = ['topic', 'key_points', 'main_takeaway', 'target_audience', 'tone'];
+
+export const BATCH_CONCURRENCY = 3;
+
+// Header spellings people actually use in planning sheets
+const COLUMN_ALIASES = {
+  title: 'topic',
+  video: 'topic',
+  idea: 'topic',
+  core_idea: 'topic',
+  secrets: 'key_points',
+  points: 'key_points',
+  takeaway: 'main_takeaway',
+  reveal: 'main_takeaway',
+  audience: 'target_audience',
+  target_profile: 'target_audience',
+  style: 'tone',
+};
+
+/**
+ * Returns `{ briefs, errors }`. Rows without a topic are skipped with an
+ * error; an unknown tone falls back to `defaultTone` with a note.
+ */
+export const parseBatch = (text, { tones, defaultTone, descriptionCount }) => {
+  const briefs = [];
+  const errors = [];
+
+  parseCsv(text).forEach((raw, i) => {
+    const row = Object.fromEntries(Object.entries(raw).map(([key, value]) => [COLUMN_ALIASES[key] || key, value]));
+    const line = i + 2; // header is line 1
+    if (!Object.values(row).some(Boolean)) return;
+    if (!row.topic) {
+      errors.push(`Line ${line}: missing topic`);
+      return;
+    }
+
+    let tone = tones.find(t => t.toLowerCase() === (row.tone || '').toLowerCase());
+    if (!tone) {
+      if (row.tone) errors.push(`Line ${line}: unknown tone "${row.tone}", using ${defaultTone}`);
+      tone = defaultTone;
+    }
+
+    briefs.push({
+      topic: row.topic,
+      key_points: row.key_points || '',
+      main_takeaway: row.main_takeaway || '',
+      target_audience: row.target_audience || '',
+      description_count: descriptionCount,
+      tone,
+    });
+  });
+
+  return { briefs, errors };
+};
+
+/**
+ * Runs `worker(item, index)` over every item with at most `concurrency` in
+ * flight. Workers report their own status and errors; once `signal`
+ * aborts no new items start.
+ */
+export const runQueue = async (items, worker, { concurrency = BATCH_CONCURRENCY, signal } = {}) => {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+};
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { parseBatch, runQueue } from './batch.js';
+
+const options = { tones: ['Viral', 'Educational', 'Story', 'SEO'], defaultTone: 'Viral', descriptionCount: 5 };
+
+describe('parseBatch', () => {
+  it('turns each row into a brief, matching tones case-insensitively', () => {
+    const { briefs, errors } = parseBatch('Topic,Key Points,Audience,Tone\nSaaS churn,features,Founders,educational\nNotion review,,,\n', options);
+
+    expect(errors).toEqual([]);
+    expect(briefs).toEqual([
+      { topic: 'SaaS churn', key_points: 'features', main_takeaway: '', target_audience: 'Founders', description_count: 5, tone: 'Educational' },
+      { topic: 'Notion review', key_points: '', main_takeaway: '', target_audience: '', description_count: 5, tone: 'Viral' },
+    ]);
+  });
+
+  it('reports rows without a topic and unknown tones', () => {
+    const { briefs, errors } = parseBatch('topic\ttone\n\tViral\nA topic\tSpicy\n', options);
+
+    expect(briefs).toHaveLength(1);
+    expect(errors).toEqual(['Line 2: missing topic', 'Line 3: unknown tone "Spicy", using Viral']);
+  });
+});
+
+describe('runQueue', () => {
+  it('never runs more than `concurrency` workers at once', async () => {
+    let active = 0;
+    let peak = 0;
+    const done = [];
+
+    await runQueue([1, 2, 3, 4, 5], async (item) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      active -= 1;
+      done.push(item);
+    }, { concurrency: 2 });
+
+    expect(peak).toBe(2);
+    expect(done.sort()).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('stops starting items once aborted', async () => {
+    const controller = new AbortController();
+    const started = [];
+
+    await runQueue([1, 2, 3], async (item) => {
+      started.push(item);
+      controller.abort();
+    }, { concurrency: 1, signal: controller.signal });
+
+    expect(started).toEqual([1]);
+  });
+});
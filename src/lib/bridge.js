@@ -0,0 +1,194 @@
+/**
+ * MINDSTUDIO BRIDGE
+ * Run as a MindStudio custom interface, the host page owns the agent run:
+ * it hands the app the agent's template variables and takes the filled-in
+ * form back through `submit`. A host is found one of two ways:
+ *
+ *   injected global  window.MindStudioBridge = { templateVariables, submit(values) }
+ *   postMessage      inside an iframe the app posts { type: 'mindstudio:ready' }
+ *                    to its parent; the host answers with
+ *                    { type: 'mindstudio:init', templateVariables }, may push
+ *                    { type: 'mindstudio:variables', templateVariables } later,
+ *                    and answers each { type: 'mindstudio:submit', id, values }
+ *                    with { type: 'mindstudio:submitted', id, error? }
+ *
+ * With neither the app is standalone and generates through our own backend
+ * (webhook mode). Template variables are flat strings both ways.
+ *
+ * A parent frame is only taken as the host when its init comes from an
+ * allowed origin (see hostOrigins); any other site embedding the app gets
+ * the standalone app and never sees a brief.
+ */
+
+export const BRIDGE_GLOBAL = 'MindStudioBridge';
+
+// How long an iframe waits for its parent to answer before going standalone
+export const HANDSHAKE_TIMEOUT_MS = 1000;
+
+// How long a submit waits for the host's mindstudio:submitted before failing
+export const SUBMIT_TIMEOUT_MS = 15_000;
+
+export const BRIDGE_MESSAGES = {
+  READY: 'mindstudio:ready',
+  INIT: 'mindstudio:init',
+  VARIABLES: 'mindstudio:variables',
+  SUBMIT: 'mindstudio:submit',
+  SUBMITTED: 'mindstudio:submitted',
+};
+
+export const DEFAULT_HOST_ORIGINS = ['https://app.mindstudio.ai'];
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Origins allowed to host the app over postMessage: VITE_MINDSTUDIO_ORIGINS
+ * (comma separated) or DEFAULT_HOST_ORIGINS, plus the dev server's own
+ * origin in development so dev/mindstudio-host.html works.
+ */
+export const hostOrigins = (env = import.meta.env, location = globalThis.location) => [
+  ...(env.VITE_MINDSTUDIO_ORIGINS ? splitList(env.VITE_MINDSTUDIO_ORIGINS) : DEFAULT_HOST_ORIGINS),
+  ...(env.DEV && location ? [location.origin] : []),
+];
+
+const STANDALONE = { mode: 'standalone', transport: null, variables: {}, submit: null, subscribe: () => () => {}, close: () => {} };
+
+const COUNTS = ['5', '10', '20'];
+
+/**
+ * Form fields from template variables, in brief keys. Only variables that
+ * are present come back, so a host can prefill part of the form.
+ */
+export const briefFromVariables = (variables = {}) => {
+  const brief = {};
+  for (const key of ['topic', 'key_points', 'main_takeaway', 'target_audience', 'tone', 'primary_keyword', 'secondary_keywords']) {
+    if (typeof variables[key] === 'string') brief[key] = variables[key];
+  }
+  const count = String(variables.description_count ?? '');
+  if (COUNTS.includes(count)) brief.description_count = count;
+  if (variables.languages) {
+    const languages = Array.isArray(variables.languages) ? variables.languages : splitList(variables.languages);
+    if (languages.length) brief.languages = languages;
+  }
+  return brief;
+};
+
+// The brief as flat string variables for the host's `submit`
+export const variablesFromBrief = (brief) => Object.fromEntries(Object.entries(brief).map(([key, value]) => [
+  key,
+  Array.isArray(value) ? value.join(', ') : value === null || value === undefined ? '' : String(value),
+]));
+
+const connectGlobal = (injected) => {
+  const listeners = new Set();
+  const unsubscribeHost = injected.subscribe?.(variables => listeners.forEach(listener => listener(variables)));
+  return {
+    mode: 'hosted',
+    transport: 'global',
+    variables: injected.templateVariables || {},
+    submit: async (values) => {
+      await injected.submit(values);
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => {
+      listeners.clear();
+      unsubscribeHost?.();
+    },
+  };
+};
+
+const connectParent = (win, { timeoutMs, submitTimeoutMs, signal, allowedOrigins }) => new Promise((resolve) => {
+  const host = win.parent;
+  const listeners = new Set();
+  const pending = new Map(); // submit id → { resolve, reject, timer }
+  let hostOrigin = null;
+  let nextId = 1;
+  let timer = null;
+
+  const bridge = {
+    mode: 'hosted',
+    transport: 'message',
+    variables: {},
+    submit: (values) => new Promise((resolveSubmit, rejectSubmit) => {
+      const id = nextId++;
+      const expire = () => {
+        pending.delete(id);
+        rejectSubmit(new Error('MindStudio did not confirm the submission'));
+      };
+      pending.set(id, { resolve: resolveSubmit, reject: rejectSubmit, timer: setTimeout(expire, submitTimeoutMs) });
+      host.postMessage({ type: BRIDGE_MESSAGES.SUBMIT, id, values }, hostOrigin);
+    }),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => {
+      clearTimeout(timer);
+      win.removeEventListener('message', onMessage);
+      signal?.removeEventListener('abort', giveUp);
+      listeners.clear();
+      for (const { reject, timer: submitTimer } of pending.values()) {
+        clearTimeout(submitTimer);
+        reject(new Error('MindStudio bridge closed'));
+      }
+      pending.clear();
+    },
+  };
+
+  // Only the parent frame speaks for the host: the handshake from an allowed
+  // origin, everything after it from the origin that answered
+  const onMessage = (event) => {
+    if (event.source !== host || (hostOrigin && event.origin !== hostOrigin)) return;
+    const { type, id, templateVariables, error } = event.data || {};
+    if (type === BRIDGE_MESSAGES.INIT && !hostOrigin) {
+      if (!allowedOrigins.includes(event.origin)) return;
+      clearTimeout(timer);
+      hostOrigin = event.origin;
+      bridge.variables = templateVariables || {};
+      resolve(bridge);
+    } else if (type === BRIDGE_MESSAGES.VARIABLES && hostOrigin) {
+      bridge.variables = templateVariables || {};
+      listeners.forEach(listener => listener(bridge.variables));
+    } else if (type === BRIDGE_MESSAGES.SUBMITTED && pending.has(id)) {
+      const { resolve: resolveSubmit, reject: rejectSubmit, timer: submitTimer } = pending.get(id);
+      clearTimeout(submitTimer);
+      pending.delete(id);
+      if (error) rejectSubmit(new Error(error));
+      else resolveSubmit();
+    }
+  };
+
+  // No answer in time (or the caller stopped waiting): not hosted
+  const giveUp = () => {
+    bridge.close();
+    resolve(STANDALONE);
+  };
+
+  timer = setTimeout(giveUp, timeoutMs);
+  signal?.addEventListener('abort', giveUp, { once: true });
+  win.addEventListener('message', onMessage);
+  host.postMessage({ type: BRIDGE_MESSAGES.READY }, '*');
+});
+
+/**
+ * Finds the host, if any. Resolves to `{ mode, transport, variables,
+ * submit(values), subscribe(listener) → unsubscribe, close() }` where mode
+ * is 'hosted' or 'standalone'; standalone bridges have no `submit`.
+ * Aborting `signal` during the handshake resolves to standalone. Over
+ * postMessage, a submit the host doesn't confirm within `submitTimeoutMs`
+ * rejects.
+ */
+export const connectBridge = async ({
+  win = window,
+  timeoutMs = HANDSHAKE_TIMEOUT_MS,
+  submitTimeoutMs = SUBMIT_TIMEOUT_MS,
+  signal,
+  allowedOrigins = hostOrigins(),
+} = {}) => {
+  const injected = win[BRIDGE_GLOBAL];
+  if (typeof injected?.submit === 'function') return connectGlobal(injected);
+  if (win.parent && win.parent !== win) return connectParent(win, { timeoutMs, submitTimeoutMs, signal, allowedOrigins });
+  return STANDALONE;
+};
@@ -0,0 +1,162 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  BRIDGE_MESSAGES, DEFAULT_HOST_ORIGINS, briefFromVariables, connectBridge, hostOrigins, variablesFromBrief,
+} from './bridge.js';
+
+const HOST_ORIGIN = 'https://app.mindstudio.test';
+
+// An app window inside a parent frame; `host.reply` answers as the parent would
+const createFrames = ({ onMessage = () => {} } = {}) => {
+  const parent = { postMessage: vi.fn((data, origin) => onMessage(data, origin)) };
+  const win = Object.assign(new EventTarget(), { parent });
+  const send = (data, { source = parent, origin = HOST_ORIGIN } = {}) => {
+    win.dispatchEvent(Object.assign(new Event('message'), { data, source, origin }));
+  };
+  return { win, parent, send };
+};
+
+const VARIABLES = { topic: 'Why SaaS startups fail', tone: 'SEO', description_count: '5' };
+
+// A host that answers the handshake with VARIABLES and accepts every submit
+// (refuses with `reject`, never answers with `silent`)
+const connectHosted = async (options = {}) => {
+  let frames;
+  const onMessage = (data) => {
+    if (data.type === BRIDGE_MESSAGES.READY) queueMicrotask(() => frames.send({ type: BRIDGE_MESSAGES.INIT, templateVariables: VARIABLES }));
+    if (data.type === BRIDGE_MESSAGES.SUBMIT && !options.silent) {
+      queueMicrotask(() => frames.send({ type: BRIDGE_MESSAGES.SUBMITTED, id: data.id, ...(options.reject && { error: 'Host said no' }) }));
+    }
+  };
+  frames = createFrames({ onMessage });
+  const bridge = await connectBridge({ win: frames.win, timeoutMs: 1000, submitTimeoutMs: options.submitTimeoutMs, allowedOrigins: [HOST_ORIGIN] });
+  return { ...frames, bridge };
+};
+
+describe('connectBridge', () => {
+  it('is standalone in a top-level window without an injected bridge', async () => {
+    const win = new EventTarget();
+    win.parent = win;
+
+    const bridge = await connectBridge({ win });
+    expect(bridge.mode).toBe('standalone');
+    expect(bridge.submit).toBeNull();
+  });
+
+  it('uses an injected global', async () => {
+    const submit = vi.fn(async () => {});
+    const win = { MindStudioBridge: { templateVariables: VARIABLES, submit } };
+    win.parent = win;
+
+    const bridge = await connectBridge({ win });
+    expect(bridge).toMatchObject({ mode: 'hosted', transport: 'global', variables: VARIABLES });
+    await bridge.submit({ topic: 'x' });
+    expect(submit).toHaveBeenCalledWith({ topic: 'x' });
+  });
+
+  it('shakes hands with the parent frame and pins its origin', async () => {
+    const { bridge, parent } = await connectHosted();
+
+    expect(parent.postMessage).toHaveBeenCalledWith({ type: BRIDGE_MESSAGES.READY }, '*');
+    expect(bridge).toMatchObject({ mode: 'hosted', transport: 'message', variables: VARIABLES });
+
+    await bridge.submit({ topic: 'x' });
+    expect(parent.postMessage).toHaveBeenLastCalledWith({ type: BRIDGE_MESSAGES.SUBMIT, id: 1, values: { topic: 'x' } }, HOST_ORIGIN);
+    bridge.close();
+  });
+
+  it('rejects a submit the host refuses', async () => {
+    const { bridge } = await connectHosted({ reject: true });
+    await expect(bridge.submit({})).rejects.toThrow('Host said no');
+    bridge.close();
+  });
+
+  it('rejects a submit the host never confirms', async () => {
+    const { bridge, send } = await connectHosted({ silent: true, submitTimeoutMs: 20 });
+    await expect(bridge.submit({})).rejects.toThrow('MindStudio did not confirm the submission');
+
+    // A late answer finds nothing pending
+    send({ type: BRIDGE_MESSAGES.SUBMITTED, id: 1 });
+    const again = bridge.submit({});
+    bridge.close();
+    await expect(again).rejects.toThrow('MindStudio bridge closed');
+  });
+
+  it('passes on new variables from the host only', async () => {
+    const { bridge, send } = await connectHosted();
+    const listener = vi.fn();
+    bridge.subscribe(listener);
+
+    send({ type: BRIDGE_MESSAGES.VARIABLES, templateVariables: { topic: 'spoofed' } }, { origin: 'https://evil.test' });
+    send({ type: BRIDGE_MESSAGES.VARIABLES, templateVariables: { topic: 'spoofed' } }, { source: {} });
+    send({ type: BRIDGE_MESSAGES.VARIABLES, templateVariables: { topic: 'Updated' } });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ topic: 'Updated' });
+    bridge.close();
+  });
+
+  it('ignores an init from an origin that is not allowed', async () => {
+    let frames;
+    const onMessage = (data) => {
+      if (data.type !== BRIDGE_MESSAGES.READY) return;
+      queueMicrotask(() => {
+        frames.send({ type: BRIDGE_MESSAGES.INIT, templateVariables: VARIABLES }, { origin: 'https://evil.test' });
+        frames.send({ type: BRIDGE_MESSAGES.VARIABLES, templateVariables: VARIABLES }, { origin: 'https://evil.test' });
+      });
+    };
+    frames = createFrames({ onMessage });
+
+    const bridge = await connectBridge({ win: frames.win, timeoutMs: 20, allowedOrigins: [HOST_ORIGIN] });
+    expect(bridge.mode).toBe('standalone');
+    expect(bridge.submit).toBeNull();
+  });
+
+  it('goes standalone when the parent never answers', async () => {
+    const { win } = createFrames();
+    const bridge = await connectBridge({ win, timeoutMs: 5 });
+    expect(bridge.mode).toBe('standalone');
+  });
+
+  it('goes standalone when the caller stops waiting', async () => {
+    const { win } = createFrames();
+    const controller = new AbortController();
+    const pending = connectBridge({ win, timeoutMs: 60_000, signal: controller.signal });
+    controller.abort();
+    expect((await pending).mode).toBe('standalone');
+  });
+});
+
+describe('hostOrigins', () => {
+  const location = { origin: 'http://localhost:5173' };
+
+  it('allows MindStudio, or the configured origins, in production', () => {
+    expect(hostOrigins({ PROD: true }, location)).toEqual(DEFAULT_HOST_ORIGINS);
+    expect(hostOrigins({ PROD: true, VITE_MINDSTUDIO_ORIGINS: 'https://a.test, https://b.test' }, location))
+      .toEqual(['https://a.test', 'https://b.test']);
+  });
+
+  it('adds the dev server for the fake host page', () => {
+    expect(hostOrigins({ DEV: true }, location)).toEqual([...DEFAULT_HOST_ORIGINS, 'http://localhost:5173']);
+  });
+});
+
+describe('template variables', () => {
+  it('reads the form fields a host provides and skips the rest', () => {
+    expect(briefFromVariables({
+      ...VARIABLES,
+      key_points: '',
+      languages: 'en, ja',
+      description_count: '7',
+      unrelated: 'x',
+    })).toEqual({ topic: 'Why SaaS startups fail', key_points: '', tone: 'SEO', languages: ['en', 'ja'] });
+  });
+
+  it('flattens a brief into strings', () => {
+    expect(variablesFromBrief({ topic: 'x', description_count: 10, languages: ['en', 'ja'], channel: null })).toEqual({
+      topic: 'x',
+      description_count: '10',
+      languages: 'en, ja',
+      channel: '',
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { normalizeHeader, parseCsv, parseCsvRows } from './csv.js';
+import { clear, getAll, putAll } from './db.js';
+import { tokenize } from './text.js';
+
+/**
+ * PUBLISHED CATALOG
+ * Titles the channel already published, so new titles that are too close
+ * to an existing video can be flagged. Imported from a YouTube Studio
+ * export or any list with a title column, or pasted one per line:
+ *
+ *   { id, title, importedAt }   (id is the title with case and punctuation dropped)
+ */
+const STORE = 'catalog';
+
+const TITLE_COLUMNS = ['video_title', 'title', 'youtube_title', 'video'];
+
+const catalogKey = (title) => tokenize(title).join(' ');
+
+/**
+ * Titles from an export (first column named like a title; a Studio
+ * "Total" row is skipped) or from plain text, one per line.
+ */
+export const parseCatalog = (text) => {
+  const [header = []] = parseCsvRows(text);
+  const column = TITLE_COLUMNS.find(name => header.map(normalizeHeader).includes(name));
+  const titles = column
+    ? parseCsv(text).filter(row => row.content?.toLowerCase() !== 'total').map(row => row[column])
+    : String(text || '').split(/\r?\n/);
+
+  const seen = new Set();
+  return titles.map(title => (title || '').trim()).filter((title) => {
+    const key = catalogKey(title);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+export const listCatalog = async () => {
+  const entries = await getAll(STORE);
+  return entries.sort((a, b) => a.title.localeCompare(b.title));
+};
+
+// Re-importing the same title keeps one entry
+export const importCatalog = (titles, { now = Date.now() } = {}) => putAll(
+  STORE,
+  titles.map(title => ({ id: catalogKey(title), title, importedAt: now })),
+);
+
+export const clearCatalog = () => clear(STORE);
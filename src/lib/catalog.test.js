@@ -0,0 +1,18 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { parseCatalog } from './catalog.js';
+
+const analyticsCsv = readFileSync(new URL('./__fixtures__/youtube-analytics.csv', import.meta.url), 'utf8');
+
+describe('parseCatalog', () => {
+  it('reads video titles from a Studio export, skipping the total row', () => {
+    const titles = parseCatalog(analyticsCsv);
+    expect(titles.slice(0, 2)).toEqual(['Why 90% of SaaS Startups Die in Year One', 'How I Got My First 100 Customers']);
+    expect(titles).not.toContain('');
+  });
+
+  it('reads a plain list and drops repeats', () => {
+    expect(parseCatalog('My Desk Setup Tour\n\nmy desk setup tour!\nRetention Is the New Acquisition\n'))
+      .toEqual(['My Desk Setup Tour', 'Retention Is the New Acquisition']);
+  });
+});
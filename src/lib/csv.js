@@ -0,0 +1,82 @@
+/**
+ * CSV
+ * RFC 4180 reading and writing. Parsing also accepts tab-separated text so
+ * tables pasted straight from a spreadsheet work.
+ */
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * `columns` is a list of keys, or `[key, header]` pairs to rename headers.
+ */
+export const stringifyCsv = (rows, columns) => {
+  const specs = columns.map(col => (Array.isArray(col) ? col : [col, col]));
+  const lines = [specs.map(([, header]) => escapeCell(header)).join(',')];
+  for (const row of rows) lines.push(specs.map(([key]) => escapeCell(row[key])).join(','));
+  return lines.join('\r\n') + '\r\n';
+};
+
+const detectDelimiter = (headerLine) => {
+  const tabs = (headerLine.match(/\t/g) || []).length;
+  const commas = (headerLine.match(/,/g) || []).length;
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  if (tabs > commas && tabs >= semicolons) return '\t';
+  return semicolons > commas ? ';' : ',';
+};
+
+/** Parses to an array of string arrays. */
+export const parseCsvRows = (text, delimiter = detectDelimiter(text.split(/\r?\n/, 1)[0])) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+export const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Parses to objects keyed by normalized header ("Search Volume" → "search_volume").
+ */
+export const parseCsv = (text) => {
+  const [header, ...body] = parseCsvRows(text);
+  if (!header) return [];
+  const keys = header.map(normalizeHeader);
+  return body.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] ?? '').trim()])));
+};
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv, parseCsvRows, stringifyCsv } from './csv.js';
+
+describe('csv', () => {
+  it('round-trips quotes, commas and newlines', () => {
+    const rows = [{ a: 'plain', b: 'has, comma' }, { a: 'say "hi"', b: 'two\nlines' }];
+    const text = stringifyCsv(rows, ['a', ['b', 'B header']]);
+
+    expect(text).toBe('a,B header\r\nplain,"has, comma"\r\n"say ""hi""","two\nlines"\r\n');
+    expect(parseCsvRows(text)).toEqual([['a', 'B header'], ['plain', 'has, comma'], ['say "hi"', 'two\nlines']]);
+  });
+
+  it('keys objects by normalized header and accepts pasted tab-separated tables', () => {
+    expect(parseCsv('Topic\tKey Points\nSaaS churn\tfeatures vs problems\n\n')).toEqual([
+      { topic: 'SaaS churn', key_points: 'features vs problems' },
+    ]);
+  });
+
+  it('strips a UTF-8 byte order mark', () => {
+    expect(parseCsv('\uFEFFVideo title,CTR\nHello,4.2%')).toEqual([{ video_title: 'Hello', ctr: '4.2%' }]);
+  });
+});
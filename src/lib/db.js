@@ -0,0 +1,124 @@
+/**
+ * LOCAL DATABASE
+ * Thin promise wrapper over IndexedDB. Each entry in MIGRATIONS upgrades the
+ * schema by one version; append new ones, never edit shipped ones.
+ */
+const DB_NAME = 'the-architect';
+
+const MIGRATIONS = [
+  // v1: generation history
+  (db) => {
+    const runs = db.createObjectStore('runs', { keyPath: 'id' });
+    runs.createIndex('createdAt', 'createdAt');
+  },
+  // v2: channel profiles and brief templates
+  (db) => {
+    db.createObjectStore('profiles', { keyPath: 'id' });
+    db.createObjectStore('templates', { keyPath: 'id' });
+  },
+  // v3: catalog of already published titles
+  (db) => {
+    db.createObjectStore('catalog', { keyPath: 'id' });
+  },
+  // v4: briefs queued while offline
+  (db) => {
+    db.createObjectStore('outbox', { keyPath: 'id' });
+  },
+  // v5: custom tones from the strategy editor
+  (db) => {
+    db.createObjectStore('tones', { keyPath: 'id' });
+  },
+];
+
+let dbPromise = null;
+
+/**
+ * Opens the database, upgrading it first if needed. Another tab still on an
+ * older version blocks the upgrade until it closes; rather than wait forever
+ * this rejects, and a later call tries again. Our own connection closes as
+ * soon as a newer version wants in, so this tab never does the blocking.
+ */
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      let settled = false;
+      const request = indexedDB.open(DB_NAME, MIGRATIONS.length);
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion; version < MIGRATIONS.length; version++) {
+          MIGRATIONS[version](request.result, request.transaction);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Blocked earlier and already rejected: the caller has moved on
+        if (settled) {
+          db.close();
+          return;
+        }
+        settled = true;
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        settled = true;
+        reject(request.error);
+      };
+      request.onblocked = () => {
+        settled = true;
+        reject(new Error('Saved data is being updated. Close other tabs of this app and try again.'));
+      };
+    });
+    // Let a later call retry if opening failed (e.g. private browsing, blocked upgrade)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+export const newId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const getAll = async (storeName) => {
+  const db = await openDb();
+  return promisify(db.transaction(storeName).objectStore(storeName).getAll());
+};
+
+export const get = async (storeName, key) => {
+  const db = await openDb();
+  return promisify(db.transaction(storeName).objectStore(storeName).get(key));
+};
+
+export const put = async (storeName, value) => {
+  const db = await openDb();
+  await promisify(db.transaction(storeName, 'readwrite').objectStore(storeName).put(value));
+  return value;
+};
+
+export const remove = async (storeName, key) => {
+  const db = await openDb();
+  return promisify(db.transaction(storeName, 'readwrite').objectStore(storeName).delete(key));
+};
+
+export const putAll = async (storeName, values) => {
+  const db = await openDb();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  values.forEach(value => store.put(value));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return values;
+};
+
+export const clear = async (storeName) => {
+  const db = await openDb();
+  return promisify(db.transaction(storeName, 'readwrite').objectStore(storeName).clear());
+};
@@ -0,0 +1,99 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const STORES = ['catalog', 'outbox', 'profiles', 'runs', 'templates', 'tones'];
+
+// A fresh database and module per test, since db.js keeps its connection
+const loadDb = () => import('./db.js');
+
+// Creates the database at `version` with only the migrations shipped up to it
+const openAt = (version, upgrade) => new Promise((resolve, reject) => {
+  const request = indexedDB.open('the-architect', version);
+  request.onupgradeneeded = () => upgrade(request.result);
+  request.onsuccess = () => {
+    request.result.close();
+    resolve();
+  };
+  request.onerror = () => reject(request.error);
+});
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  vi.resetModules();
+});
+
+describe('openDb', () => {
+  it('creates every store on a fresh install', async () => {
+    const { openDb } = await loadDb();
+    const db = await openDb();
+    expect([...db.objectStoreNames].sort()).toEqual(STORES);
+  });
+
+  it('upgrades a v1 history database without losing runs', async () => {
+    await openAt(1, (db) => {
+      const runs = db.createObjectStore('runs', { keyPath: 'id' });
+      runs.createIndex('createdAt', 'createdAt');
+      runs.put({ id: 'old', createdAt: 1, brief: { topic: 'Pricing' }, titles: [] });
+    });
+
+    const { get, getAll, openDb, put } = await loadDb();
+    const db = await openDb();
+    expect(db.version).toBe(5);
+    expect([...db.objectStoreNames].sort()).toEqual(STORES);
+    expect(await get('runs', 'old')).toMatchObject({ brief: { topic: 'Pricing' } });
+
+    await put('tones', { id: 'tone-1', name: 'Contrarian' });
+    expect(await getAll('tones')).toEqual([{ id: 'tone-1', name: 'Contrarian' }]);
+  });
+
+  it('fails instead of hanging while an older tab holds the database open, then recovers', async () => {
+    await openAt(3, () => {});
+    const old = await new Promise((resolve) => {
+      const request = indexedDB.open('the-architect', 3);
+      request.onsuccess = () => resolve(request.result);
+    });
+
+    const { openDb } = await loadDb();
+    await expect(openDb()).rejects.toThrow(/Close other tabs/);
+
+    old.close();
+    const db = await openDb();
+    expect(db.version).toBe(5);
+  });
+
+  it('steps aside when a newer version of the app upgrades the database', async () => {
+    const { openDb } = await loadDb();
+    const db = await openDb();
+
+    const newer = await new Promise((resolve, reject) => {
+      const request = indexedDB.open('the-architect', 6);
+      request.onsuccess = () => resolve(request.result);
+      request.onblocked = () => reject(new Error('blocked'));
+    });
+    expect(newer.version).toBe(6);
+    // This tab is now the outdated one: it opens afresh rather than reuse the closed connection
+    newer.close();
+    await expect(openDb()).rejects.toMatchObject({ name: 'VersionError' });
+    expect(() => db.transaction('runs')).toThrow();
+  });
+
+  it('reuses one connection', async () => {
+    const { openDb } = await loadDb();
+    expect(await openDb()).toBe(await openDb());
+  });
+});
+
+describe('store helpers', () => {
+  it('puts, reads, removes and clears records', async () => {
+    const { clear, get, getAll, put, putAll, remove } = await loadDb();
+    await putAll('catalog', [{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+    await put('catalog', { id: 'a', title: 'updated' });
+    expect(await get('catalog', 'a')).toEqual({ id: 'a', title: 'updated' });
+
+    await remove('catalog', 'b');
+    expect((await getAll('catalog')).map(record => record.id)).toEqual(['a', 'c']);
+
+    await clear('catalog');
+    expect(await getAll('catalog')).toEqual([]);
+  });
+});
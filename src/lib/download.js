@@ -0,0 +1,19 @@
+// Triggers a browser download of in-memory text
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// "Why SaaS startups fail..." → "why-saas-startups-fail"
+export const slugify = (text, maxLength = 40) => String(text || 'untitled')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-|-$/g, '')
+  .slice(0, maxLength)
+  .replace(/-$/, '') || 'untitled';
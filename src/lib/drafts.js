@@ -0,0 +1,33 @@
+/**
+ * FORM DRAFTS
+ * The single-video brief is saved to localStorage while it is typed, so a
+ * reload, a closed tab or a dead connection never loses it. There is one
+ * draft, stored in brief keys (see the brief in App's handleGenerate).
+ */
+const DRAFT_KEY = 'the-architect:draft';
+
+// Saves wait until typing pauses for this long
+export const DRAFT_SAVE_DELAY_MS = 500;
+
+const TEXT_FIELDS = ['topic', 'key_points', 'main_takeaway', 'target_audience', 'primary_keyword', 'secondary_keywords'];
+
+export const isEmptyDraft = (draft) => !TEXT_FIELDS.some(key => String(draft[key] || '').trim());
+
+export const loadDraft = (storage = localStorage) => {
+  try {
+    const draft = JSON.parse(storage.getItem(DRAFT_KEY));
+    return draft && typeof draft === 'object' ? draft : null;
+  } catch {
+    return null;
+  }
+};
+
+// An empty form clears the draft rather than saving blanks over it
+export const saveDraft = (draft, storage = localStorage) => {
+  try {
+    if (isEmptyDraft(draft)) storage.removeItem(DRAFT_KEY);
+    else storage.setItem(DRAFT_KEY, JSON.stringify({ ...draft, savedAt: Date.now() }));
+  } catch (error) {
+    console.warn("Could not save draft:", error);
+  }
+};
@@ -0,0 +1,51 @@
+import { describe, expect, it, vi } from 'vitest';
+import { isEmptyDraft, loadDraft, saveDraft } from './drafts.js';
+
+const createStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+    data,
+  };
+};
+
+const DRAFT = { topic: 'Why SaaS startups fail', key_points: '', tone: 'SEO', description_count: '5', languages: ['en'] };
+
+describe('drafts', () => {
+  it('saves and loads a draft', () => {
+    const storage = createStorage();
+    saveDraft(DRAFT, storage);
+    expect(loadDraft(storage)).toEqual({ ...DRAFT, savedAt: expect.any(Number) });
+  });
+
+  it('clears the draft when the form is emptied', () => {
+    const storage = createStorage();
+    saveDraft(DRAFT, storage);
+    saveDraft({ ...DRAFT, topic: '  ' }, storage);
+    expect(storage.data.size).toBe(0);
+    expect(loadDraft(storage)).toBeNull();
+  });
+
+  it('counts only text fields as content', () => {
+    expect(isEmptyDraft({ tone: 'SEO', description_count: '20', languages: ['ja'] })).toBe(true);
+    expect(isEmptyDraft({ primary_keyword: 'saas churn' })).toBe(false);
+  });
+
+  it('ignores a corrupt draft', () => {
+    const storage = createStorage();
+    storage.setItem('the-architect:draft', '{not json');
+    expect(loadDraft(storage)).toBeNull();
+    storage.setItem('the-architect:draft', '"a string"');
+    expect(loadDraft(storage)).toBeNull();
+  });
+
+  it('warns instead of throwing when storage is full', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = { ...createStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(() => saveDraft(DRAFT, storage)).not.toThrow();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
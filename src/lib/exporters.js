@@ -0,0 +1,134 @@
+import { stringifyCsv } from './csv.js';
+import { flattenTitles } from './refine.js';
+import { MAX_TITLE_CHARS } from './scoring.js';
+import { graphemeLength } from './text.js';
+
+/**
+ * EXPORTS
+ * Every exporter takes a list of runs (history records, or the current
+ * unsaved result in the same shape) and returns `{ filename, content, type }`.
+ */
+
+const YOUTUBE_TITLE_LIMIT = 100;
+
+const isoDate = (timestamp) => new Date(timestamp).toISOString();
+
+// The chosen title (which may be a refined variant), falling back to the agent's top pick
+export const chosenTitle = (run) => (
+  flattenTitles(run.titles).find(t => t.youtube_title === run.chosenTitle)
+  || [...run.titles].sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity))[0]
+);
+
+const CSV_COLUMNS = [
+  'run_id', 'created_at', 'topic', 'key_points', 'main_takeaway', 'target_audience', 'tone', 'description_count',
+  'rank', 'language', 'youtube_title', 'back_translation', 'thumbnail_text', 'ctr_rationale', 'parent_title', 'refinement', 'chosen', 'published',
+];
+
+export const exportCsv = (runs) => ({
+  filename: 'titles.csv',
+  type: 'text/csv',
+  content: stringifyCsv(runs.flatMap(run => flattenTitles(run.titles).map(title => ({
+    run_id: run.id,
+    created_at: isoDate(run.createdAt),
+    ...run.brief,
+    ...title,
+    chosen: run.chosenTitle === title.youtube_title ? 'yes' : '',
+    published: run.published?.includes(title.youtube_title) ? 'yes' : '',
+  }))), CSV_COLUMNS),
+});
+
+export const exportJson = (runs) => ({
+  filename: 'titles.json',
+  type: 'application/json',
+  content: JSON.stringify({
+    exported_at: new Date().toISOString(),
+    runs: runs.map(run => ({
+      id: run.id,
+      created_at: isoDate(run.createdAt),
+      brief: run.brief,
+      chosen_title: run.chosenTitle || null,
+      titles: run.titles,
+    })),
+  }, null, 2),
+});
+
+const mdCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+// Notion imports headings, property lists and pipe tables from Markdown
+const runToMarkdown = (run) => [
+  `## ${run.brief.topic}`,
+  '',
+  `- **Tone:** ${run.brief.tone}`,
+  run.brief.target_audience ? `- **Audience:** ${mdCell(run.brief.target_audience)}` : null,
+  run.brief.key_points ? `- **Key points:** ${mdCell(run.brief.key_points)}` : null,
+  run.brief.main_takeaway ? `- **Takeaway:** ${mdCell(run.brief.main_takeaway)}` : null,
+  run.chosenTitle ? `- **Chosen title:** ${mdCell(run.chosenTitle)}` : null,
+  `- **Generated:** ${isoDate(run.createdAt)}`,
+  '',
+  '| Rank | Title | Thumbnail | Why it works |',
+  '| --- | --- | --- | --- |',
+  ...flattenTitles(run.titles).map(t => (
+    `| ${t.parent_title ? '↳' : t.rank ?? ''} | ${mdCell(t.youtube_title)} | ${mdCell(t.thumbnail_text)} | ${mdCell(t.ctr_rationale)} |`
+  )),
+  '',
+].filter(line => line !== null).join('\n');
+
+export const exportMarkdown = (runs) => ({
+  filename: 'content-briefs.md',
+  type: 'text/markdown',
+  content: `# Title Briefs\n\n${runs.map(runToMarkdown).join('\n')}`,
+});
+
+/**
+ * Per-video upload bundle: the one title going to YouTube Studio, its
+ * thumbnail text and the pre-upload checklist.
+ */
+const runToBundle = (run) => {
+  const title = chosenTitle(run);
+  const length = graphemeLength(title.youtube_title);
+  return {
+    video: run.brief.topic,
+    title: title.youtube_title,
+    thumbnail_text: title.thumbnail_text,
+    title_length: length,
+    alternates: run.titles.filter(t => t.youtube_title !== title.youtube_title).slice(0, 2).map(t => t.youtube_title),
+    checklist: [
+      { item: `Title within ${MAX_TITLE_CHARS} characters`, done: length <= MAX_TITLE_CHARS },
+      { item: `Title within YouTube's ${YOUTUBE_TITLE_LIMIT} character limit`, done: length <= YOUTUBE_TITLE_LIMIT },
+      { item: 'Thumbnail text written', done: Boolean(title.thumbnail_text) },
+      { item: 'Title picked (not the default top rank)', done: Boolean(run.chosenTitle) },
+      { item: 'Thumbnail image designed', done: false },
+      { item: 'Description and tags written', done: false },
+    ],
+  };
+};
+
+export const exportUploadBundle = (runs) => ({
+  filename: 'upload-bundle.json',
+  type: 'application/json',
+  content: JSON.stringify(runs.length === 1 ? runToBundle(runs[0]) : runs.map(runToBundle), null, 2),
+});
+
+// One row per video with the title going out, for content calendars
+export const exportPicksCsv = (runs) => ({
+  filename: 'picked-titles.csv',
+  type: 'text/csv',
+  content: stringifyCsv(runs.map((run) => {
+    const title = chosenTitle(run);
+    return {
+      topic: run.brief.topic,
+      tone: run.brief.tone,
+      youtube_title: title.youtube_title,
+      thumbnail_text: title.thumbnail_text,
+      picked: run.chosenTitle ? 'yes' : 'default',
+    };
+  }), ['topic', 'tone', 'youtube_title', 'thumbnail_text', 'picked']),
+});
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', exporter: exportCsv },
+  { id: 'picks', label: 'Picks only (CSV)', exporter: exportPicksCsv },
+  { id: 'json', label: 'JSON', exporter: exportJson },
+  { id: 'markdown', label: 'Markdown (Notion)', exporter: exportMarkdown },
+  { id: 'bundle', label: 'Upload bundle', exporter: exportUploadBundle },
+];
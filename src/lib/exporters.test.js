@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv } from './csv.js';
+import { exportCsv, exportMarkdown, exportPicksCsv, exportUploadBundle } from './exporters.js';
+
+const run = {
+  id: 'run-1',
+  createdAt: Date.UTC(2026, 0, 15, 12),
+  brief: {
+    topic: 'Why SaaS startups fail',
+    key_points: 'Churn | features',
+    main_takeaway: 'Retention first',
+    target_audience: 'Founders',
+    tone: 'Viral',
+    description_count: 5,
+  },
+  titles: [
+    { rank: 1, youtube_title: 'Why 90% of SaaS Startups Die', thumbnail_text: 'YEAR ONE', ctr_rationale: 'Stat + stakes' },
+    { rank: 2, youtube_title: 'Stop Building Features', thumbnail_text: null, ctr_rationale: null },
+  ],
+  chosenTitle: 'Stop Building Features',
+};
+
+describe('exporters', () => {
+  it('writes one CSV row per title with the brief attached', () => {
+    const rows = parseCsv(exportCsv([run]).content);
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ run_id: 'run-1', topic: 'Why SaaS startups fail', rank: '1', chosen: '' });
+    expect(rows[1]).toMatchObject({ youtube_title: 'Stop Building Features', chosen: 'yes' });
+  });
+
+  it('renders a Notion-ready table with pipes escaped', () => {
+    const { content } = exportMarkdown([run]);
+
+    expect(content).toContain('## Why SaaS startups fail');
+    expect(content).toContain('- **Key points:** Churn \\| features');
+    expect(content).toContain('| 1 | Why 90% of SaaS Startups Die | YEAR ONE | Stat + stakes |');
+  });
+
+  it('writes one picks row per video', () => {
+    const rows = parseCsv(exportPicksCsv([run, { ...run, chosenTitle: null }]).content);
+
+    expect(rows).toEqual([
+      { topic: 'Why SaaS startups fail', tone: 'Viral', youtube_title: 'Stop Building Features', thumbnail_text: '', picked: 'yes' },
+      { topic: 'Why SaaS startups fail', tone: 'Viral', youtube_title: 'Why 90% of SaaS Startups Die', thumbnail_text: 'YEAR ONE', picked: 'default' },
+    ]);
+  });
+
+  it('bundles the chosen title, falling back to the top rank', () => {
+    expect(JSON.parse(exportUploadBundle([run]).content)).toMatchObject({
+      title: 'Stop Building Features',
+      alternates: ['Why 90% of SaaS Startups Die'],
+    });
+
+    const bundles = JSON.parse(exportUploadBundle([{ ...run, chosenTitle: null }, run]).content);
+    expect(bundles.map(b => b.title)).toEqual(['Why 90% of SaaS Startups Die', 'Stop Building Features']);
+  });
+});
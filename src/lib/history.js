@@ -0,0 +1,62 @@
+import { get, getAll, newId, put, remove } from './db.js';
+import { flattenTitles } from './refine.js';
+
+/**
+ * GENERATION HISTORY
+ * Every successful run is stored with its full brief so it can be searched
+ * and restored later. Records look like:
+ *
+ *   { id, createdAt, brief: { topic, key_points, main_takeaway, target_audience, tone, description_count },
+ *     titles, provider, source, starred, partial }
+ *
+ * `partial` runs were cancelled or failed after some titles had arrived.
+ */
+const STORE = 'runs';
+
+export const listRuns = async () => {
+  const runs = await getAll(STORE);
+  return runs.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const saveRun = ({ brief, result, partial = false }) => put(STORE, {
+  id: newId(),
+  createdAt: Date.now(),
+  brief,
+  titles: result.titles,
+  provider: result.provider || null,
+  source: result.source || null,
+  starred: false,
+  partial,
+});
+
+export const updateRun = (run) => put(STORE, run);
+
+/**
+ * Applies `changes` to the stored copy of `run`, so a caller holding an
+ * older snapshot can't undo edits made elsewhere since. Falls back to
+ * `run` itself when it isn't stored.
+ */
+export const patchStoredRun = async (run, changes) => put(STORE, { ...((await get(STORE, run.id)) ?? run), ...changes });
+
+export const deleteRun = (id) => remove(STORE, id);
+
+/**
+ * Case-insensitive match over the brief and every generated title.
+ * All whitespace-separated terms must match somewhere in the run.
+ */
+export const searchRuns = (runs, query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return runs;
+
+  return runs.filter((run) => {
+    const haystack = [
+      run.brief.topic,
+      run.brief.key_points,
+      run.brief.main_takeaway,
+      run.brief.target_audience,
+      run.brief.tone,
+      ...flattenTitles(run.titles).flatMap(t => [t.youtube_title, t.thumbnail_text]),
+    ].filter(Boolean).join('\n').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+};
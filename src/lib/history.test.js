@@ -0,0 +1,76 @@
+import 'fake-indexeddb/auto';
+import { beforeEach, describe, expect, it } from 'vitest';
+import { clear } from './db.js';
+import { deleteRun, listRuns, patchStoredRun, saveRun, searchRuns, updateRun } from './history.js';
+
+const brief = (topic, extra = {}) => ({
+  topic, key_points: '', main_takeaway: '', target_audience: '', tone: 'Viral', description_count: 5, ...extra,
+});
+
+const title = (youtube_title, extra = {}) => ({ rank: 1, youtube_title, thumbnail_text: '', ctr_rationale: '', ...extra });
+
+beforeEach(async () => {
+  await clear('runs');
+});
+
+describe('run history', () => {
+  it('saves runs with an id and lists the newest first', async () => {
+    const first = await saveRun({ brief: brief('Pricing'), result: { titles: [title('Raise Your Prices')], provider: 'mock' } });
+    const second = await saveRun({ brief: brief('Churn'), result: { titles: [] }, partial: true });
+    second.createdAt = first.createdAt + 1;
+    await updateRun(second);
+
+    expect(first).toMatchObject({ provider: 'mock', source: null, starred: false, partial: false });
+    expect(first.id).not.toBe(second.id);
+    expect((await listRuns()).map(run => run.brief.topic)).toEqual(['Churn', 'Pricing']);
+    expect((await listRuns())[0].partial).toBe(true);
+  });
+
+  it('stores updates and deletes by id', async () => {
+    const run = await saveRun({ brief: brief('Pricing'), result: { titles: [title('Raise Your Prices')] } });
+    await updateRun({ ...run, starred: true });
+    expect((await listRuns())[0].starred).toBe(true);
+
+    await deleteRun(run.id);
+    expect(await listRuns()).toEqual([]);
+  });
+});
+
+describe('patchStoredRun', () => {
+  it('applies changes onto the stored copy, not the snapshot it was given', async () => {
+    const snapshot = await saveRun({ brief: brief('Pricing'), result: { titles: [title('Raise Your Prices')] } });
+    await updateRun({ ...snapshot, shortlist: ['Raise Your Prices'], published: ['Raise Your Prices'] });
+
+    const patched = await patchStoredRun(snapshot, { chosenTitle: 'Raise Your Prices' });
+    expect(patched).toMatchObject({ shortlist: ['Raise Your Prices'], published: ['Raise Your Prices'], chosenTitle: 'Raise Your Prices' });
+    expect((await listRuns())[0]).toEqual(patched);
+  });
+});
+
+describe('searchRuns', () => {
+  const runs = [
+    { id: 'a', brief: brief('Why SaaS startups fail', { target_audience: 'Founders' }), titles: [title('Stop Building Features')] },
+    {
+      id: 'b',
+      brief: brief('Pricing mistakes', { tone: 'SEO' }),
+      titles: [title('Raise Your Prices', { thumbnail_text: 'DOUBLE IT', variants: [title('Charge More Today')] })],
+    },
+  ];
+  const ids = (query) => searchRuns(runs, query).map(run => run.id);
+
+  it('returns every run for an empty query', () => {
+    expect(ids('  ')).toEqual(['a', 'b']);
+  });
+
+  it('matches the brief, titles, thumbnails and variants case-insensitively', () => {
+    expect(ids('founders')).toEqual(['a']);
+    expect(ids('seo')).toEqual(['b']);
+    expect(ids('double')).toEqual(['b']);
+    expect(ids('CHARGE more')).toEqual(['b']);
+  });
+
+  it('needs every term to match somewhere in the run', () => {
+    expect(ids('saas features')).toEqual(['a']);
+    expect(ids('saas prices')).toEqual([]);
+  });
+});
@@ -0,0 +1,209 @@
+import { normalizeHeader, parseCsv } from './csv.js';
+import { STOP_WORDS, graphemeLength, stem, tokenize } from './text.js';
+
+/**
+ * KEYWORD RESEARCH
+ * Keyword lists come from research tool exports (Keyword Planner, Ahrefs,
+ * Semrush, ...) or a plain one-per-line paste, plus candidates pulled from
+ * the brief itself. One primary and a few secondary keywords are pinned
+ * and sent to the agent as `primary_keyword` and `secondary_keywords`.
+ *
+ * A keyword is `{ keyword, volume, difficulty, source }` where the metrics
+ * are numbers or null and `source` is 'import' or 'brief'.
+ */
+
+export const PRIMARY_KEYWORD_WINDOW = 40;
+export const MAX_SECONDARY_KEYWORDS = 4;
+
+export const EMPTY_PINS = { primary: '', secondary: [] };
+
+// Normalized header → field, first match wins
+const KEYWORD_COLUMNS = {
+  keyword: ['keyword', 'keywords', 'query', 'search_term', 'term', 'phrase', 'top_queries'],
+  volume: ['volume', 'search_volume', 'avg_monthly_searches', 'monthly_searches', 'global_volume', 'sv'],
+  difficulty: ['difficulty', 'keyword_difficulty', 'kd', 'seo_difficulty', 'competition_indexed_value', 'competition'],
+};
+
+const COMPETITION_LEVELS = { low: 20, medium: 50, high: 80 };
+
+// "12,100", "1.2K", "45%" and Keyword Planner ranges like "1K – 10K" (lower bound)
+export const parseMetric = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (COMPETITION_LEVELS[text]) return COMPETITION_LEVELS[text];
+  const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([kmb])?/);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * ({ k: 1e3, m: 1e6, b: 1e9 }[match[2]] || 1));
+};
+
+export const keywordKey = (keyword) => tokenize(keyword).join(' ');
+
+const pickColumn = (row, field) => KEYWORD_COLUMNS[field].find(key => row[key] !== undefined && row[key] !== '');
+
+/**
+ * Parses an export or a plain list. Exports may start with a few lines of
+ * report preamble (Keyword Planner does); the header is the first line
+ * that names a keyword column. Returns `{ keywords, errors }`.
+ */
+export const parseKeywordList = (text) => {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.slice(0, 5).findIndex(line => line.split(/[\t,;]/)
+    .some(cell => KEYWORD_COLUMNS.keyword.includes(normalizeHeader(cell.replace(/"/g, '')))));
+
+  if (headerIndex === -1) {
+    const keywords = lines.map(line => line.split(/[\t,;]/)[0].trim()).filter(Boolean)
+      .map(keyword => ({ keyword, volume: null, difficulty: null, source: 'import' }));
+    return { keywords: mergeKeywords([], keywords), errors: [] };
+  }
+
+  const rows = parseCsv(lines.slice(headerIndex).join('\n'));
+  const errors = [];
+  const keywords = [];
+  rows.forEach((row, i) => {
+    const keywordColumn = pickColumn(row, 'keyword');
+    if (!keywordColumn) {
+      errors.push(`Line ${headerIndex + i + 2}: missing keyword`);
+      return;
+    }
+    const volumeColumn = pickColumn(row, 'volume');
+    const difficultyColumn = pickColumn(row, 'difficulty');
+    keywords.push({
+      keyword: row[keywordColumn],
+      volume: volumeColumn ? parseMetric(row[volumeColumn]) : null,
+      difficulty: difficultyColumn ? parseMetric(row[difficultyColumn]) : null,
+      source: 'import',
+    });
+  });
+  return { keywords: mergeKeywords([], keywords), errors };
+};
+
+/**
+ * Adds `incoming` to `existing`, one entry per keyword (ignoring case and
+ * punctuation). Metrics from an import fill in what the list didn't have.
+ */
+export const mergeKeywords = (existing, incoming) => {
+  const byKey = new Map(existing.map(k => [keywordKey(k.keyword), k]));
+  for (const keyword of incoming) {
+    const key = keywordKey(keyword.keyword);
+    if (!key) continue;
+    const current = byKey.get(key);
+    byKey.set(key, current ? {
+      ...current,
+      volume: current.volume ?? keyword.volume,
+      difficulty: current.difficulty ?? keyword.difficulty,
+      source: current.source === 'import' || keyword.source === 'import' ? 'import' : current.source,
+    } : keyword);
+  }
+  return [...byKey.values()];
+};
+
+/**
+ * Candidate keywords from the brief: phrases of one to three words that
+ * don't start or end on a stop word. Phrases from the topic and repeated
+ * phrases rank first, longer ones break ties.
+ */
+export const extractCandidates = ({ topic = '', key_points = '' }, { limit = 8 } = {}) => {
+  const scores = new Map();
+  const addPhrases = (text, weight) => {
+    for (const clause of text.split(/[.,;:!?()\n]+|\s\d+\.\s/)) {
+      const words = tokenize(clause);
+      for (let size = 1; size <= 3; size++) {
+        for (let i = 0; i + size <= words.length; i++) {
+          const gram = words.slice(i, i + size);
+          if (STOP_WORDS.has(gram[0]) || STOP_WORDS.has(gram[size - 1]) || gram.some(w => /^\d+$/.test(w))) continue;
+          if (size === 1 && gram[0].length < 4) continue;
+          const phrase = gram.join(' ');
+          scores.set(phrase, (scores.get(phrase) || 0) + weight + (size - 1) * 0.5);
+        }
+      }
+    }
+  };
+  addPhrases(topic, 2);
+  addPhrases(key_points, 1);
+
+  return [...scores]
+    .sort(([a, x], [b, y]) => y - x || b.length - a.length)
+    .slice(0, limit)
+    .map(([keyword]) => ({ keyword, volume: null, difficulty: null, source: 'brief' }));
+};
+
+/**
+ * Pins `keyword` as 'primary' or toggles it as 'secondary'. A keyword holds
+ * one role at a time; pinning the current primary again unpins it.
+ */
+export const pinKeyword = (pins, keyword, role) => {
+  const key = keywordKey(keyword);
+  const secondary = pins.secondary.filter(k => keywordKey(k) !== key);
+  if (role === 'primary') {
+    return keywordKey(pins.primary) === key ? { ...pins, primary: '' } : { primary: keyword, secondary };
+  }
+  const wasSecondary = secondary.length !== pins.secondary.length;
+  if (wasSecondary) return { ...pins, secondary };
+  if (secondary.length >= MAX_SECONDARY_KEYWORDS) return pins;
+  return {
+    primary: keywordKey(pins.primary) === key ? '' : pins.primary,
+    secondary: [...secondary, keyword],
+  };
+};
+
+// The agent takes flat strings, so secondary keywords are comma separated
+export const keywordVariables = (pins) => ({
+  primary_keyword: pins.primary,
+  secondary_keywords: pins.secondary.join(', '),
+});
+
+export const pinsFromBrief = (brief) => ({
+  primary: brief?.primary_keyword || '',
+  secondary: (brief?.secondary_keywords || '').split(',').map(k => k.trim()).filter(Boolean),
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive, tolerant of plurals and of punctuation between words
+const keywordPattern = (keyword) => {
+  const words = tokenize(keyword);
+  if (!words.length) return null;
+  const body = words.map(word => `${escapeRegExp(stem(word))}(?:e?s)?`).join("[\\s\\-–—:,'’]+");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'iu');
+};
+
+export const findKeyword = (text, keyword) => {
+  const match = keywordPattern(keyword)?.exec(text || '');
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+};
+
+/**
+ * Where the brief's keywords land in a title. `endsAt` counts graphemes so
+ * the 40 character window means the same thing in every script.
+ * Returns `{ primary: { keyword, found, endsAt, inWindow } | null,
+ * secondary: [{ keyword, found }], ranges: [{ start, end, role }] }`.
+ */
+export const keywordPlacement = (title, { primary_keyword: primaryKeyword = '', secondary_keywords: secondaryKeywords = '' } = {}) => {
+  const ranges = [];
+  let primary = null;
+  if (primaryKeyword) {
+    const match = findKeyword(title, primaryKeyword);
+    const endsAt = match ? graphemeLength(title.slice(0, match.end)) : null;
+    primary = { keyword: primaryKeyword, found: Boolean(match), endsAt, inWindow: Boolean(match) && endsAt <= PRIMARY_KEYWORD_WINDOW };
+    if (match) ranges.push({ ...match, role: 'primary' });
+  }
+  const secondary = pinsFromBrief({ secondary_keywords: secondaryKeywords }).secondary.map((keyword) => {
+    const match = findKeyword(title, keyword);
+    if (match) ranges.push({ ...match, role: 'secondary' });
+    return { keyword, found: Boolean(match) };
+  });
+  return { primary, secondary, ranges };
+};
+
+// Splits text into `{ text, role }` pieces for highlighting; overlapping ranges keep the earlier one
+export const highlightSegments = (text, ranges) => {
+  const segments = [];
+  let cursor = 0;
+  for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+    if (range.start < cursor) continue;
+    if (range.start > cursor) segments.push({ text: text.slice(cursor, range.start), role: null });
+    segments.push({ text: text.slice(range.start, range.end), role: range.role });
+    cursor = range.end;
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), role: null });
+  return segments;
+};
@@ -0,0 +1,95 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import {
+  extractCandidates,
+  highlightSegments,
+  keywordPlacement,
+  keywordVariables,
+  mergeKeywords,
+  parseKeywordList,
+  parseMetric,
+  pinKeyword,
+} from './keywords.js';
+
+const fixture = readFileSync(new URL('./__fixtures__/keyword-planner.tsv', import.meta.url), 'utf8');
+
+describe('parseKeywordList', () => {
+  it('reads a Keyword Planner export past its preamble', () => {
+    const { keywords, errors } = parseKeywordList(fixture);
+
+    expect(errors).toEqual([]);
+    expect(keywords).toEqual([
+      { keyword: 'saas churn', volume: 1000, difficulty: 24, source: 'import' },
+      { keyword: 'saas startup', volume: 10000, difficulty: 81, source: 'import' },
+      { keyword: 'why startups fail', volume: 1000, difficulty: 50, source: 'import' },
+    ]);
+  });
+
+  it('reads tool exports and plain lists', () => {
+    expect(parseKeywordList('Keyword,Search Volume,KD %\nSaaS Churn,"2,400",35%\n').keywords)
+      .toEqual([{ keyword: 'SaaS Churn', volume: 2400, difficulty: 35, source: 'import' }]);
+    expect(parseKeywordList('long term retention\nsaas churn\nSaaS churn\n').keywords.map(k => k.keyword))
+      .toEqual(['long term retention', 'saas churn']);
+  });
+
+  it('parses compact and ranged metrics', () => {
+    expect(parseMetric('1.2K')).toBe(1200);
+    expect(parseMetric('n/a')).toBeNull();
+    expect(parseMetric('High')).toBe(80);
+  });
+});
+
+describe('keyword candidates and pins', () => {
+  it('pulls phrases from the topic ahead of the key points', () => {
+    const candidates = extractCandidates({ topic: 'Why SaaS startups fail', key_points: 'Ignoring churn. Ignoring churn twice' });
+    expect(candidates[0].keyword).toBe('saas startups fail');
+    expect(candidates.map(c => c.keyword)).toContain('ignoring churn');
+    expect(candidates.every(c => c.source === 'brief')).toBe(true);
+  });
+
+  it('keeps metrics from imports when merging candidates', () => {
+    const merged = mergeKeywords(
+      [{ keyword: 'SaaS churn', volume: 2400, difficulty: 35, source: 'import' }],
+      [{ keyword: 'saas churn', volume: null, difficulty: null, source: 'brief' }],
+    );
+    expect(merged).toEqual([{ keyword: 'SaaS churn', volume: 2400, difficulty: 35, source: 'import' }]);
+  });
+
+  it('gives a keyword one role at a time', () => {
+    let pins = pinKeyword({ primary: '', secondary: [] }, 'saas churn', 'secondary');
+    pins = pinKeyword(pins, 'SaaS churn', 'primary');
+    expect(pins).toEqual({ primary: 'SaaS churn', secondary: [] });
+    pins = pinKeyword(pins, 'retention', 'secondary');
+    expect(keywordVariables(pins)).toEqual({ primary_keyword: 'SaaS churn', secondary_keywords: 'retention' });
+    expect(pinKeyword(pins, 'saas churn', 'primary').primary).toBe('');
+  });
+});
+
+describe('keywordPlacement', () => {
+  const brief = { primary_keyword: 'saas startup', secondary_keywords: 'churn, retention' };
+
+  it('finds keywords regardless of case and plurals', () => {
+    const placement = keywordPlacement('Why SaaS Startups Die: The Churn Problem', brief);
+    expect(placement.primary).toEqual({ keyword: 'saas startup', found: true, endsAt: 17, inWindow: true });
+    expect(placement.secondary).toEqual([{ keyword: 'churn', found: true }, { keyword: 'retention', found: false }]);
+  });
+
+  it('flags a primary keyword that ends after the first 40 characters', () => {
+    const placement = keywordPlacement('The Brutal Truth Nobody Tells You About SaaS Startups', brief);
+    expect(placement.primary.found).toBe(true);
+    expect(placement.primary.inWindow).toBe(false);
+  });
+
+  it('does not match inside other words', () => {
+    expect(keywordPlacement('Churned users', brief).secondary[0].found).toBe(false);
+  });
+
+  it('splits a title into highlight segments', () => {
+    const title = 'SaaS Startups and Churn';
+    expect(highlightSegments(title, keywordPlacement(title, brief).ranges)).toEqual([
+      { text: 'SaaS Startups', role: 'primary' },
+      { text: ' and ', role: null },
+      { text: 'Churn', role: 'secondary' },
+    ]);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * TARGET LANGUAGES
+ * Titles can be generated in several languages at once. Each title comes
+ * back tagged with its `language` (a BCP 47 tag) and, for anything but
+ * English, a literal English `back_translation` so the team can judge it.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+export const MAX_LANGUAGES = 5;
+
+// Offered in the picker; the server accepts any valid tag
+export const LANGUAGE_OPTIONS = ['en', 'es', 'pt-BR', 'fr', 'de', 'hi', 'ja', 'ko', 'zh-Hans', 'ar', 'he', 'id', 'ru', 'tr'];
+
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+const primarySubtag = (code) => String(code || '').split('-')[0].toLowerCase();
+
+export const textDirection = (code) => (RTL_LANGUAGES.has(primarySubtag(code)) ? 'rtl' : 'ltr');
+
+// Runs saved before languages existed have untagged titles, which are English
+export const titleLanguage = (item) => item.language || DEFAULT_LANGUAGE;
+
+/**
+ * Display name of a language, in English by default or in the language
+ * itself with `{ native: true }` ("Japanese" / "日本語"). Falls back to the
+ * tag where Intl.DisplayNames is missing.
+ */
+export const languageName = (code, { native = false } = {}) => {
+  try {
+    return new Intl.DisplayNames([native ? code : 'en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+// Adds or removes a language; the last one can't be removed
+export const toggleLanguage = (languages, code) => {
+  if (languages.includes(code)) return languages.length > 1 ? languages.filter(l => l !== code) : languages;
+  return languages.length < MAX_LANGUAGES ? [...languages, code] : languages;
+};
+
+/**
+ * Splits scored title entries (`{ item, ... }`) into one group per
+ * language, in the order the languages were requested. Languages that
+ * weren't requested (old runs, stray tags) follow at the end.
+ */
+export const groupByLanguage = (entries, languages = []) => {
+  const groups = new Map(languages.map(code => [code, []]));
+  for (const entry of entries) {
+    const code = titleLanguage(entry.item);
+    if (!groups.has(code)) groups.set(code, []);
+    groups.get(code).push(entry);
+  }
+  return [...groups].filter(([, items]) => items.length).map(([language, items]) => ({ language, items }));
+};
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { groupByLanguage, textDirection, toggleLanguage } from './languages.js';
+
+describe('languages', () => {
+  it('knows which languages are written right to left', () => {
+    expect(textDirection('ar')).toBe('rtl');
+    expect(textDirection('he-IL')).toBe('rtl');
+    expect(textDirection('ja')).toBe('ltr');
+  });
+
+  it('never removes the last language', () => {
+    expect(toggleLanguage(['en'], 'ja')).toEqual(['en', 'ja']);
+    expect(toggleLanguage(['en', 'ja'], 'en')).toEqual(['ja']);
+    expect(toggleLanguage(['ja'], 'ja')).toEqual(['ja']);
+  });
+
+  it('groups titles in requested order, untagged ones as English', () => {
+    const entries = [
+      { item: { youtube_title: 'A', language: 'ja' } },
+      { item: { youtube_title: 'B' } },
+      { item: { youtube_title: 'C', language: 'ar' } },
+    ];
+
+    expect(groupByLanguage(entries, ['en', 'ar', 'ja']).map(g => [g.language, g.items.map(e => e.item.youtube_title)])).toEqual([
+      ['en', ['B']],
+      ['ar', ['C']],
+      ['ja', ['A']],
+    ]);
+  });
+});
@@ -0,0 +1,48 @@
+import { getAll, newId, put, remove } from './db.js';
+
+/**
+ * OFFLINE OUTBOX
+ * Briefs generated without a connection wait here until it returns, then
+ * go out oldest first. Entries look like:
+ *
+ *   { id, createdAt, brief, attempts, lastError }
+ *
+ * `lastError` is set when the server answered but the run failed; those
+ * entries stay put until they are retried or discarded by hand.
+ */
+const STORE = 'outbox';
+
+export const listQueued = async () => {
+  const entries = await getAll(STORE);
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const queueBrief = (brief) => put(STORE, { id: newId(), createdAt: Date.now(), brief, attempts: 0, lastError: null });
+
+export const updateQueued = (entry) => put(STORE, entry);
+
+export const removeQueued = (id) => remove(STORE, id);
+
+// fetch rejects with a TypeError when it can't reach the server at all
+export const isNetworkError = (error) => error instanceof TypeError;
+
+/**
+ * Sends each entry's brief through `send(brief)`, one at a time, calling
+ * `onSent(entry, result)` or `onFailed(entry, error)`. Stops at the first
+ * network error, since the rest would fail the same way. Resolves to
+ * 'done' or 'offline'.
+ */
+export const flushOutbox = async (entries, { send, onSent, onFailed }) => {
+  for (const entry of entries) {
+    let result;
+    try {
+      result = await send(entry.brief);
+    } catch (error) {
+      if (isNetworkError(error)) return 'offline';
+      await onFailed(entry, error);
+      continue;
+    }
+    await onSent(entry, result);
+  }
+  return 'done';
+};
@@ -0,0 +1,51 @@
+import { describe, expect, it, vi } from 'vitest';
+import { ApiError } from '../api.js';
+import { flushOutbox, isNetworkError } from './outbox.js';
+
+const entry = (topic) => ({ id: topic, createdAt: 0, brief: { topic }, attempts: 0, lastError: null });
+
+describe('flushOutbox', () => {
+  it('sends entries in order and reports each result', async () => {
+    const send = vi.fn(async (brief) => ({ titles: [brief.topic] }));
+    const onSent = vi.fn();
+    const onFailed = vi.fn();
+
+    const outcome = await flushOutbox([entry('a'), entry('b')], { send, onSent, onFailed });
+    expect(outcome).toBe('done');
+    expect(send.mock.calls.map(([brief]) => brief.topic)).toEqual(['a', 'b']);
+    expect(onSent).toHaveBeenNthCalledWith(2, entry('b'), { titles: ['b'] });
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+
+  it('records server failures and carries on', async () => {
+    const failure = new ApiError('Agent returned no titles', { status: 422, code: 'NO_TITLES' });
+    const send = vi.fn(async (brief) => {
+      if (brief.topic === 'a') throw failure;
+      return { titles: [] };
+    });
+    const onSent = vi.fn();
+    const onFailed = vi.fn();
+
+    expect(await flushOutbox([entry('a'), entry('b')], { send, onSent, onFailed })).toBe('done');
+    expect(onFailed).toHaveBeenCalledWith(entry('a'), failure);
+    expect(onSent).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops at the first network error and keeps the rest queued', async () => {
+    const send = vi.fn(async () => { throw new TypeError('Failed to fetch'); });
+    const onSent = vi.fn();
+    const onFailed = vi.fn();
+
+    expect(await flushOutbox([entry('a'), entry('b')], { send, onSent, onFailed })).toBe('offline');
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(onSent).not.toHaveBeenCalled();
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+});
+
+describe('isNetworkError', () => {
+  it('tells a dropped connection from a server answer', () => {
+    expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isNetworkError(new ApiError('Bad gateway', { status: 502 }))).toBe(false);
+  });
+});
@@ -0,0 +1,47 @@
+import { getAll, newId, put, remove } from './db.js';
+
+/**
+ * CHANNEL PROFILES
+ * Per-channel defaults that fill the form, plus voice context that goes to
+ * the agent with every brief generated under the profile:
+ *
+ *   { id, name, audience, tone, descriptionCount, bannedWords: [], voice, exampleTitles: [] }
+ */
+const STORE = 'profiles';
+
+export const emptyProfile = () => ({
+  id: null,
+  name: '',
+  audience: '',
+  tone: 'Viral',
+  descriptionCount: 10,
+  bannedWords: [],
+  voice: '',
+  exampleTitles: [],
+});
+
+export const listProfiles = async () => {
+  const profiles = await getAll(STORE);
+  return profiles.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const saveProfile = (profile) => put(STORE, { ...profile, id: profile.id || newId(), updatedAt: Date.now() });
+
+export const deleteProfile = (id) => remove(STORE, id);
+
+// Editor helpers: banned words are comma separated, example titles one per line
+export const splitList = (text, separator = /[,\n]/) => text.split(separator).map(s => s.trim()).filter(Boolean);
+
+/**
+ * The extra brief variables for a profile. The agent takes flat strings, so
+ * lists are joined the same way the editor shows them.
+ */
+export const profileVariables = (profile) => (profile ? {
+  channel: profile.name,
+  brand_voice: profile.voice,
+  example_titles: profile.exampleTitles.join('\n'),
+  banned_words: profile.bannedWords.join(', '),
+} : {});
+
+// For useSavedItems
+export const profileStore = { list: listProfiles, save: saveProfile, remove: deleteProfile };
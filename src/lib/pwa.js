@@ -0,0 +1,48 @@
+/**
+ * INSTALLABLE APP
+ * Service worker registration (public/sw.js keeps the app shell offline)
+ * and system notifications for work that finishes in the background.
+ */
+const ICON = '/icons/icon-192.png';
+
+// Only production builds register; the worker's cache would fight Vite's dev server
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => console.warn("Service worker registration failed:", error));
+  });
+};
+
+export const canNotify = () => 'Notification' in window && Notification.permission === 'granted';
+
+// Asked once, when the first brief is queued, rather than on page load
+export const requestNotifications = async () => {
+  if (!('Notification' in window) || Notification.permission !== 'default') return;
+  try {
+    await Notification.requestPermission();
+  } catch (error) {
+    console.warn("Notification permission request failed:", error);
+  }
+};
+
+/**
+ * Shows a system notification when permission was granted. `onClick`
+ * runs when the user clicks it (page notifications only; the service
+ * worker fallback just focuses the app).
+ */
+export const notify = async (title, { body, tag, onClick } = {}) => {
+  if (!canNotify()) return;
+  try {
+    const notification = new Notification(title, { body, tag, icon: ICON });
+    notification.onclick = () => {
+      window.focus();
+      onClick?.();
+      notification.close();
+    };
+  } catch {
+    // Android Chrome only allows notifications through the service worker
+    const registration = await navigator.serviceWorker?.getRegistration();
+    await registration?.showNotification(title, { body, tag, icon: ICON })
+      .catch(error => console.warn("Could not show notification:", error));
+  }
+};
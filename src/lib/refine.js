@@ -0,0 +1,61 @@
+import { titleLanguage } from './languages.js';
+
+/**
+ * REFINEMENT
+ * Follow-up variants of a single title are nested under it as `variants`,
+ * so the original list stays intact. Items are addressed by their index
+ * path from the top of the list: [2] is the third title, [2, 0] its first
+ * variant.
+ */
+
+export const REFINE_ACTIONS = [
+  { id: 'more', label: 'More like this' },
+  { id: 'shorter', label: 'Shorter' },
+  { id: 'punchier', label: 'Punchier' },
+  { id: 'seo', label: 'SEO rewrite' },
+];
+
+export const REFINE_VARIANT_COUNT = 3;
+
+export const refineLabel = (action) => REFINE_ACTIONS.find(a => a.id === action)?.label || 'Feedback';
+
+// A brief without its custom tone definition (the tone_* variables)
+const withoutCustomTone = (brief) => Object.fromEntries(Object.entries(brief).filter(([key]) => !key.startsWith('tone_')));
+
+/**
+ * The request body for a refinement: the original brief plus the title
+ * being reworked. The SEO rewrite also switches the tone, dropping a custom
+ * tone's definition so the server sees the built-in SEO tone. Variants stay
+ * in the language of the title they refine.
+ */
+export const buildRefineRequest = (brief, item, { action, feedback = '' }) => ({
+  ...(action === 'seo' ? withoutCustomTone(brief) : brief),
+  languages: [titleLanguage(item)],
+  tone: action === 'seo' ? 'SEO' : brief.tone,
+  description_count: REFINE_VARIANT_COUNT,
+  refinement: {
+    action,
+    parent_title: item.youtube_title,
+    parent_thumbnail_text: item.thumbnail_text || '',
+    feedback,
+  },
+});
+
+// Returns a new titles array with `variants` appended under the item at `path`
+export const addVariants = (titles, [index, ...rest], variants) => titles.map((item, i) => {
+  if (i !== index) return item;
+  const children = item.variants || [];
+  return {
+    ...item,
+    variants: rest.length ? addVariants(children, rest, variants) : [...children, ...variants],
+  };
+});
+
+/**
+ * Depth-first list of every title and variant, each tagged with its
+ * `parent_title` (null at the top level) for flat exports.
+ */
+export const flattenTitles = (titles, parent = null) => titles.flatMap(({ variants, ...item }) => [
+  { ...item, parent_title: parent },
+  ...flattenTitles(variants || [], item.youtube_title),
+]);
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { addVariants, buildRefineRequest, flattenTitles } from './refine.js';
+
+const titles = [
+  { rank: 1, youtube_title: 'A' },
+  { rank: 2, youtube_title: 'B' },
+];
+
+describe('refine', () => {
+  it('nests variants under the addressed title without touching the rest', () => {
+    const once = addVariants(titles, [1], [{ youtube_title: 'B1' }]);
+    const twice = addVariants(once, [1, 0], [{ youtube_title: 'B1a' }]);
+
+    expect(titles[1].variants).toBeUndefined();
+    expect(twice[0]).toBe(titles[0]);
+    expect(twice[1].variants[0].variants).toEqual([{ youtube_title: 'B1a' }]);
+  });
+
+  it('flattens variants depth-first with their parent title', () => {
+    const nested = addVariants(addVariants(titles, [0], [{ youtube_title: 'A1' }]), [0, 0], [{ youtube_title: 'A1a' }]);
+
+    expect(flattenTitles(nested).map(t => [t.youtube_title, t.parent_title])).toEqual([
+      ['A', null], ['A1', 'A'], ['A1a', 'A1'], ['B', null],
+    ]);
+  });
+
+  it('switches to the SEO tone for the SEO rewrite', () => {
+    const brief = { topic: 'x', tone: 'Viral', description_count: 10 };
+
+    expect(buildRefineRequest(brief, titles[0], { action: 'seo' })).toMatchObject({
+      tone: 'SEO',
+      description_count: 3,
+      refinement: { action: 'seo', parent_title: 'A', feedback: '' },
+    });
+    expect(buildRefineRequest(brief, titles[0], { action: 'shorter' }).tone).toBe('Viral');
+  });
+
+  it('drops a custom tone for the SEO rewrite and keeps it otherwise', () => {
+    const brief = { topic: 'x', tone: 'Deadpan', tone_instructions: 'Dry, no hype', tone_max_length: '50', tone_banned_words: 'insane' };
+
+    const seo = buildRefineRequest(brief, titles[0], { action: 'seo' });
+    expect(seo.tone).toBe('SEO');
+    expect(Object.keys(seo).filter(key => key.startsWith('tone_'))).toEqual([]);
+    expect(seo.topic).toBe('x');
+
+    expect(buildRefineRequest(brief, titles[0], { action: 'punchier' })).toMatchObject({
+      tone: 'Deadpan', tone_instructions: 'Dry, no hype', tone_max_length: '50',
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * RETRIES
+ * Agent runs fail transiently: rate limits (429) and upstream hiccups
+ * (5xx). Those are retried with exponential backoff and jitter, honouring
+ * `Retry-After` when the server sends one. Timeouts (504, including the
+ * API client's TIMEOUT) are not: the run already had its full time, and
+ * starting it over would most likely stall the same way. Anything else
+ * (bad brief, user cancel) fails at once too.
+ */
+
+export const isRetryable = (error) => error?.status === 429 || (error?.status >= 500 && error.status !== 504);
+
+export const backoffDelay = (attempt, { baseMs = 1000, maxMs = 15_000, retryAfterMs = null, random = Math.random } = {}) => {
+  if (retryAfterMs !== null) return Math.min(retryAfterMs, maxMs * 4);
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Calls `task(attempt)` until it succeeds, `retries` extra attempts are
+ * used up, or `shouldRetry(error)` says no. `onRetry({ attempt, delayMs, error })`
+ * fires before each wait so the UI can say what is happening.
+ */
+export const withRetry = async (task, {
+  retries = 2,
+  signal,
+  shouldRetry = isRetryable,
+  onRetry = () => {},
+  wait = sleep,
+  ...backoff
+} = {}) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (signal?.aborted || attempt > retries || !shouldRetry(error)) throw error;
+      const delayMs = backoffDelay(attempt, { ...backoff, retryAfterMs: error.retryAfterMs ?? null });
+      onRetry({ attempt: attempt + 1, delayMs, error });
+      await wait(delayMs, signal);
+    }
+  }
+};
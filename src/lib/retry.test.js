@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { backoffDelay, withRetry } from './retry.js';
+
+const failing = (...errors) => {
+  const calls = [];
+  const task = async (attempt) => {
+    calls.push(attempt);
+    if (errors.length) throw errors.shift();
+    return 'ok';
+  };
+  return { task, calls };
+};
+
+const httpError = (status, extra = {}) => Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+const noWait = async () => {};
+
+describe('withRetry', () => {
+  it('retries 429 and 5xx until the task succeeds', async () => {
+    const { task, calls } = failing(httpError(429), httpError(503));
+    const retries = [];
+
+    expect(await withRetry(task, { wait: noWait, onRetry: r => retries.push(r.attempt) })).toBe('ok');
+    expect(calls).toEqual([1, 2, 3]);
+    expect(retries).toEqual([2, 3]);
+  });
+
+  it('gives up after the last retry', async () => {
+    const { task, calls } = failing(httpError(502), httpError(502), httpError(502));
+
+    await expect(withRetry(task, { retries: 2, wait: noWait })).rejects.toThrow('HTTP 502');
+    expect(calls).toHaveLength(3);
+  });
+
+  it('does not retry client errors or vetoed errors', async () => {
+    const bad = failing(httpError(400));
+    await expect(withRetry(bad.task, { wait: noWait })).rejects.toThrow('HTTP 400');
+    expect(bad.calls).toHaveLength(1);
+
+    const vetoed = failing(httpError(503));
+    await expect(withRetry(vetoed.task, { wait: noWait, shouldRetry: () => false })).rejects.toThrow('HTTP 503');
+    expect(vetoed.calls).toHaveLength(1);
+  });
+
+  it('does not retry timeouts', async () => {
+    const agent = failing(httpError(504));
+    await expect(withRetry(agent.task, { wait: noWait })).rejects.toThrow('HTTP 504');
+    expect(agent.calls).toHaveLength(1);
+
+    const idle = failing(httpError(504, { code: 'TIMEOUT' }));
+    await expect(withRetry(idle.task, { wait: noWait })).rejects.toThrow('HTTP 504');
+    expect(idle.calls).toHaveLength(1);
+  });
+
+  it('waits for Retry-After when the server sends it', async () => {
+    const waits = [];
+    const { task } = failing(httpError(429, { retryAfterMs: 7000 }));
+
+    await withRetry(task, { wait: async ms => waits.push(ms) });
+    expect(waits).toEqual([7000]);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles per attempt with jitter inside the upper half, capped', () => {
+    expect(backoffDelay(1, { random: () => 0 })).toBe(500);
+    expect(backoffDelay(3, { random: () => 1 })).toBe(4000);
+    expect(backoffDelay(10, { random: () => 1 })).toBe(15_000);
+  });
+});
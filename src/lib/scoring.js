@@ -0,0 +1,156 @@
+import { PRIMARY_KEYWORD_WINDOW, keywordPlacement } from './keywords.js';
+import { contentWords, graphemeLength, stem, tokenize } from './text.js';
+import { SURFACES, truncateTitle } from './truncate.js';
+
+/**
+ * TITLE SCORING
+ * Deterministic, local checks of each generated title against the sidebar
+ * Directives. Every rule returns a status (pass | warn | fail) and the
+ * points it earned; the score is the weighted total out of 100.
+ */
+
+export const MAX_TITLE_CHARS = 50;
+
+// Rule 2: phrases that read as bait or as an ad rather than a video
+export const CLICKBAIT_PHRASES = [
+  "you won't believe", 'you will not believe', 'shocking', 'gone wrong', 'must see', 'must watch', 'insane',
+  'jaw-dropping', 'mind-blowing', 'will blow your mind', 'what happens next', 'number 7 will', 'not clickbait',
+];
+
+export const FRICTION_PHRASES = [
+  'ultimate', 'revolutionary', 'game-changer', 'game changer', 'unlock', 'skyrocket', 'supercharge', 'secret sauce',
+  'synergy', 'best-in-class', 'cutting-edge', 'world-class', 'next level', 'buy now', 'limited time', 'sign up',
+  'discount', 'free trial', 'webinar', 'link in bio', 'click here', 'act now',
+];
+
+export const POWER_WORDS = [
+  'secret', 'secrets', 'proven', 'mistake', 'mistakes', 'stop', 'never', 'always', 'truth', 'hidden', 'why', 'how',
+  'fail', 'failed', 'wrong', 'exactly', 'finally', 'real', 'fast', 'simple', 'easy', 'actually', 'nobody', 'everyone',
+  'worst', 'best', 'before', 'after',
+];
+
+const findPhrases = (text, phrases) => {
+  const lower = text.toLowerCase();
+  return phrases.filter(phrase => lower.includes(phrase));
+};
+
+// The phrase and keyword rules are English, so localized titles are read
+// through their back-translation
+const englishText = (item) => item.back_translation || item.youtube_title;
+
+const result = (status, max, detail) => ({
+  status,
+  points: status === 'pass' ? max : status === 'warn' ? Math.round(max / 2) : 0,
+  detail,
+});
+
+// With pinned keywords the primary one has to land early; see lib/keywords.js
+const checkPinnedKeywords = (item, pins) => {
+  const { primary, secondary } = keywordPlacement(item.youtube_title, pins);
+  if (primary.inWindow) return result('pass', 15, `"${primary.keyword}" within the first ${PRIMARY_KEYWORD_WINDOW} chars`);
+  if (primary.found) return result('warn', 15, `"${primary.keyword}" ends at char ${primary.endsAt}, after the first ${PRIMARY_KEYWORD_WINDOW}`);
+  const used = secondary.filter(k => k.found).map(k => k.keyword);
+  if (used.length) return result('warn', 15, `Missing "${primary.keyword}", uses ${used.join(', ')}`);
+  if (item.back_translation && keywordPlacement(item.back_translation, pins).primary.found) {
+    return result('warn', 15, `"${primary.keyword}" only in the back-translation`);
+  }
+  return result('fail', 15, `Missing "${primary.keyword}"`);
+};
+
+/**
+ * Each rule: { id, label, weight, check(item, context) => { status, points, detail } }.
+ * `context` carries the brief (`topic`, `key_points`, pinned keywords) the title was generated from.
+ */
+export const RULES = [
+  {
+    id: 'length',
+    label: '< 50 chars',
+    weight: 25,
+    check: (item) => {
+      const chars = graphemeLength(item.youtube_title);
+      if (chars <= MAX_TITLE_CHARS) return result('pass', 25, `${chars} chars`);
+      return result(chars <= MAX_TITLE_CHARS + 10 ? 'warn' : 'fail', 25, `${chars} chars (max ${MAX_TITLE_CHARS})`);
+    },
+  },
+  {
+    id: 'pixels',
+    label: 'Fits mobile',
+    weight: 10,
+    check: (item) => {
+      const { truncated } = truncateTitle(item.youtube_title, SURFACES.mobile);
+      return truncated
+        ? result('fail', 10, 'Cut off in the mobile feed')
+        : result('pass', 10, 'Fully visible in the mobile feed');
+    },
+  },
+  {
+    id: 'friction',
+    label: 'Zero friction',
+    weight: 20,
+    check: (item) => {
+      const bait = findPhrases(englishText(item), CLICKBAIT_PHRASES);
+      const friction = findPhrases(englishText(item), FRICTION_PHRASES);
+      const hits = [...bait, ...friction];
+      if (!hits.length) return result('pass', 20, 'No clickbait or marketing phrases');
+      return result(hits.length > 1 || bait.length ? 'fail' : 'warn', 20, `Contains "${hits.join('", "')}"`);
+    },
+  },
+  {
+    id: 'anchor',
+    label: 'Visual anchor',
+    weight: 20,
+    check: (item) => {
+      if (!item.thumbnail_text) return result('warn', 20, 'No thumbnail text');
+      const titleWords = new Set(contentWords(item.youtube_title).map(stem));
+      const thumbWords = contentWords(item.thumbnail_text).map(stem);
+      if (!thumbWords.length) return result('pass', 20, 'Thumbnail adds a new visual cue');
+      const repeated = thumbWords.filter(word => titleWords.has(word));
+      const overlap = repeated.length / thumbWords.length;
+      if (overlap > 0.5) return result('fail', 20, `Thumbnail repeats the title ("${repeated.join('", "')}")`);
+      if (overlap > 0) return result('warn', 20, `Thumbnail partly repeats the title ("${repeated.join('", "')}")`);
+      return result('pass', 20, 'Thumbnail complements the title');
+    },
+  },
+  {
+    id: 'keywords',
+    label: 'Keywords',
+    weight: 15,
+    check: (item, { topic = '', key_points = '', ...pins } = {}) => {
+      if (pins.primary_keyword) return checkPinnedKeywords(item, pins);
+      const keywords = [...new Set(contentWords(`${topic} ${key_points}`).map(stem))];
+      if (!keywords.length) return result('pass', 15, 'No brief keywords to check');
+      const titleWords = new Set(contentWords(englishText(item)).map(stem));
+      const covered = keywords.filter(word => titleWords.has(word));
+      if (!covered.length) return result('fail', 15, 'No keyword from the brief');
+      return result(covered.length >= 2 ? 'pass' : 'warn', 15, `Uses ${covered.join(', ')}`);
+    },
+  },
+  {
+    id: 'power',
+    label: 'Power word',
+    weight: 10,
+    check: (item) => {
+      const hasNumber = /\d/.test(item.youtube_title);
+      const powers = tokenize(englishText(item)).filter(word => POWER_WORDS.includes(word));
+      if (hasNumber || powers.length) {
+        return result('pass', 10, [hasNumber && 'number', ...powers].filter(Boolean).join(', '));
+      }
+      return result('fail', 10, 'No number or power word');
+    },
+  },
+];
+
+/**
+ * Scores one title item. Returns `{ score, rules: [{ id, label, status, points, max, detail }] }`.
+ */
+export const scoreTitle = (item, context = {}, rules = RULES) => {
+  const checked = rules.map(rule => ({ id: rule.id, label: rule.label, max: rule.weight, ...rule.check(item, context) }));
+  const max = checked.reduce((sum, rule) => sum + rule.max, 0);
+  const earned = checked.reduce((sum, rule) => sum + rule.points, 0);
+  return { score: max ? Math.round((earned / max) * 100) : 0, rules: checked };
+};
+
+export const SORT_MODES = {
+  rank: (a, b) => (a.item.rank ?? Infinity) - (b.item.rank ?? Infinity),
+  score: (a, b) => b.score.score - a.score.score || (a.item.rank ?? Infinity) - (b.item.rank ?? Infinity),
+};
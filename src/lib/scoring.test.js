@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { SORT_MODES, scoreTitle } from './scoring.js';
+
+const brief = { topic: 'Why most SaaS startups fail in the first year', key_points: 'Ignoring churn, building features' };
+
+const ruleStatus = (item, context = brief) => Object.fromEntries(
+  scoreTitle(item, context).rules.map(rule => [rule.id, rule.status])
+);
+
+describe('scoreTitle', () => {
+  it('gives a clean, on-brief title full marks', () => {
+    const { score, rules } = scoreTitle({
+      youtube_title: '7 Churn Mistakes Killing SaaS Startups',
+      thumbnail_text: 'YEAR ONE',
+    }, brief);
+
+    expect(rules.every(rule => rule.status === 'pass')).toBe(true);
+    expect(score).toBe(100);
+  });
+
+  it('flags titles over the 50 character rule', () => {
+    const status = ruleStatus({ youtube_title: 'A'.repeat(55) });
+    expect(status.length).toBe('warn');
+    expect(ruleStatus({ youtube_title: 'word '.repeat(20) }).length).toBe('fail');
+  });
+
+  it('flags clickbait and marketing friction', () => {
+    expect(ruleStatus({ youtube_title: 'The Ultimate SaaS Guide' }).friction).toBe('warn');
+    expect(ruleStatus({ youtube_title: "You Won't Believe This SaaS Trick" }).friction).toBe('fail');
+  });
+
+  it('flags thumbnail text that repeats the title', () => {
+    expect(ruleStatus({ youtube_title: 'SaaS Churn Explained', thumbnail_text: 'SAAS CHURN' }).anchor).toBe('fail');
+    expect(ruleStatus({ youtube_title: 'SaaS Churn Explained', thumbnail_text: 'CHURN = DEATH' }).anchor).toBe('warn');
+    expect(ruleStatus({ youtube_title: 'SaaS Churn Explained' }).anchor).toBe('warn');
+  });
+
+  it('checks keyword coverage against the brief', () => {
+    expect(ruleStatus({ youtube_title: 'My Morning Routine' }).keywords).toBe('fail');
+    expect(ruleStatus({ youtube_title: 'The Startup Trap' }).keywords).toBe('warn');
+  });
+
+  it('wants a pinned primary keyword in the first 40 characters', () => {
+    const pinned = { ...brief, primary_keyword: 'saas churn', secondary_keywords: 'retention' };
+    expect(ruleStatus({ youtube_title: 'SaaS Churn Is Quietly Killing You' }, pinned).keywords).toBe('pass');
+    expect(ruleStatus({ youtube_title: 'The One Number Every Founder Ignores Until SaaS Churn' }, pinned).keywords).toBe('warn');
+    expect(ruleStatus({ youtube_title: 'Retention Beats Growth' }, pinned).keywords).toBe('warn');
+    expect(ruleStatus({ youtube_title: 'My Morning Routine' }, pinned).keywords).toBe('fail');
+  });
+
+  it('counts graphemes and reads localized titles through their back-translation', () => {
+    const status = ruleStatus({
+      youtube_title: 'क्यों ज़्यादातर SaaS स्टार्टअप पहले साल में फेल होते हैं',
+      back_translation: 'Why most SaaS startups fail in the first year',
+    });
+    expect(status.length).toBe('pass');
+    expect(status.keywords).toBe('pass');
+    expect(status.power).toBe('pass');
+  });
+});
+
+describe('SORT_MODES', () => {
+  it('sorts by score with rank as the tie-breaker', () => {
+    const entries = [
+      { item: { rank: 1 }, score: { score: 60 } },
+      { item: { rank: 3 }, score: { score: 90 } },
+      { item: { rank: 2 }, score: { score: 90 } },
+    ];
+    expect([...entries].sort(SORT_MODES.score).map(e => e.item.rank)).toEqual([2, 3, 1]);
+    expect([...entries].sort(SORT_MODES.rank).map(e => e.item.rank)).toEqual([1, 2, 3]);
+  });
+});
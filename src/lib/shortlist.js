@@ -0,0 +1,34 @@
+import { flattenTitles } from './refine.js';
+
+/**
+ * SHORTLIST & REVIEW
+ * Titles worth a team vote are shortlisted on the run (`run.shortlist`, a
+ * list of youtube_title strings, variants included). Sharing creates a
+ * review on the server; the run keeps a summary that is refreshed while
+ * the run is open:
+ *
+ *   run.review = { id, url, createdAt, approval: { index, title, by, at } | null, votes, comments }
+ */
+
+export const toggleShortlist = (run, title) => {
+  const shortlist = run.shortlist || [];
+  return shortlist.includes(title) ? shortlist.filter(t => t !== title) : [...shortlist, title];
+};
+
+// Shortlisted items in shortlist order, skipping any that no longer exist
+export const shortlistedTitles = (run) => {
+  const titles = flattenTitles(run.titles);
+  return (run.shortlist || []).map(title => titles.find(t => t.youtube_title === title)).filter(Boolean);
+};
+
+export const reviewSummary = (review) => ({
+  approval: review.approval,
+  votes: review.titles.reduce((sum, t) => sum + t.votes.length, 0),
+  comments: review.titles.reduce((sum, t) => sum + t.comments.length, 0),
+});
+
+export const summaryChanged = (stored, summary) => (
+  stored.votes !== summary.votes
+  || stored.comments !== summary.comments
+  || (stored.approval?.at ?? null) !== (summary.approval?.at ?? null)
+);
@@ -0,0 +1,102 @@
+import { graphemes, stem, tokenize } from './text.js';
+
+/**
+ * TITLE SIMILARITY
+ * Fuzzy matching for near-duplicate titles, all local. Two signals are
+ * blended: word overlap (stemmed tokens, Jaccard) catches reordered and
+ * swapped words, character trigrams (Dice) catch small spelling and
+ * inflection changes the tokens miss. Scores run from 0 to 1.
+ */
+
+// Titles in one result set at or above this collapse into a cluster
+export const NEAR_DUPLICATE_THRESHOLD = 0.7;
+
+// New titles at or above this against a published title get flagged
+export const CATALOG_THRESHOLD = 0.6;
+
+/** Precomputed tokens and trigrams for a title; pass it anywhere a title string is accepted. */
+export const fingerprint = (text) => {
+  const words = tokenize(text).map(stem);
+  const chars = graphemes(` ${words.join(' ')} `);
+  const grams = new Set();
+  for (let i = 0; i + 3 <= chars.length; i++) grams.add(chars.slice(i, i + 3).join(''));
+  return { text, tokens: new Set(words), grams };
+};
+
+const intersectionSize = (a, b) => {
+  let shared = 0;
+  for (const value of a) if (b.has(value)) shared++;
+  return shared;
+};
+
+const jaccard = (a, b) => {
+  if (!a.size && !b.size) return 0;
+  const shared = intersectionSize(a, b);
+  return shared / (a.size + b.size - shared);
+};
+
+const dice = (a, b) => (a.size + b.size ? (2 * intersectionSize(a, b)) / (a.size + b.size) : 0);
+
+const toFingerprint = (value) => (typeof value === 'string' ? fingerprint(value) : value);
+
+export const similarity = (a, b) => {
+  const x = toFingerprint(a);
+  const y = toFingerprint(b);
+  return (jaccard(x.tokens, y.tokens) + dice(x.grams, y.grams)) / 2;
+};
+
+/**
+ * Groups entries whose titles are near-duplicates. Entries keep their
+ * order; the first of each cluster leads it, so sort best-first before
+ * clustering. Each entry is compared with cluster leads only, so one
+ * cluster can't drift by chaining small changes.
+ * Returns `[{ lead, duplicates: [{ entry, score }] }]`.
+ */
+export const clusterTitles = (entries, { getText = entry => entry.item.youtube_title, threshold = NEAR_DUPLICATE_THRESHOLD } = {}) => {
+  const clusters = [];
+  for (const entry of entries) {
+    const print = fingerprint(getText(entry));
+    let best = null;
+    for (const cluster of clusters) {
+      const score = similarity(cluster.print, print);
+      if (score >= threshold && (!best || score > best.score)) best = { cluster, score };
+    }
+    if (best) best.cluster.duplicates.push({ entry, score: best.score });
+    else clusters.push({ lead: entry, print, duplicates: [] });
+  }
+  return clusters.map(({ lead, duplicates }) => ({ lead, duplicates }));
+};
+
+/**
+ * Index over published titles for `closestMatch`. Titles sharing no word
+ * with the query are skipped before scoring, which keeps large catalogs
+ * cheap.
+ */
+export const createCatalogIndex = (titles) => {
+  const prints = titles.map(fingerprint);
+  const byToken = new Map();
+  prints.forEach((print, i) => {
+    for (const token of print.tokens) {
+      if (!byToken.has(token)) byToken.set(token, []);
+      byToken.get(token).push(i);
+    }
+  });
+  return { prints, byToken };
+};
+
+/**
+ * The published title closest to `text`, as `{ title, score }`, or null
+ * when none reaches `threshold`.
+ */
+export const closestMatch = (index, text, { threshold = CATALOG_THRESHOLD } = {}) => {
+  const print = fingerprint(text);
+  const candidates = new Set();
+  for (const token of print.tokens) for (const i of index.byToken.get(token) || []) candidates.add(i);
+
+  let best = null;
+  for (const i of candidates) {
+    const score = similarity(print, index.prints[i]);
+    if (score >= threshold && (!best || score > best.score)) best = { title: index.prints[i].text, score };
+  }
+  return best;
+};
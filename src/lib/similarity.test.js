@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { closestMatch, clusterTitles, createCatalogIndex, similarity } from './similarity.js';
+
+const entries = (titles) => titles.map((youtube_title, index) => ({ item: { youtube_title }, index }));
+
+describe('similarity', () => {
+  it('scores one-word changes high and different titles low', () => {
+    expect(similarity('7 Churn Mistakes Killing SaaS Startups', '8 Churn Mistakes Killing SaaS Startups')).toBeGreaterThan(0.8);
+    expect(similarity('The Complete Guide to Churn', 'Churn: The Complete Guide')).toBeGreaterThan(0.8);
+    expect(similarity('How SaaS Actually Works', 'SaaS Explained in 5 Minutes')).toBeLessThan(0.3);
+    expect(similarity('Same Title', 'same title!')).toBe(1);
+  });
+});
+
+describe('clusterTitles', () => {
+  it('collapses near-duplicates under the first title of each cluster', () => {
+    const clusters = clusterTitles(entries([
+      'Stop Doing SaaS Like This',
+      'How SaaS Actually Works',
+      'Stop Doing Churn Like This',
+      'Stop Doing SaaS Like This (Part 2)',
+    ]));
+
+    expect(clusters.map(c => [c.lead.index, c.duplicates.map(d => d.entry.index)])).toEqual([
+      [0, [2, 3]],
+      [1, []],
+    ]);
+    expect(clusters[0].duplicates[0].score).toBeGreaterThanOrEqual(0.7);
+  });
+});
+
+describe('closestMatch', () => {
+  const index = createCatalogIndex([
+    'Why 90% of SaaS Startups Die in Year One',
+    'Retention Is the New Acquisition',
+    'My Desk Setup Tour',
+  ]);
+
+  it('returns the closest published title above the threshold', () => {
+    const match = closestMatch(index, 'Why 90% of SaaS Startups Die in Their First Year');
+    expect(match.title).toBe('Why 90% of SaaS Startups Die in Year One');
+    expect(match.score).toBeGreaterThan(0.6);
+  });
+
+  it('returns null when nothing is close', () => {
+    expect(closestMatch(index, 'Stop Building Features Nobody Wants')).toBeNull();
+  });
+});
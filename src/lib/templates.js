@@ -0,0 +1,62 @@
+import { getAll, newId, put, remove } from './db.js';
+
+/**
+ * BRIEF TEMPLATES
+ * Saved brief fields for recurring formats. `{{placeholder}}` markers in any
+ * field are asked for when the template is applied:
+ *
+ *   { id, name, fields: { topic, key_points, main_takeaway, target_audience }, builtIn? }
+ */
+const STORE = 'templates';
+
+export const TEMPLATE_FIELDS = ['topic', 'key_points', 'main_takeaway', 'target_audience'];
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-tool-review',
+    name: 'Tool review',
+    builtIn: true,
+    fields: {
+      topic: 'Is {{tool}} worth it in {{year}}? An honest review',
+      key_points: '1. What {{tool}} does well. 2. Where it falls short. 3. Pricing vs {{alternative}}.',
+      main_takeaway: '{{tool}} is worth it if you {{use case}}',
+      target_audience: '',
+    },
+  },
+  {
+    id: 'builtin-case-study',
+    name: 'Case study',
+    builtIn: true,
+    fields: {
+      topic: 'How {{subject}} went from {{before}} to {{after}}',
+      key_points: '1. The starting point. 2. The one change that mattered. 3. The numbers.',
+      main_takeaway: 'The result came from {{key decision}}',
+      target_audience: '',
+    },
+  },
+];
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// Unique placeholder names across every field, in order of appearance
+export const extractPlaceholders = (template) => [...new Set(
+  TEMPLATE_FIELDS.flatMap(field => [...(template.fields[field] || '').matchAll(PLACEHOLDER)].map(m => m[1])),
+)];
+
+// Fills placeholders from `values`; ones left blank stay visible in the form
+export const fillTemplate = (template, values) => Object.fromEntries(TEMPLATE_FIELDS.map(field => [
+  field,
+  (template.fields[field] || '').replace(PLACEHOLDER, (marker, name) => values[name]?.trim() || marker),
+]));
+
+export const listTemplates = async () => {
+  const saved = await getAll(STORE);
+  return [...BUILT_IN_TEMPLATES, ...saved.sort((a, b) => a.name.localeCompare(b.name))];
+};
+
+export const saveTemplate = (template) => put(STORE, { ...template, id: template.id || newId(), updatedAt: Date.now() });
+
+export const deleteTemplate = (id) => remove(STORE, id);
+
+// For useSavedItems
+export const templateStore = { list: listTemplates, save: saveTemplate, remove: deleteTemplate };
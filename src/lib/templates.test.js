@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { BUILT_IN_TEMPLATES, extractPlaceholders, fillTemplate } from './templates.js';
+
+const template = {
+  name: 'Tool review',
+  fields: {
+    topic: 'Is {{tool}} worth it in {{ year }}?',
+    key_points: '{{tool}} vs {{alternative}}',
+    main_takeaway: '',
+  },
+};
+
+describe('templates', () => {
+  it('lists each placeholder once, in order of appearance', () => {
+    expect(extractPlaceholders(template)).toEqual(['tool', 'year', 'alternative']);
+  });
+
+  it('fills placeholders and leaves blank ones in place', () => {
+    expect(fillTemplate(template, { tool: 'Notion', year: ' 2026 ', alternative: '' })).toEqual({
+      topic: 'Is Notion worth it in 2026?',
+      key_points: 'Notion vs {{alternative}}',
+      main_takeaway: '',
+      target_audience: '',
+    });
+  });
+
+  it('ships built-in templates that all have placeholders', () => {
+    for (const builtIn of BUILT_IN_TEMPLATES) expect(extractPlaceholders(builtIn).length).toBeGreaterThan(0);
+  });
+});
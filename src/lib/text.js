@@ -0,0 +1,30 @@
+/**
+ * TEXT HELPERS
+ * Tokenizing shared by scoring, keyword and similarity code so they all
+ * agree on what a "word" is.
+ */
+
+export const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'most', 'my', 'not', 'of', 'on', 'or', 'our', 'so',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'too', 'vs', 'was', 'we',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+// Lowercased word tokens, letters and digits in any script
+export const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []);
+
+export const contentWords = (text) => tokenize(text).filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+// Strip a trailing plural "s" so "startups" matches "startup"
+export const stem = (word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+const graphemeSegmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+
+// User-perceived characters: "é" written as e + accent, a Devanagari
+// syllable or a flag emoji each count once
+export const graphemes = (text) => (graphemeSegmenter
+  ? Array.from(graphemeSegmenter.segment(String(text || '')), s => s.segment)
+  : [...String(text || '')]);
+
+export const graphemeLength = (text) => graphemes(text).length;
@@ -0,0 +1,136 @@
+import { getAll, newId, put, remove } from './db.js';
+import { findKeyword } from './keywords.js';
+import { splitList } from './profiles.js';
+import { graphemeLength } from './text.js';
+
+/**
+ * TONES
+ * The four built-in strategies plus custom ones from the strategy editor:
+ *
+ *   { id, name, icon, description, instructions, exampleTitles: [],
+ *     rules: { maxLength, requireNumber, requireQuestion, bannedWords: [] }, builtIn? }
+ *
+ * The agent knows built-in tones by name. A custom tone travels with each
+ * brief as tone_* variables, and its rules are checked on every title
+ * that comes back. Built-in ids are their names; custom ids are random, so
+ * a tone can be renamed without breaking profiles or drafts that use it.
+ */
+const STORE = 'tones';
+
+const NO_RULES = { maxLength: null, requireNumber: false, requireQuestion: false, bannedWords: [] };
+
+const builtIn = (name, icon, description) => ({
+  id: name, name, icon, description, instructions: '', exampleTitles: [], rules: NO_RULES, builtIn: true,
+});
+
+export const BUILT_IN_TONES = [
+  builtIn('Viral', '🔥', 'Curiosity gaps'),
+  builtIn('Educational', '💡', 'Authority & Value'),
+  builtIn('Story', '✨', 'Transformation'),
+  builtIn('SEO', '🔍', 'Keyword Focus'),
+];
+
+export const DEFAULT_TONE = 'Viral';
+
+export const emptyTone = () => ({
+  id: null,
+  name: '',
+  icon: '🎯',
+  description: '',
+  instructions: '',
+  exampleTitles: [],
+  rules: { ...NO_RULES },
+});
+
+export const listTones = async () => {
+  const tones = await getAll(STORE);
+  return tones.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const saveTone = (tone) => put(STORE, { ...tone, id: tone.id || newId(), updatedAt: Date.now() });
+
+export const deleteTone = (id) => remove(STORE, id);
+
+// For useSavedItems; built-ins are not stored, App lists them first
+export const toneStore = { list: listTones, save: saveTone, remove: deleteTone };
+
+// The server's limits (server/brief.js): longer names are rejected, so every run with the tone would fail
+export const TONE_NAME_MAX = 40;
+export const TONE_MAX_LENGTH_RANGE = { min: 10, max: 100 };
+
+// Names identify tones to the agent and in batch sheets, so they must be unique
+export const toneNameError = (name, tones, id = null) => {
+  const trimmed = name.trim().toLowerCase();
+  if (!trimmed) return 'Name the strategy';
+  if (trimmed.length > TONE_NAME_MAX) return `Keep the name to ${TONE_NAME_MAX} characters`;
+  if (tones.some(t => t.id !== id && t.name.toLowerCase() === trimmed)) return `There is already a "${name.trim()}" strategy`;
+  return null;
+};
+
+// Max length as typed in the editor; empty means no limit
+export const toneMaxLengthError = (value) => {
+  if (!String(value).trim()) return null;
+  const { min, max } = TONE_MAX_LENGTH_RANGE;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) return `Max length must be a whole number from ${min} to ${max}`;
+  return null;
+};
+
+/**
+ * The brief variables for a tone. Built-ins only send their name; custom
+ * tones add their definition as flat strings, since the agent takes flat
+ * variables (lists are joined the way the editor shows them, flags are
+ * 'yes' or empty).
+ */
+export const toneVariables = (tone) => {
+  if (!tone) return {};
+  if (tone.builtIn) return { tone: tone.name };
+  const { maxLength, requireNumber, requireQuestion, bannedWords } = tone.rules;
+  return {
+    tone: tone.name,
+    tone_description: tone.description,
+    tone_instructions: tone.instructions,
+    tone_example_titles: tone.exampleTitles.join('\n'),
+    tone_max_length: maxLength ? String(maxLength) : '',
+    tone_require_number: requireNumber ? 'yes' : '',
+    tone_require_question: requireQuestion ? 'yes' : '',
+    tone_banned_words: bannedWords.join(', '),
+  };
+};
+
+// The rules a brief was generated under, read back from its tone_* variables
+export const toneRulesFromBrief = (brief) => ({
+  maxLength: parseInt(brief?.tone_max_length, 10) || null,
+  requireNumber: brief?.tone_require_number === 'yes',
+  requireQuestion: brief?.tone_require_question === 'yes',
+  bannedWords: splitList(brief?.tone_banned_words || ''),
+});
+
+export const hasToneRules = ({ maxLength, requireNumber, requireQuestion, bannedWords }) => Boolean(
+  maxLength || requireNumber || requireQuestion || bannedWords.length,
+);
+
+// Short rule list for the Active Strategy box, e.g. "≤ 60 chars · number · no "hack""
+export const describeToneRules = ({ maxLength, requireNumber, requireQuestion, bannedWords }) => [
+  maxLength && `≤ ${maxLength} chars`,
+  requireNumber && 'number',
+  requireQuestion && 'question',
+  bannedWords.length && `no "${bannedWords.join('", "')}"`,
+].filter(Boolean).join(' · ');
+
+/**
+ * The rules a title breaks, as `[{ id, message }]` (empty when it follows
+ * them all). Banned words are also looked for in the back-translation, so
+ * they hold for localized titles.
+ */
+export const checkToneRules = (item, { maxLength, requireNumber, requireQuestion, bannedWords }) => {
+  const title = item.youtube_title || '';
+  const violations = [];
+  const chars = graphemeLength(title);
+  if (maxLength && chars > maxLength) violations.push({ id: 'maxLength', message: `${chars} chars, max ${maxLength}` });
+  if (requireNumber && !/\p{N}/u.test(title)) violations.push({ id: 'requireNumber', message: 'No number' });
+  if (requireQuestion && !/[?？؟]/.test(title)) violations.push({ id: 'requireQuestion', message: 'Not a question' });
+  const banned = bannedWords.filter(word => findKeyword(title, word) || findKeyword(item.back_translation, word));
+  if (banned.length) violations.push({ id: 'bannedWords', message: `Uses "${banned.join('", "')}"` });
+  return violations;
+};
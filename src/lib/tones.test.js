@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import {
+  BUILT_IN_TONES, checkToneRules, describeToneRules, emptyTone, hasToneRules, toneMaxLengthError, toneNameError, toneRulesFromBrief, toneVariables,
+} from './tones.js';
+
+const CONTRARIAN = {
+  ...emptyTone(),
+  id: 'tone-1',
+  name: 'Contrarian',
+  description: 'Challenge the common advice',
+  instructions: 'Open by contradicting a popular belief.',
+  exampleTitles: ['Stop Doing Cold Outreach', 'Retention Beats Growth'],
+  rules: { maxLength: 40, requireNumber: true, requireQuestion: false, bannedWords: ['hack', 'insane'] },
+};
+
+describe('toneVariables', () => {
+  it('sends only the name for a built-in tone', () => {
+    expect(toneVariables(BUILT_IN_TONES[0])).toEqual({ tone: 'Viral' });
+  });
+
+  it('flattens a custom tone into strings the agent can read', () => {
+    expect(toneVariables(CONTRARIAN)).toEqual({
+      tone: 'Contrarian',
+      tone_description: 'Challenge the common advice',
+      tone_instructions: 'Open by contradicting a popular belief.',
+      tone_example_titles: 'Stop Doing Cold Outreach\nRetention Beats Growth',
+      tone_max_length: '40',
+      tone_require_number: 'yes',
+      tone_require_question: '',
+      tone_banned_words: 'hack, insane',
+    });
+  });
+
+  it('reads the rules back from a brief', () => {
+    expect(toneRulesFromBrief(toneVariables(CONTRARIAN))).toEqual(CONTRARIAN.rules);
+    expect(hasToneRules(toneRulesFromBrief({ tone: 'Viral' }))).toBe(false);
+  });
+});
+
+describe('checkToneRules', () => {
+  const messages = (title, rules = CONTRARIAN.rules) => checkToneRules(title, rules).map(v => v.message);
+
+  it('passes a title that follows every rule', () => {
+    expect(messages({ youtube_title: '3 Myths About Cold Outreach' })).toEqual([]);
+  });
+
+  it('flags length, missing numbers and banned words, plurals included', () => {
+    expect(messages({ youtube_title: 'The Insane Growth Hacks Every Founder Gets Wrong' })).toEqual([
+      '48 chars, max 40',
+      'No number',
+      'Uses "hack", "insane"',
+    ]);
+  });
+
+  it('wants a question mark when questions are required', () => {
+    const rules = { ...CONTRARIAN.rules, maxLength: null, requireNumber: false, requireQuestion: true };
+    expect(messages({ youtube_title: 'Is Cold Outreach Dead?' }, rules)).toEqual([]);
+    expect(messages({ youtube_title: 'コールドメールは終わった？' }, rules)).toEqual([]);
+    expect(messages({ youtube_title: 'Cold Outreach Is Dead' }, rules)).toEqual(['Not a question']);
+  });
+
+  it('finds banned words through the back-translation', () => {
+    expect(messages({ youtube_title: '7 trucos de crecimiento', back_translation: '7 growth hacks' })).toEqual(['Uses "hack"']);
+  });
+});
+
+describe('tone names', () => {
+  it('must be unique, built-ins included', () => {
+    const tones = [...BUILT_IN_TONES, CONTRARIAN];
+    expect(toneNameError(' ', tones)).toBe('Name the strategy');
+    expect(toneNameError('seo', tones)).toBe('There is already a "seo" strategy');
+    expect(toneNameError('Contrarian', tones, 'tone-1')).toBeNull();
+  });
+
+  it('stays within the length the server accepts', () => {
+    expect(toneNameError('x'.repeat(40), [])).toBeNull();
+    expect(toneNameError(`  ${'x'.repeat(40)}  `, [])).toBeNull();
+    expect(toneNameError('x'.repeat(41), [])).toBe('Keep the name to 40 characters');
+  });
+
+  it('accepts a max length from 10 to 100, or none', () => {
+    expect(['', ' ', '10', '60', '100'].map(toneMaxLengthError)).toEqual([null, null, null, null, null]);
+    for (const value of ['-5', '5', '101', '5000', '42.5']) {
+      expect(toneMaxLengthError(value)).toBe('Max length must be a whole number from 10 to 100');
+    }
+  });
+
+  it('summarises rules for the sidebar', () => {
+    expect(describeToneRules(CONTRARIAN.rules)).toBe('≤ 40 chars · number · no "hack", "insane"');
+  });
+});
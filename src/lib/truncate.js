@@ -0,0 +1,114 @@
+import { graphemes } from './text.js';
+
+/**
+ * TITLE TRUNCATION
+ * Reproduces how YouTube clamps titles: text wraps at word boundaries into
+ * a fixed-width box and the last visible line ends in an ellipsis. Widths
+ * are measured with a canvas in the browser; outside one (tests, SSR) we
+ * fall back to an average-glyph estimate. Cuts never split a grapheme, and
+ * scripts written without spaces (Chinese, Japanese, Thai) wrap between
+ * words. Lines stay in logical order; RTL titles are laid out by the
+ * browser with `dir="rtl"`, which puts the ellipsis on the left.
+ */
+
+const ELLIPSIS = '…';
+
+// Surfaces as rendered by YouTube at common breakpoints (Roboto, px)
+export const SURFACES = {
+  desktop: { label: 'Home Feed', font: '500 16px Roboto, Arial, sans-serif', width: 312, lines: 2 },
+  mobile: { label: 'Mobile', font: '400 14px Roboto, Arial, sans-serif', width: 290, lines: 2 },
+  search: { label: 'Search', font: '400 18px Roboto, Arial, sans-serif', width: 600, lines: 2 },
+  sidebar: { label: 'Suggested', font: '500 14px Roboto, Arial, sans-serif', width: 202, lines: 2 },
+};
+
+const fontSize = (font) => parseFloat(font.match(/(\d+(?:\.\d+)?)px/)?.[1] || 14);
+
+// CJK ideographs, kana, Hangul and fullwidth forms take a full em
+const WIDE_GLYPH = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303f\uff00-\uffef]/u;
+
+const estimateWidth = (text, font) => graphemes(text)
+  .reduce((width, glyph) => width + (WIDE_GLYPH.test(glyph) ? 1 : 0.55), 0) * fontSize(font);
+
+let canvasContext;
+export const measureText = (text, font) => {
+  if (canvasContext === undefined) {
+    canvasContext = typeof document !== 'undefined'
+      ? document.createElement('canvas').getContext?.('2d') ?? null
+      : null;
+  }
+  if (!canvasContext) return estimateWidth(text, font);
+  canvasContext.font = font;
+  return canvasContext.measureText(text).width;
+};
+
+// Cuts a single line down until it fits with an ellipsis appended
+const ellipsize = (line, font, width, measure) => {
+  const chars = graphemes(line);
+  while (chars.length && measure(chars.join('').trimEnd() + ELLIPSIS, font) > width) chars.pop();
+  return chars.join('').trimEnd() + ELLIPSIS;
+};
+
+const NO_SPACE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+const wordSegmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+
+const OPENING_PUNCTUATION = /^[\p{Ps}\p{Pi}]+$/u;
+
+// Pieces of a no-space run: words, with closing punctuation kept on the word
+// before it and opening brackets on the word after, so a line never starts
+// with "。" or ends with "【"
+const splitRun = (run) => {
+  if (!wordSegmenter) return graphemes(run);
+  const parts = [];
+  let opening = '';
+  for (const { segment, isWordLike } of wordSegmenter.segment(run)) {
+    if (OPENING_PUNCTUATION.test(segment)) opening += segment;
+    else if (!isWordLike && parts.length && !opening) parts[parts.length - 1] += segment;
+    else {
+      parts.push(opening + segment);
+      opening = '';
+    }
+  }
+  if (opening) parts.push(opening);
+  return parts;
+};
+
+// Break opportunities as `{ text, space }`, where `space` means a space separates it from the previous word
+const splitWords = (text) => text.split(/\s+/).filter(Boolean).flatMap(word => (NO_SPACE_SCRIPT.test(word)
+  ? splitRun(word).map((part, i) => ({ text: part, space: i === 0 }))
+  : [{ text: word, space: true }]));
+
+const joinWords = (words) => words.map((word, i) => `${i && word.space ? ' ' : ''}${word.text}`).join('');
+
+/**
+ * Wraps `text` into at most `lines` lines of `width` px.
+ * Returns `{ lines: string[], truncated: boolean }`.
+ */
+export const truncateTitle = (text, { font, width, lines: maxLines }, measure = measureText) => {
+  const words = splitWords(text);
+  const lines = [];
+  let current = '';
+
+  for (let i = 0; i < words.length; i++) {
+    const candidate = current ? `${current}${words[i].space ? ' ' : ''}${words[i].text}` : words[i].text;
+    if (measure(candidate, font) <= width || !current) {
+      current = candidate;
+      continue;
+    }
+    lines.push(current);
+    current = words[i].text;
+    if (lines.length === maxLines) {
+      const last = lines.pop();
+      const rest = joinWords(words.slice(i));
+      return { lines: [...lines, ellipsize(`${last}${words[i].space ? ' ' : ''}${rest}`, font, width, measure)], truncated: true };
+    }
+  }
+  if (current) lines.push(current);
+
+  // A single unbreakable word can still overflow its line
+  const overflow = lines.findIndex(line => measure(line, font) > width);
+  if (overflow !== -1) {
+    return { lines: [...lines.slice(0, overflow), ellipsize(lines[overflow], font, width, measure)], truncated: true };
+  }
+  return { lines, truncated: false };
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { measureText, truncateTitle } from './truncate.js';
+
+// Monospace stand-in: every character is 10px wide
+const measure = (text) => [...text].length * 10;
+const surface = { font: '16px Roboto', width: 100, lines: 2 };
+
+describe('truncateTitle', () => {
+  it('wraps at word boundaries without truncating when it fits', () => {
+    expect(truncateTitle('Short one here', surface, measure)).toEqual({
+      lines: ['Short one', 'here'],
+      truncated: false,
+    });
+  });
+
+  it('ellipsizes the last visible line', () => {
+    const result = truncateTitle('The quick brown fox jumps over the lazy dog', surface, measure);
+    expect(result.truncated).toBe(true);
+    expect(result.lines).toEqual(['The quick', 'brown fox…']);
+    expect(result.lines.every(line => measure(line) <= surface.width)).toBe(true);
+  });
+
+  it('cuts a single word that is wider than the box', () => {
+    const result = truncateTitle('Supercalifragilistic', surface, measure);
+    expect(result).toEqual({ lines: ['Supercali…'], truncated: true });
+  });
+
+  it('wraps between words in scripts written without spaces', () => {
+    const result = truncateTitle('【徹底解説】失敗する本当の理由', surface, measure);
+    expect(result).toEqual({ lines: ['【徹底解説】失敗する', '本当の理由'], truncated: false });
+  });
+
+  it('never splits a grapheme when ellipsizing', () => {
+    const result = truncateTitle('नमस्ते नमस्ते नमस्ते दुनिया', { ...surface, lines: 1 }, measure);
+    expect(result.truncated).toBe(true);
+    expect(result.lines[0].normalize('NFC')).toMatch(/^नमस्ते नम…$|^नमस्ते…$/);
+  });
+
+  it('estimates full-width glyphs wider than Latin ones', () => {
+    expect(measureText('日本語', '16px Roboto')).toBeGreaterThan(measureText('abc', '16px Roboto'));
+  });
+});
+
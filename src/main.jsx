@@ -2,9 +2,16 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import ReviewPage from './components/ReviewPage.jsx'
+import { registerServiceWorker } from './lib/pwa.js'
+
+// Shared review links (/review/:id) open the review page instead of the generator
+const reviewMatch = window.location.pathname.match(/^\/review\/([^/]+)\/?$/)
+
+if (import.meta.env.PROD) registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {reviewMatch ? <ReviewPage reviewId={decodeURIComponent(reviewMatch[1])} /> : <App />}
   </StrictMode>,
 )
@@ -0,0 +1,126 @@
+import { readFileSync } from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { createApp } from '../../server/app.js';
+
+/**
+ * APP TEST HARNESS
+ * Runs the real API server in process on a loopback port and points the
+ * app's relative `/api/...` fetches at it, so a test covers the stream,
+ * the normalizer and the UI together. The server's MindStudio provider
+ * calls a fake agent instead of the Developer API; the fake answers
+ * `/developer/v2/agents/run` with whatever the test set through
+ * `agent.reply`, usually a recorded fixture. Nothing leaves the machine.
+ */
+
+// jsdom tests see http import.meta.url values, so resolve from the file path
+const FIXTURES_DIR = path.resolve(import.meta.dirname, '../../server/__fixtures__/agent-responses');
+
+export const AGENT_BASE_URL = 'https://agent.test';
+
+const TEST_CONFIG = {
+  trustProxy: false,
+  staticDir: path.join(os.tmpdir(), 'title-generator-test-static'),
+  provider: 'mindstudio',
+  reviewsDir: path.join(os.tmpdir(), 'title-generator-test-reviews'),
+  mindstudio: { baseUrl: AGENT_BASE_URL, apiKey: 'test-key', agentId: 'test-agent', workflow: 'Main', timeoutMs: 10_000 },
+  concurrency: 4,
+  heartbeatMs: 15_000,
+  rateLimit: { windowMs: 60_000, max: 1000 },
+  reviewRateLimit: { windowMs: 60_000, max: 1000 },
+};
+
+// Raw text of a recorded agent response from server/__fixtures__/agent-responses
+export const agentFixture = (name) => readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8');
+
+/**
+ * Stands in for the Developer API. `reply({ status, body, contentType })`
+ * sets the answer for every following run; a ReadableStream body with
+ * `contentType: 'text/event-stream'` plays a streamed run. `requests`
+ * holds the parsed bodies the server sent, so tests can check the
+ * variables the agent received.
+ */
+const createFakeAgent = () => {
+  const requests = [];
+  let response = { status: 200, body: agentFixture('result-output-string'), contentType: 'application/json' };
+
+  const fetch = async (url, init) => {
+    if (url !== `${AGENT_BASE_URL}/developer/v2/agents/run`) throw new Error(`Unexpected agent call: ${url}`);
+    requests.push(JSON.parse(init.body));
+    return new Response(response.body, {
+      status: response.status,
+      statusText: http.STATUS_CODES[response.status],
+      headers: { 'Content-Type': response.contentType },
+    });
+  };
+
+  return {
+    requests,
+    fetch,
+    reply: ({ status = 200, body, contentType = 'application/json' }) => {
+      response = { status, body, contentType };
+    },
+  };
+};
+
+// jsdom has no layout or canvas; the app only needs them to exist
+const stubBrowserGaps = () => {
+  Element.prototype.scrollIntoView ??= () => {};
+  HTMLCanvasElement.prototype.getContext = () => null;
+};
+
+/**
+ * Starts the server and routes `fetch` to it. Returns
+ * `{ agent, setOnline, setReachable, close }`; `setOnline(false)` cuts the
+ * connection (fetch rejects like a browser's, navigator.onLine follows and
+ * the window gets an offline event). `setReachable(false)` only makes
+ * fetch reject, the way a server outage or captive portal looks while the
+ * browser still says online. Call `close()` after the test to restore
+ * `fetch` and stop the server. Each start begins with empty localStorage.
+ */
+export const startHarness = async () => {
+  stubBrowserGaps();
+  localStorage.clear();
+  const agent = createFakeAgent();
+  const server = http.createServer(createApp(TEST_CONFIG, { fetch: agent.fetch }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const originalFetch = globalThis.fetch;
+  let online = true;
+  let reachable = true;
+  globalThis.fetch = (input, init) => (online && reachable
+    ? originalFetch(new URL(input, origin), init)
+    : Promise.reject(new TypeError('Failed to fetch')));
+  Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+
+  const setOnline = (value) => {
+    online = value;
+    window.dispatchEvent(new Event(value ? 'online' : 'offline'));
+  };
+
+  const setReachable = (value) => {
+    reachable = value;
+  };
+
+  const close = async () => {
+    globalThis.fetch = originalFetch;
+    delete navigator.onLine;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  };
+
+  return { agent, setOnline, setReachable, close };
+};
+
+/**
+ * axe-core violations under `node` as `{ id, help, targets }`, so a failing
+ * check names the rule and the elements. Colour contrast is skipped because
+ * jsdom does not compute styles.
+ */
+export const axeViolations = async (node = document.body) => {
+  const { default: axe } = await import('axe-core');
+  const { violations } = await axe.run(node, { rules: { 'color-contrast': { enabled: false } } });
+  return violations.map(({ id, help, nodes }) => ({ id, help, targets: nodes.map(n => n.target.join(' ')) }));
+};
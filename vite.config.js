@@ -7,10 +7,10 @@ export default defineConfig({
   plugins: [react(), tailwindcss()],
   server: {
     proxy: {
+      // Forward API calls to our own backend (`npm run server`), which holds the agent key
       '/api': {
-        target: 'https://v1.mindstudio-api.com',
+        target: process.env.API_PROXY_TARGET || 'http://localhost:8787',
         changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api/, ''),
       },
     },
   },